@@ -20,6 +20,26 @@ require('./models/Profile');
 require('./models/Category');
 require('./models/Interview');
 require('./models/Activity');
+require('./models/TapEvent');
+require('./models/Conversion');
+require('./models/CardTransfer');
+require('./models/SavedSearch');
+
+// Signing secrets checked before the server starts listening
+const { isConfigured: isClickIdConfigured } = require('./utils/clickId');
+const { isConfigured: isIpHashConfigured } = require('./utils/privacy');
+
+// Offline IP geolocation, loaded before the server starts listening
+const geolocation = require('./services/geolocation');
+
+// Background queue for tap recording, drained on shutdown
+const { taskQueue } = require('./services/taskQueue');
+
+// Destination health checks that switch failing profiles to their fallback URL
+const { healthChecker } = require('./services/healthChecker');
+
+// Opens and closes scheduled card windows
+const { cardScheduler } = require('./services/cardScheduler');
 
 // Import custom middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -31,6 +51,7 @@ const userRoutes = require('./routes/user');
 const adminRoutes = require('./routes/admin');
 const cardRoutes = require('./routes/cards');
 const profileRoutes = require('./routes/profiles');
+const landingRoutes = require('./routes/landing');
 const tapRoutes = require('./routes/tap');
 const analyticsRoutes = require('./routes/analytics');
 const subscriptionRoutes = require('./routes/subscription');
@@ -38,6 +59,7 @@ const interviewRoutes = require('./routes/interviews');
 const categoriesRoutes = require('./routes/categories');
 const activitiesRoutes = require('./routes/activities');
 const dashboardRoutes = require('./routes/dashboard');
+const conversionRoutes = require('./routes/conversions');
 
 // Create Express app
 const app = express();
@@ -76,6 +98,8 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Card taps and QR scans have their own limits (services/tapLimiter)
+  skip: (req) => /^\/(tap|qr)\/[^/]+\/?$/.test(req.path)
 });
 app.use(limiter);
 
@@ -210,9 +234,12 @@ app.use('/api/subscription', subscriptionRoutes);
 app.use('/api/interviews', interviewRoutes);
 app.use('/api/categories', categoriesRoutes);
 app.use('/api/activities', activitiesRoutes);
+app.use('/api/conversions', conversionRoutes);
 
 // Public routes (no auth required)
 app.use('/tap', tapRoutes);
+app.use('/qr', tapRoutes);
+app.use('/profile', landingRoutes);
 
 // Dashboard routes (web interface)
 app.use('/', dashboardRoutes);
@@ -244,6 +271,7 @@ app.get('/api', (req, res) => {
       interviews: '/api/interviews',
       categories: '/api/categories',
       activities: '/api/activities',
+      conversions: '/api/conversions',
       tap: '/tap/:cardUID'
     }
   });
@@ -256,13 +284,50 @@ app.use(errorHandler);
 // Start server
 const PORT = process.env.PORT || 3000;
 
-if (process.env.NODE_ENV !== 'test') {
-  app.listen(PORT, () => {
+// Load startup data, then start accepting requests
+const startServer = async () => {
+  // Click IDs and stored IP hashes have no safe default secret
+  if (!isClickIdConfigured() || !isIpHashConfigured()) {
+    console.error('❌ JWT_SECRET (or CONVERSION_SECRET and IP_HASH_SALT) must be set');
+    process.exit(1);
+  }
+
+  // Read the geolocation database up front so taps never wait on it
+  await geolocation.load();
+
+  const server = app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📱 Dashboard: http://localhost:${PORT}`);
     console.log(`🔌 API: http://localhost:${PORT}/api`);
     console.log(`💚 Health: http://localhost:${PORT}/api/health`);
   });
+
+  if (process.env.HEALTH_CHECK_ENABLED !== 'false') {
+    healthChecker.start();
+  }
+
+  if (process.env.CARD_SCHEDULER_ENABLED !== 'false') {
+    cardScheduler.start();
+  }
+
+  // Stop accepting requests, then let queued tap records finish before exiting
+  const shutdown = (signal) => {
+    console.log(`🛑 ${signal} received, shutting down`);
+    server.close(async () => {
+      await healthChecker.stop();
+      await cardScheduler.stop();
+      await taskQueue.drain();
+      await mongoose.connection.close();
+      process.exit(0);
+    });
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+};
+
+if (process.env.NODE_ENV !== 'test') {
+  startServer();
 }
 
 module.exports = app;
\ No newline at end of file
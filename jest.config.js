@@ -1,14 +1,39 @@
-module.exports = {
+// Options shared by every test project
+const shared = {
   // Test environment
   testEnvironment: 'node',
   
-  // Setup files
-  setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
+  // Module paths
+  moduleDirectories: ['node_modules', '<rootDir>'],
+  
+  // Clear mocks between tests
+  clearMocks: true,
+  
+  // Transform files
+  transform: {},
   
-  // Test file patterns
-  testMatch: [
-    '<rootDir>/tests/**/*.test.js',
-    '<rootDir>/tests/**/*.spec.js'
+  // Module file extensions
+  moduleFileExtensions: ['js', 'json']
+};
+
+module.exports = {
+  // Unit tests run without a database; integration tests get the in-memory MongoDB from tests/setup.js
+  projects: [
+    {
+      ...shared,
+      displayName: 'unit',
+      testMatch: ['<rootDir>/tests/unit/**/*.test.js']
+    },
+    {
+      ...shared,
+      displayName: 'integration',
+      setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
+      testMatch: [
+        '<rootDir>/tests/**/*.test.js',
+        '<rootDir>/tests/**/*.spec.js'
+      ],
+      testPathIgnorePatterns: ['/node_modules/', '<rootDir>/tests/unit/']
+    }
   ],
   
   // Coverage configuration
@@ -37,24 +62,12 @@ module.exports = {
     }
   },
   
-  // Module paths
-  moduleDirectories: ['node_modules', '<rootDir>'],
-  
   // Test timeout
   testTimeout: 10000,
   
-  // Clear mocks between tests
-  clearMocks: true,
-  
   // Verbose output
   verbose: true,
   
-  // Transform files
-  transform: {},
-  
-  // Module file extensions
-  moduleFileExtensions: ['js', 'json'],
-  
   // Global setup and teardown
   globalSetup: '<rootDir>/tests/globalSetup.js',
   globalTeardown: '<rootDir>/tests/globalTeardown.js'
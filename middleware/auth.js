@@ -245,16 +245,11 @@ const requireOwnership = (resourceModel, resourceIdParam = 'id', ownerField = 'o
         });
       }
 
-      // Admin can access everything
-      if (req.user.role === 'admin') {
-        return next();
-      }
-
       const resourceId = req.params[resourceIdParam];
       const Model = require(`../models/${resourceModel}`);
-      
+
       const resource = await Model.findById(resourceId);
-      
+
       if (!resource) {
         return res.status(404).json({
           success: false,
@@ -262,9 +257,10 @@ const requireOwnership = (resourceModel, resourceIdParam = 'id', ownerField = 'o
         });
       }
 
-      // Check ownership
+      // Check ownership (admin can access everything)
       const resourceOwnerId = resource[ownerField];
-      if (!resourceOwnerId || resourceOwnerId.toString() !== req.user._id.toString()) {
+      const isOwner = resourceOwnerId && resourceOwnerId.toString() === req.user._id.toString();
+      if (!isOwner && req.user.role !== 'admin') {
         return res.status(403).json({
           success: false,
           error: 'Access denied. You do not own this resource.'
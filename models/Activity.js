@@ -10,6 +10,9 @@ const activitySchema = new mongoose.Schema({
       'card_tap',
       'card_activated', 
       'card_created',
+      'card_transferred',
+      'card_schedule_started',
+      'card_schedule_ended',
       'profile_updated',
       'milestone_reached',
       'interview_scheduled',
@@ -17,6 +20,8 @@ const activitySchema = new mongoose.Schema({
       'callback_received',
       'category_created',
       'goal_achieved',
+      'destination_down',
+      'destination_restored',
       'system_event'
     ],
     index: true
@@ -226,14 +231,19 @@ activitySchema.methods.calculateImportanceScore = function() {
     'card_tap': 30,
     'profile_updated': 25,
     'card_created': 40,
+    'card_transferred': 55,
+    'card_schedule_started': 50,
+    'card_schedule_ended': 50,
     'category_created': 35,
+    'destination_down': 85,
+    'destination_restored': 40,
     'system_event': 20
   };
   
   score = typeScores[this.type] || 50;
   
-  // Recency boost
-  const hoursOld = (Date.now() - this.createdAt.getTime()) / (1000 * 60 * 60);
+  // Recency boost (new activities have no createdAt until saved)
+  const hoursOld = (Date.now() - (this.createdAt || new Date()).getTime()) / (1000 * 60 * 60);
   if (hoursOld < 1) score += 20;
   else if (hoursOld < 6) score += 10;
   else if (hoursOld < 24) score += 5;
@@ -254,9 +264,12 @@ activitySchema.statics.createCardTapActivity = async function(cardId, tapData =
   
   if (!card || !card.owner) return null;
   
+  // The count right after this tap, when known, so concurrent taps can't skip a milestone
+  const tapCount = tapData.tapCount || card.tapCount;
+  
   // Determine if this is a significant tap (first time, milestone, etc.)
-  const isFirstTap = card.tapCount === 1;
-  const isMilestone = card.tapCount % 100 === 0 && card.tapCount > 0;
+  const isFirstTap = tapCount === 1;
+  const isMilestone = tapCount % 100 === 0 && tapCount > 0;
   
   let title, description, type;
   
@@ -265,12 +278,14 @@ activitySchema.statics.createCardTapActivity = async function(cardId, tapData =
     description = `Your ${card.category?.name || 'card'} just got its first tap`;
     type = 'milestone_reached';
   } else if (isMilestone) {
-    title = `${card.tapCount} taps milestone!`;
-    description = `${card.nickname || card.cardUID} reached ${card.tapCount} total taps`;
+    title = `${tapCount} taps milestone!`;
+    description = `${card.nickname || card.cardUID} reached ${tapCount} total taps`;
     type = 'milestone_reached';
   } else {
+    const place = tapData.location ?
+      [tapData.location.city, tapData.location.region, tapData.location.country].filter(Boolean).join(', ') : '';
     title = `New tap: ${card.nickname || card.cardUID}`;
-    description = `Card tapped from ${tapData.location || 'unknown location'}`;
+    description = `Card tapped from ${place || 'unknown location'}`;
     type = 'card_tap';
   }
   
@@ -301,9 +316,9 @@ activitySchema.statics.createCardTapActivity = async function(cardId, tapData =
       },
       milestoneData: (isFirstTap || isMilestone) ? {
         type: 'tap_count',
-        threshold: card.tapCount,
-        currentValue: card.tapCount,
-        previousValue: card.tapCount - 1
+        threshold: tapCount,
+        currentValue: tapCount,
+        previousValue: tapCount - 1
       } : undefined
     },
     icon: isFirstTap || isMilestone ? 'bi-trophy' : 'bi-hand-index',
@@ -397,6 +412,94 @@ activitySchema.statics.createMilestoneActivity = async function(userId, mileston
   return await activity.save();
 };
 
+// Static method to alert a profile owner that a destination went down or came back
+activitySchema.statics.createDestinationAlert = async function(profile, target) {
+  const isDown = target.status === 'failing';
+  const reason = target.lastError || (target.lastStatusCode ? `HTTP ${target.lastStatusCode}` : 'no response');
+  
+  const activity = new this({
+    type: isDown ? 'destination_down' : 'destination_restored',
+    title: isDown ?
+      `${profile.name}: destination is down` :
+      `${profile.name}: destination is back up`,
+    description: (isDown ?
+      `${target.url} is failing (${reason}). ${profile.fallbackUrl ? 'Taps are going to your fallback URL.' : 'Add a fallback URL to redirect taps while it is down.'}` :
+      `${target.url} is responding again. Taps are going to it as usual.`).substring(0, 200),
+    owner: profile.userId,
+    relatedObjects: {
+      profile: profile._id
+    },
+    priority: isDown ? 'urgent' : 'normal',
+    icon: isDown ? 'bi-exclamation-octagon' : 'bi-check-circle',
+    color: isDown ? '#dc3545' : '#198754',
+    isSystemGenerated: true
+  });
+  
+  activity.calculateImportanceScore();
+  return await activity.save();
+};
+
+// Static method to log a card transfer in the feeds of both the previous and the new owner
+activitySchema.statics.createCardTransferActivities = async function(card, fromUser, toUser) {
+  const cardName = card.nickname || card.cardUID;
+  
+  const activities = [
+    {
+      owner: fromUser._id,
+      title: `${cardName} transferred`,
+      description: `You handed ${cardName} over to ${toUser.fullName}`.substring(0, 200),
+      icon: 'bi-box-arrow-right'
+    },
+    {
+      owner: toUser._id,
+      title: `${cardName} is now yours`,
+      description: `${fromUser.fullName} transferred ${cardName} to you`.substring(0, 200),
+      icon: 'bi-box-arrow-in-left'
+    }
+  ].map(details => {
+    const activity = new this({
+      ...details,
+      type: 'card_transferred',
+      relatedObjects: {
+        card: card._id
+      },
+      color: '#345995',
+      isSystemGenerated: true
+    });
+    activity.calculateImportanceScore();
+    return activity;
+  });
+  
+  return await this.insertMany(activities);
+};
+
+// Static method to log a card's schedule window opening ('live') or closing ('ended')
+activitySchema.statics.createCardScheduleActivity = async function(card, phase) {
+  const cardName = card.nickname || card.cardUID;
+  const isLive = phase === 'live';
+  
+  const activity = new this({
+    type: isLive ? 'card_schedule_started' : 'card_schedule_ended',
+    title: isLive ? `${cardName} is now live` : `${cardName} has expired`,
+    description: isLive ?
+      'The card\'s active window has opened and taps now redirect as usual' :
+      (card.schedule?.expiredUrl ?
+        'The card\'s active window has closed. Taps now go to its expired URL' :
+        'The card\'s active window has closed. Taps now show an expired page'),
+    owner: card.owner,
+    relatedObjects: {
+      card: card._id,
+      category: card.category
+    },
+    icon: isLive ? 'bi-play-circle' : 'bi-stop-circle',
+    color: isLive ? '#198754' : '#6c757d',
+    isSystemGenerated: true
+  });
+  
+  activity.calculateImportanceScore();
+  return await activity.save();
+};
+
 // Static method to get recent activities for dashboard
 activitySchema.statics.getRecentActivities = async function(userId, limit = 10, includeSystem = true) {
   const query = { owner: userId, isArchived: false };
@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
+const { encryptSecret, decryptSecret } = require('../utils/keyVault');
+const { verifySunMessage } = require('../utils/sdm');
+const VisitorCounter = require('./VisitorCounter');
+const tapCache = require('../services/tapCache');
+const { normalizeTags, buildCardFilter, parseSort, encodeCursor, cursorCondition } = require('../utils/cardQuery');
+const { conversionUpdateStages } = require('../utils/statistics');
 const crypto = require('crypto');
 
+// Suspension reasons that let the owner activate a replacement card
+const LOSS_REASONS = ['lost', 'stolen', 'damaged'];
+
 const cardSchema = new mongoose.Schema({
   cardUID: {
     type: String,
@@ -60,6 +69,73 @@ const cardSchema = new mongoose.Schema({
     default: null,
     index: true
   },
+  // Why the card was suspended; lost, stolen and damaged cards can be replaced
+  suspension: {
+    reason: {
+      type: String,
+      enum: ['owner', 'lost', 'stolen', 'damaged', 'schedule']
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Suspension note cannot exceed 200 characters']
+    },
+    suspendedAt: Date
+  },
+  // Window in which taps redirect, e.g. for event badges and promotions
+  schedule: {
+    activeFrom: Date,
+    activeUntil: Date,
+    // Where taps go after the window closes; without one an "expired" page is shown
+    expiredUrl: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: function(v) {
+          return !v || /^https?:\/\/.+$/i.test(v);
+        },
+        message: 'Expired URL must be a valid HTTP/HTTPS URL'
+      }
+    },
+    expiredMessage: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Expired message cannot exceed 300 characters']
+    },
+    // Phase last applied by the card scheduler
+    state: {
+      type: String,
+      enum: ['upcoming', 'live', 'ended']
+    }
+  },
+  // Owner-set tap throttling; limits without maxTaps are off
+  tapLimits: {
+    perCard: {
+      maxTaps: { type: Number, min: [1, 'Max taps must be at least 1'] },
+      windowMinutes: { type: Number, min: 1, max: 1440, default: 60 }
+    },
+    perVisitor: {
+      maxTaps: { type: Number, min: [1, 'Max taps must be at least 1'] },
+      windowMinutes: { type: Number, min: 1, max: 1440, default: 60 }
+    },
+    // 'redirect' keeps redirecting but stops counting, 'block' shows a "try again later" page
+    onExceed: {
+      type: String,
+      enum: ['redirect', 'block'],
+      default: 'redirect'
+    }
+  },
+  // The card that took over this card's profile and settings
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    default: null
+  },
+  // Cards this card replaced, oldest first; their tap history counts as this card's
+  previousCards: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card'
+  }],
   // Card physical properties
   cardType: {
     type: String,
@@ -81,6 +157,16 @@ const cardSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    totalConversions: {
+      type: Number,
+      default: 0
+    },
+    conversionRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
     lastAnalyticsUpdate: Date
   },
   // Security features
@@ -89,9 +175,35 @@ const cardSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Card mirrors encrypted PICC data and a CMAC into the tap URL (SUN/SDM)
     encryptedUID: {
       type: Boolean,
       default: false
+    },
+    // SDM keys, encrypted at rest with utils/keyVault
+    sdmMetaReadKey: {
+      type: String,
+      select: false
+    },
+    sdmFileReadKey: {
+      type: String,
+      select: false
+    },
+    // Chip UID reported by the first verified tap, or set when provisioning
+    tagUid: {
+      type: String,
+      uppercase: true,
+      match: [/^[0-9A-F]{14}$/, 'Tag UID must be 7 bytes of hex']
+    },
+    // Highest SDM read counter accepted; lower or equal counters are replays
+    sdmCounter: {
+      type: Number,
+      default: -1
+    },
+    // Refuse to redirect taps and QR scans that fail verification
+    rejectUnverified: {
+      type: Boolean,
+      default: true
     }
   },
   // Metadata
@@ -102,7 +214,11 @@ const cardSchema = new mongoose.Schema({
       default: 'manual'
     },
     notes: String,
-    tags: [String]
+    // Owner-defined labels, stored lowercase
+    tags: {
+      type: [String],
+      set: normalizeTags
+    }
   }
 }, {
   timestamps: true,
@@ -123,6 +239,10 @@ cardSchema.index({ batchNumber: 1 });
 // Compound indexes
 cardSchema.index({ owner: 1, status: 1 });
 cardSchema.index({ status: 1, createdAt: -1 });
+cardSchema.index({ owner: 1, 'metadata.tags': 1 });
+cardSchema.index({ owner: 1, lastTapped: -1 });
+cardSchema.index({ 'schedule.activeFrom': 1 }, { sparse: true });
+cardSchema.index({ 'schedule.activeUntil': 1 }, { sparse: true });
 
 // Virtual for card URL
 cardSchema.virtual('cardUrl').get(function() {
@@ -197,18 +317,237 @@ cardSchema.methods.activate = function(userId) {
 };
 
 // Instance method to deactivate card
-cardSchema.methods.deactivate = function() {
+cardSchema.methods.deactivate = function(reason = 'owner', note) {
   this.status = 'suspended';
+  this.suspension = {
+    reason,
+    note,
+    suspendedAt: new Date()
+  };
   return this.save();
 };
 
-// Instance method to record tap
-cardSchema.methods.recordTap = function() {
-  this.tapCount += 1;
-  this.lastTapped = new Date();
+// Instance method to get the card's schedule phase: 'upcoming', 'live' or 'ended'.
+// Cards without a schedule are always live.
+cardSchema.methods.schedulePhase = function(at = new Date()) {
+  const { activeFrom, activeUntil } = this.schedule || {};
+  if (activeFrom && at < activeFrom) return 'upcoming';
+  if (activeUntil && at >= activeUntil) return 'ended';
+  return 'live';
+};
+
+// Instance method to get the enabled tap limits as { card, visitor }, each
+// { maxTaps, windowMs } or null
+cardSchema.methods.getTapLimits = function() {
+  const toLimit = (limit) => {
+    if (!limit || !limit.maxTaps) return null;
+    return { maxTaps: limit.maxTaps, windowMs: (limit.windowMinutes || 60) * 60 * 1000 };
+  };
+
+  return {
+    card: toLimit(this.tapLimits?.perCard),
+    visitor: toLimit(this.tapLimits?.perVisitor)
+  };
+};
+
+// Instance method to check whether the card was reported lost, stolen or damaged
+cardSchema.methods.isReportedLost = function() {
+  return this.status === 'suspended' && LOSS_REASONS.includes(this.suspension?.reason);
+};
+
+// Instance method to list this card and the cards it replaced, for historical analytics
+cardSchema.methods.lineageIds = function() {
+  return [...(this.previousCards || []), this._id];
+};
+
+// Instance method to move a lost card's profile link, category, nickname, description and
+// tap history over to a replacement card, activating the replacement for the same owner
+cardSchema.methods.replaceWith = async function(replacement) {
+  const Profile = mongoose.model('Profile');
+
+  replacement.owner = this.owner;
+  replacement.status = 'activated';
+  replacement.isActivated = true;
+  replacement.activatedAt = new Date();
+  replacement.activationCode = undefined;
+  replacement.profile = this.profile;
+  replacement.category = this.category;
+  replacement.nickname = this.nickname;
+  replacement.description = this.description;
+  replacement.previousCards = this.lineageIds();
+  await replacement.save();
+
+  if (this.profile) {
+    await Profile.updateOne({ _id: this.profile }, { $addToSet: { cards: replacement._id } });
+    await Profile.updateOne({ _id: this.profile }, { $pull: { cards: this._id } });
+  }
+
+  this.replacedBy = replacement._id;
+  this.profile = null;
+  this.category = null;
   return this.save();
 };
 
+// Instance method to hand the card to another user. The card keeps its tap count and
+// analytics, while its tap events stay attributed to the previous owner (see TapEvent.owner);
+// its profile and category are either copied for the new owner or detached. The old
+// profile only loses the card once it has been saved, so a failed transfer leaves the
+// card where it was.
+cardSchema.methods.transferTo = async function(user, { keepProfile = false, keepCategory = false } = {}) {
+  const Profile = mongoose.model('Profile');
+  const Category = mongoose.model('Category');
+
+  const [profile, category] = await Promise.all([
+    this.profile ? Profile.findById(this.profile) : null,
+    this.category ? Category.findById(this.category) : null
+  ]);
+
+  const newProfile = keepProfile && profile ? await profile.copyFor(user, [this._id]) : null;
+
+  try {
+    const newCategory = keepCategory && category ? await category.copyFor(user._id) : null;
+
+    this.owner = user._id;
+    this.profile = newProfile ? newProfile._id : null;
+    this.category = newCategory ? newCategory._id : null;
+    await this.save();
+  } catch (error) {
+    if (newProfile) {
+      await Profile.deleteOne({ _id: newProfile._id });
+    }
+    throw error;
+  }
+
+  if (profile) {
+    await Profile.updateOne({ _id: profile._id }, { $pull: { cards: this._id } });
+  }
+  return this;
+};
+
+// Instance method to record tap. Counters are incremented atomically so concurrent
+// taps never overwrite each other; returns the new tap count.
+cardSchema.methods.recordTap = async function(visitorId = null) {
+  const now = new Date();
+  const update = {
+    $inc: { tapCount: 1, 'analytics.totalTaps': 1 },
+    $set: { lastTapped: now, 'analytics.lastAnalyticsUpdate': now }
+  };
+
+  if (visitorId) {
+    const visitors = await VisitorCounter.track('Card', this._id, visitorId, now);
+    update.$set['analytics.uniqueVisitors'] = visitors.allTime;
+  }
+
+  const updated = await this.constructor
+    .findOneAndUpdate({ _id: this._id }, update, { new: true, projection: { tapCount: 1 } })
+    .setOptions({ skipTapCache: true });
+
+  return updated ? updated.tapCount : null;
+};
+
+// Instance method to record a conversion attributed to one of this card's taps
+cardSchema.methods.recordConversion = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    conversionUpdateStages(
+      { conversions: 'analytics.totalConversions', taps: 'tapCount', rate: 'analytics.conversionRate' },
+      { 'analytics.lastAnalyticsUpdate': '$$NOW' }
+    )
+  ).setOptions({ skipTapCache: true });
+};
+
+// Instance method to enable SUN/SDM verification with 16-byte AES keys
+cardSchema.methods.setSdmKeys = function({ metaReadKey, fileReadKey, tagUid, rejectUnverified }) {
+  this.securityFeatures.encryptedUID = true;
+  this.securityFeatures.sdmMetaReadKey = encryptSecret(metaReadKey);
+  this.securityFeatures.sdmFileReadKey = encryptSecret(fileReadKey);
+  this.securityFeatures.tagUid = tagUid || undefined;
+  this.securityFeatures.sdmCounter = -1;
+  if (rejectUnverified !== undefined) {
+    this.securityFeatures.rejectUnverified = rejectUnverified;
+  }
+  return this.save();
+};
+
+// Instance method to turn off SUN/SDM verification and discard the keys
+cardSchema.methods.disableSdm = function() {
+  this.securityFeatures.encryptedUID = false;
+  this.securityFeatures.sdmMetaReadKey = undefined;
+  this.securityFeatures.sdmFileReadKey = undefined;
+  this.securityFeatures.tagUid = undefined;
+  this.securityFeatures.sdmCounter = -1;
+  return this.save();
+};
+
+// Instance method to verify the SUN parameters of a tap (picc_data and cmac query values).
+// The keys must have been selected with '+securityFeatures.sdmMetaReadKey +securityFeatures.sdmFileReadKey'.
+// With consume: false the counter is checked against the stored one but not advanced, so
+// previews don't use up a tap. Such a check never verifies a tap: a fresh counter returns
+// 'unverified' with reason 'not-consumed', an old one 'replayed'.
+// Returns { status: 'verified' | 'replayed' | 'unverified', reason, counter }.
+cardSchema.methods.verifySecureTap = async function(params = {}, { consume = true } = {}) {
+  const security = this.securityFeatures || {};
+
+  if (!security.encryptedUID) {
+    return { status: 'unverified', reason: 'not-enabled' };
+  }
+  if (!security.sdmMetaReadKey || !security.sdmFileReadKey) {
+    return { status: 'unverified', reason: 'keys-unavailable' };
+  }
+
+  let keys;
+  try {
+    keys = {
+      metaReadKey: decryptSecret(security.sdmMetaReadKey),
+      fileReadKey: decryptSecret(security.sdmFileReadKey)
+    };
+  } catch (error) {
+    console.error('SDM key decryption error:', error.message);
+    return { status: 'unverified', reason: 'key-error' };
+  }
+
+  const result = verifySunMessage(keys, {
+    piccData: params.picc_data,
+    cmac: params.cmac
+  });
+
+  if (!result.valid) {
+    return { status: 'unverified', reason: result.reason };
+  }
+  if (security.tagUid && security.tagUid !== result.uid) {
+    return { status: 'unverified', reason: 'uid-mismatch', counter: result.counter };
+  }
+
+  if (!consume) {
+    // Compare with the stored counter; this copy may come from the tap cache
+    const stored = await this.constructor.findById(this._id).select('securityFeatures.sdmCounter').lean();
+    const storedCounter = stored?.securityFeatures?.sdmCounter ?? security.sdmCounter;
+
+    return result.counter > storedCounter ?
+      { status: 'unverified', reason: 'not-consumed', counter: result.counter } :
+      { status: 'replayed', reason: 'counter-not-increased', counter: result.counter };
+  }
+
+  // Accept each counter value once; the conditional update makes concurrent replays lose
+  const update = { 'securityFeatures.sdmCounter': result.counter };
+  if (!security.tagUid) update['securityFeatures.tagUid'] = result.uid;
+
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, 'securityFeatures.sdmCounter': { $lt: result.counter } },
+    { $set: update }
+  ).setOptions({ skipTapCache: true });
+
+  if (modifiedCount === 0) {
+    return { status: 'replayed', reason: 'counter-not-increased', counter: result.counter };
+  }
+
+  // Keep a cached copy of this card in step with the stored counter
+  security.sdmCounter = result.counter;
+  if (!security.tagUid) security.tagUid = result.uid;
+
+  return { status: 'verified', reason: null, counter: result.counter };
+};
+
 // Instance method to reset card
 cardSchema.methods.reset = function() {
   this.owner = null;
@@ -220,6 +559,9 @@ cardSchema.methods.reset = function() {
   this.description = undefined;
   this.tapCount = 0;
   this.lastTapped = undefined;
+  this.suspension = undefined;
+  this.replacedBy = null;
+  this.previousCards = [];
   this.activationCode = this.generateActivationCode();
   this.analytics = {
     totalTaps: 0,
@@ -234,6 +576,38 @@ cardSchema.statics.findByOwner = function(userId) {
   return this.find({ owner: userId }).populate('profile');
 };
 
+// Static method to search an owner's cards with filters (see utils/cardQuery), sorting and
+// cursor pagination. Returns { cards, total, hasMore, nextCursor }.
+cardSchema.statics.search = async function(ownerId, options = {}, { sort, limit = 25, cursor } = {}) {
+  const order = parseSort(sort);
+  const filter = buildCardFilter(ownerId, options);
+  const page = { ...filter };
+
+  const after = cursor ? cursorCondition(cursor, order) : null;
+  if (after) {
+    page.$and = [...(filter.$and || []), after];
+  }
+
+  const [cards, total] = await Promise.all([
+    this.find(page)
+      .sort(order.spec)
+      .limit(limit + 1)
+      .populate('profile')
+      .populate('category', 'name icon color'),
+    this.countDocuments(filter)
+  ]);
+
+  const hasMore = cards.length > limit;
+  if (hasMore) cards.pop();
+
+  return {
+    cards,
+    total,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(cards[cards.length - 1], order) : null
+  };
+};
+
 // Static method to find available cards
 cardSchema.statics.findAvailable = function() {
   return this.find({ 
@@ -298,4 +672,7 @@ cardSchema.statics.findByActivationCode = function(code) {
   });
 };
 
+// Drop cached tap resolutions when a card changes
+tapCache.watch(cardSchema, 'card');
+
 module.exports = mongoose.model('Card', cardSchema);
\ No newline at end of file
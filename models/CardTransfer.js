@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Owner-initiated hand-over of a card to another user. The sender shares a one-time
+// code (or invites an email address); the recipient accepts it to become the owner.
+const cardTransferSchema = new mongoose.Schema({
+  card: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    required: true
+  },
+  fromUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Email invitations can only be accepted by the user with this email
+  toEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // SHA-256 of the transfer code; the code itself is only shown once
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Give the recipient a copy of the card's profile and category instead of detaching them
+  keepProfile: {
+    type: Boolean,
+    default: false
+  },
+  keepCategory: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.codeHash;
+      return ret;
+    }
+  }
+});
+
+cardTransferSchema.index({ card: 1, status: 1 });
+cardTransferSchema.index({ fromUser: 1, status: 1 });
+cardTransferSchema.index({ toEmail: 1, status: 1 });
+
+// Transfer codes are valid for this many days
+const TRANSFER_LIFETIME_DAYS = 7;
+
+// Unambiguous characters for codes that are read out or typed by hand
+const CODE_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+const hashCode = (code) => {
+  return crypto.createHash('sha256').update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, '')).digest('hex');
+};
+
+// Virtual for expiry
+cardTransferSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+// Static method to start a transfer, replacing any pending one for the card.
+// Returns { transfer, code }.
+cardTransferSchema.statics.createForCard = async function(card, fromUserId, options = {}) {
+  await this.updateMany({ card: card._id, status: 'pending' }, { status: 'cancelled' });
+
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_CHARACTERS.charAt(crypto.randomInt(CODE_CHARACTERS.length));
+  }
+
+  const transfer = await this.create({
+    card: card._id,
+    fromUser: fromUserId,
+    toEmail: options.toEmail || undefined,
+    codeHash: hashCode(code),
+    keepProfile: Boolean(options.keepProfile),
+    keepCategory: Boolean(options.keepCategory),
+    expiresAt: new Date(Date.now() + TRANSFER_LIFETIME_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { transfer, code };
+};
+
+// Static method to find an unexpired pending transfer by its code
+cardTransferSchema.statics.findPendingByCode = function(code) {
+  return this.findOne({
+    codeHash: hashCode(code),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Instance method to mark the transfer accepted. Only one caller can claim a
+// pending transfer; returns false if it was accepted or cancelled meanwhile.
+cardTransferSchema.methods.claim = async function(userId) {
+  const acceptedAt = new Date();
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, status: 'pending' },
+    { $set: { status: 'accepted', acceptedBy: userId, acceptedAt } }
+  );
+
+  if (modifiedCount === 0) return false;
+
+  this.status = 'accepted';
+  this.acceptedBy = userId;
+  this.acceptedAt = acceptedAt;
+  return true;
+};
+
+// Instance method to return a claimed transfer to pending, e.g. when moving the
+// card failed. Only undoes this user's claim.
+cardTransferSchema.methods.release = async function(userId) {
+  await this.constructor.updateOne(
+    { _id: this._id, status: 'accepted', acceptedBy: userId },
+    { $set: { status: 'pending' }, $unset: { acceptedBy: 1, acceptedAt: 1 } }
+  );
+
+  this.status = 'pending';
+  this.acceptedBy = undefined;
+  this.acceptedAt = undefined;
+};
+
+const CardTransfer = mongoose.model('CardTransfer', cardTransferSchema);
+
+module.exports = CardTransfer;
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { conversionUpdateStages } = require('../utils/statistics');
+const VisitorCounter = require('./VisitorCounter');
+const tapCache = require('../services/tapCache');
 
 // Category Schema for organizing NFC cards
 const categorySchema = new mongoose.Schema({
@@ -67,6 +71,19 @@ const categorySchema = new mongoose.Schema({
       goalType: { type: String, enum: ['visit', 'signup', 'purchase', 'download'] }
     },
     
+    // UTM and click ID parameters appended to outbound redirects of this category's cards.
+    // Templates may use {card}, {cardUID}, {category}, {batch}, {profile} and {method}.
+    urlDecoration: {
+      enabled: { type: Boolean, default: false },
+      utmSource: { type: String, trim: true, maxLength: 100, default: 'tapmein' },
+      utmMedium: { type: String, trim: true, maxLength: 100, default: '{method}' },
+      utmCampaign: { type: String, trim: true, maxLength: 100, default: '{category}' },
+      utmTerm: { type: String, trim: true, maxLength: 100 },
+      utmContent: { type: String, trim: true, maxLength: 100, default: '{card}' },
+      clickId: { type: Boolean, default: false },
+      override: { type: Boolean, default: false }
+    },
+    
     // Notification settings
     notifications: {
       dailySummary: { type: Boolean, default: false },
@@ -78,11 +95,20 @@ const categorySchema = new mongoose.Schema({
     }
   },
   
+  // Server-to-server conversion key. Only its SHA-256 is stored; the key itself is
+  // shown once when it is generated, and the hint tells the owner which key is active.
+  conversionKey: {
+    hash: { type: String, select: false },
+    hint: { type: String },
+    createdAt: { type: Date }
+  },
+  
   // Performance Tracking
   stats: {
     totalCards: { type: Number, default: 0 },
     totalTaps: { type: Number, default: 0 },
     uniqueVisitors: { type: Number, default: 0 },
+    totalConversions: { type: Number, default: 0 },
     conversionRate: { type: Number, default: 0 },
     lastActivityAt: { type: Date },
     
@@ -113,7 +139,13 @@ const categorySchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      if (ret.conversionKey) delete ret.conversionKey.hash;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -122,6 +154,9 @@ categorySchema.index({ owner: 1, name: 1 }, { unique: true });
 categorySchema.index({ owner: 1, type: 1 });
 categorySchema.index({ owner: 1, isActive: 1 });
 categorySchema.index({ 'stats.lastActivityAt': -1 });
+categorySchema.index({ 'conversionKey.hash': 1 }, { sparse: true });
+
+const hashConversionKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
 
 // Virtual for cards in this category
 categorySchema.virtual('cards', {
@@ -174,50 +209,108 @@ categorySchema.methods.calculateTrend = function() {
   return ((lastWeekTaps - previousWeekTaps) / previousWeekTaps) * 100;
 };
 
-// Method to update stats when a card is tapped
-categorySchema.methods.recordTap = async function(visitorId, conversion = false) {
-  const today = new Date();
+// Method to update stats when a card is tapped. Uses atomic updates so concurrent
+// taps on cards of the same category never overwrite each other.
+categorySchema.methods.recordTap = async function(visitorId) {
+  const Category = this.constructor;
+  const now = new Date();
+  const today = new Date(now);
   today.setHours(0, 0, 0, 0);
   
-  // Update overall stats
-  this.stats.totalTaps += 1;
-  this.stats.lastActivityAt = new Date();
+  // Unique visitors come from the category's visitor sketches
+  const visitors = visitorId ?
+    await VisitorCounter.track('Category', this._id, visitorId, now) : null;
   
-  // Update or create daily stat
-  let dailyStat = this.stats.dailyStats.find(stat => 
-    stat.date.getTime() === today.getTime()
-  );
+  const set = { 'stats.lastActivityAt': now };
+  if (visitors) set['stats.uniqueVisitors'] = visitors.allTime;
   
-  if (!dailyStat) {
-    dailyStat = { date: today, taps: 0, uniqueVisitors: 0, conversions: 0 };
-    this.stats.dailyStats.push(dailyStat);
-  }
+  // Bump today's daily stat in place; false when it does not exist yet
+  const updateToday = async () => {
+    const daySet = visitors ? { 'stats.dailyStats.$.uniqueVisitors': visitors.daily } : {};
+    const { matchedCount } = await Category.updateOne(
+      { _id: this._id, 'stats.dailyStats.date': today },
+      { $inc: { 'stats.totalTaps': 1, 'stats.dailyStats.$.taps': 1 }, $set: { ...set, ...daySet } }
+    ).setOptions({ skipTapCache: true });
+    return matchedCount > 0;
+  };
   
-  dailyStat.taps += 1;
+  if (await updateToday()) return;
   
-  // Track unique visitor (simplified - in production, use more sophisticated tracking)
-  if (visitorId && !this.hasVisitedToday(visitorId, today)) {
-    dailyStat.uniqueVisitors += 1;
-    this.stats.uniqueVisitors += 1;
-  }
+  // First tap of the day: add the entry, unless a concurrent tap just did
+  const { matchedCount } = await Category.updateOne(
+    { _id: this._id, 'stats.dailyStats.date': { $ne: today } },
+    {
+      $inc: { 'stats.totalTaps': 1 },
+      $set: set,
+      $push: {
+        'stats.dailyStats': { date: today, taps: 1, uniqueVisitors: visitors ? visitors.daily : 0, conversions: 0 }
+      }
+    }
+  ).setOptions({ skipTapCache: true });
   
-  // Track conversion
-  if (conversion) {
-    dailyStat.conversions += 1;
+  if (matchedCount === 0) {
+    await updateToday();
+    return;
   }
   
   // Keep only last 90 days of daily stats
   const ninetyDaysAgo = new Date(Date.now() - (90 * 24 * 60 * 60 * 1000));
-  this.stats.dailyStats = this.stats.dailyStats.filter(stat => stat.date >= ninetyDaysAgo);
+  await Category.updateOne(
+    { _id: this._id },
+    { $pull: { 'stats.dailyStats': { date: { $lt: ninetyDaysAgo } } } }
+  ).setOptions({ skipTapCache: true });
+};
+
+// Method to update stats when a tap in this category converts
+categorySchema.methods.recordConversion = async function(date = new Date()) {
+  const Category = this.constructor;
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  
+  await Category.updateOne(
+    { _id: this._id },
+    conversionUpdateStages({
+      conversions: 'stats.totalConversions',
+      taps: 'stats.totalTaps',
+      rate: 'stats.conversionRate'
+    })
+  ).setOptions({ skipTapCache: true });
+  
+  // Bump the day's entry by date, never by position; false when it does not exist
+  const updateDay = async () => {
+    const { matchedCount } = await Category.updateOne(
+      { _id: this._id, 'stats.dailyStats.date': day },
+      { $inc: { 'stats.dailyStats.$.conversions': 1 } }
+    ).setOptions({ skipTapCache: true });
+    return matchedCount > 0;
+  };
+  
+  if (await updateDay()) return;
   
+  // No taps recorded that day: add the entry, unless a concurrent conversion just did
+  const { matchedCount } = await Category.updateOne(
+    { _id: this._id, 'stats.dailyStats.date': { $ne: day } },
+    { $push: { 'stats.dailyStats': { date: day, taps: 0, uniqueVisitors: 0, conversions: 1 } } }
+  ).setOptions({ skipTapCache: true });
+  
+  if (matchedCount === 0) {
+    await updateDay();
+  }
+};
+
+// Method to issue a new server-to-server conversion key, replacing the current one.
+// Returns the key; it is not stored and cannot be shown again.
+categorySchema.methods.regenerateConversionKey = async function() {
+  const key = `tmk_${crypto.randomBytes(20).toString('hex')}`;
+  this.conversionKey = { hash: hashConversionKey(key), hint: key.slice(-4), createdAt: new Date() };
   await this.save();
+  return key;
 };
 
-// Helper method to check if visitor has visited today (simplified implementation)
-categorySchema.methods.hasVisitedToday = function(visitorId, date) {
-  // In production, this would query a separate VisitorTracking collection
-  // For now, simplified logic
-  return false;
+// Static method to check a server-to-server conversion key for a category
+categorySchema.statics.verifyConversionKey = async function(categoryId, key) {
+  if (typeof key !== 'string' || !key) return false;
+  return Boolean(await this.exists({ _id: categoryId, 'conversionKey.hash': hashConversionKey(key) }));
 };
 
 // Static method to get user's categories with performance data
@@ -303,6 +396,27 @@ categorySchema.pre('save', function(next) {
   next();
 });
 
+// Instance method to get the matching category of another owner: their category with
+// the same name, or a copy of this one without its stats and integrations
+categorySchema.methods.copyFor = async function(ownerId) {
+  const Category = this.constructor;
+  const existing = await Category.findOne({ owner: ownerId, name: this.name });
+  if (existing) return existing;
+
+  const data = this.toObject({ virtuals: false, depopulate: true });
+
+  return Category.create({
+    name: data.name,
+    description: data.description,
+    icon: data.icon,
+    color: data.color,
+    type: data.type,
+    owner: ownerId,
+    settings: data.settings,
+    metadata: { tags: data.metadata?.tags || [] }
+  });
+};
+
 // Post-save middleware to update card counts
 categorySchema.post('save', async function() {
   if (this.isModified('isActive')) {
@@ -320,6 +434,9 @@ categorySchema.post('save', async function() {
   }
 });
 
+// Drop cached tap resolutions when a category changes
+tapCache.watch(categorySchema, 'category');
+
 const Category = mongoose.model('Category', categorySchema);
 
 module.exports = Category;
\ No newline at end of file
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+// Conversions reported by destination sites, attributed to the tap that sent the visitor
+const conversionSchema = new mongoose.Schema({
+  // The originating tap; a tap converts at most once
+  tapEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TapEvent',
+    required: true,
+    unique: true
+  },
+  card: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    required: true
+  },
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    default: null
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true
+  },
+
+  goalType: {
+    type: String,
+    enum: ['visit', 'signup', 'purchase', 'download'],
+    default: 'visit'
+  },
+  value: {
+    type: Number,
+    min: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  orderId: {
+    type: String,
+    trim: true,
+    maxLength: [100, 'Order ID cannot exceed 100 characters']
+  },
+
+  // How the conversion was reported
+  source: {
+    type: String,
+    enum: ['pixel', 'api'],
+    required: true
+  },
+
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+conversionSchema.index({ owner: 1, timestamp: -1 });
+conversionSchema.index({ category: 1, timestamp: -1 });
+
+// Conversions must be reported within this many days of the tap
+const ATTRIBUTION_WINDOW_DAYS = 30;
+
+// Static method to attribute a conversion to a tap event and update the
+// conversion stats of its card, profile and category.
+// Returns { status: 'recorded' | 'duplicate' | 'rejected', reason, conversion }.
+conversionSchema.statics.recordForTap = async function(tap, details = {}) {
+  const Card = mongoose.model('Card');
+  const Profile = mongoose.model('Profile');
+  const Category = mongoose.model('Category');
+  const TapEvent = mongoose.model('TapEvent');
+
+  if (tap.filtered) {
+    return { status: 'rejected', reason: 'filtered-tap' };
+  }
+
+  const windowStart = Date.now() - ATTRIBUTION_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  if (tap.timestamp.getTime() < windowStart) {
+    return { status: 'rejected', reason: 'attribution-window-expired' };
+  }
+
+  const category = tap.category ? await Category.findById(tap.category) : null;
+  if (!category || !category.settings?.analytics?.trackConversions) {
+    return { status: 'rejected', reason: 'tracking-disabled' };
+  }
+
+  // The unique tapEvent index decides which of several concurrent or repeated
+  // reports for the same click wins; nothing is marked until it has
+  let conversion;
+  try {
+    conversion = await this.create({
+      tapEvent: tap._id,
+      card: tap.card,
+      profile: tap.profile,
+      owner: tap.owner,
+      category: category._id,
+      goalType: details.goalType || category.settings.analytics.goalType || 'visit',
+      value: details.value,
+      currency: details.currency,
+      orderId: details.orderId,
+      source: details.source
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { status: 'duplicate', reason: 'already-converted' };
+    }
+    throw error;
+  }
+
+  await TapEvent.updateOne(
+    { _id: tap._id },
+    { $set: { converted: true, convertedAt: conversion.timestamp } }
+  );
+
+  const [card, profile] = await Promise.all([
+    Card.findById(tap.card),
+    tap.profile ? Profile.findById(tap.profile) : null
+  ]);
+
+  if (card) await card.recordConversion();
+  if (profile) await profile.recordConversion();
+  await category.recordConversion(conversion.timestamp);
+
+  return { status: 'recorded', reason: null, conversion };
+};
+
+const Conversion = mongoose.model('Conversion', conversionSchema);
+
+module.exports = Conversion;
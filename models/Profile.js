@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { isValidTimezone, explainTimeWindow } = require('../utils/schedule');
+const { CRITERION_TYPES, GATED_CRITERIA, OPERATORS, compareValues, traceEntry, findMatchingRule } = require('../utils/ruleEngine');
+const { VCARD_VERSIONS, VCARD_FIELDS } = require('../utils/vcard');
+const { conversionUpdateStages } = require('../utils/statistics');
+const VisitorCounter = require('./VisitorCounter');
+const tapCache = require('../services/tapCache');
 
 const profileSchema = new mongoose.Schema({
   userId: {
@@ -43,13 +50,58 @@ const profileSchema = new mongoose.Schema({
       message: 'Redirect URL must be a valid HTTP/HTTPS URL'
     }
   },
+  // Used instead of the resolved destination while that destination is failing health checks
+  fallbackUrl: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return !v || /^https?:\/\/.+$/i.test(v);
+      },
+      message: 'Fallback URL must be a valid HTTP/HTTPS URL'
+    }
+  },
+  // Owner-set maintenance message shown instead of redirecting
+  outOfOffice: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Out of office message cannot exceed 500 characters']
+    },
+    // Switches itself off after this time
+    until: Date
+  },
+  // Destination monitoring by the background health checker
+  healthCheck: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    targets: [{
+      url: { type: String, required: true },
+      status: {
+        type: String,
+        enum: ['healthy', 'failing'],
+        default: 'healthy'
+      },
+      consecutiveFailures: { type: Number, default: 0 },
+      lastStatusCode: Number,
+      lastError: { type: String, trim: true },
+      lastCheckedAt: Date,
+      failingSince: Date
+    }]
+  },
   cards: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Card'
   }],
   redirectType: {
     type: String,
-    enum: ['static', 'time-based', 'geo-based', 'conditional'],
+    enum: ['static', 'time-based', 'geo-based', 'conditional', 'split', 'rules', 'landing-page', 'vcard'],
     default: 'static'
   },
   // Time-based redirect rules
@@ -94,10 +146,30 @@ const profileSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // IANA timezone (e.g. America/New_York); falls back to the owner's timezone
     timezone: {
       type: String,
-      default: 'UTC'
-    }
+      trim: true,
+      validate: {
+        validator: function(v) {
+          return !v || isValidTimezone(v);
+        },
+        message: 'Timezone must be a valid IANA timezone name'
+      }
+    },
+    // Optional date bounds for seasonal or campaign rules
+    validFrom: Date,
+    validUntil: Date,
+    // One-off event dates (YYYY-MM-DD); when set the rule only applies on these dates
+    eventDates: [{
+      type: String,
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Event dates must be in YYYY-MM-DD format']
+    }],
+    // Holiday exceptions (YYYY-MM-DD) on which the rule is skipped
+    excludedDates: [{
+      type: String,
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Excluded dates must be in YYYY-MM-DD format']
+    }]
   }],
   // Geographic-based redirect rules
   geoBasedRedirects: [{
@@ -187,6 +259,90 @@ const profileSchema = new mongoose.Schema({
       min: 1
     }
   }],
+  // Composite redirect rules combining time, location and request criteria
+  rules: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, 'Rule name cannot exceed 100 characters']
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+      validate: {
+        validator: function(v) {
+          return /^https?:\/\/.+$/i.test(v);
+        },
+        message: 'URL must be a valid HTTP/HTTPS URL'
+      }
+    },
+    // 'all' requires every criterion to match (AND), 'any' requires one (OR)
+    match: {
+      type: String,
+      enum: ['all', 'any'],
+      default: 'all'
+    },
+    criteria: [{
+      type: {
+        type: String,
+        required: true,
+        enum: CRITERION_TYPES
+      },
+      operator: {
+        type: String,
+        enum: OPERATORS,
+        default: 'equals'
+      },
+      value: {
+        type: String,
+        trim: true
+      },
+      // Query string parameter name, for 'query' criteria
+      param: {
+        type: String,
+        trim: true
+      },
+      // Time window fields, for 'time' criteria
+      startTime: {
+        type: String,
+        match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Start time must be in HH:MM format']
+      },
+      endTime: {
+        type: String,
+        match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'End time must be in HH:MM format']
+      },
+      daysOfWeek: [{
+        type: Number,
+        min: 0,
+        max: 6
+      }],
+      timezone: {
+        type: String,
+        trim: true,
+        validate: {
+          validator: function(v) {
+            return !v || isValidTimezone(v);
+          },
+          message: 'Timezone must be a valid IANA timezone name'
+        }
+      },
+      validFrom: Date,
+      validUntil: Date,
+      eventDates: [String],
+      excludedDates: [String]
+    }],
+    active: {
+      type: Boolean,
+      default: true
+    },
+    priority: {
+      type: Number,
+      default: 1,
+      min: 1
+    }
+  }],
   // Webhook configuration
   webhookUrl: {
     type: String,
@@ -221,6 +377,105 @@ const profileSchema = new mongoose.Schema({
       default: true
     }
   },
+  // Links and buttons shown on the hosted landing page
+  links: [{
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, 'Link label cannot exceed 100 characters']
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+      validate: {
+        validator: function(v) {
+          return /^(https?:\/\/.+|mailto:.+|tel:.+)$/i.test(v);
+        },
+        message: 'Link URL must be a valid HTTP/HTTPS, mailto: or tel: URL'
+      }
+    },
+    // Bootstrap icon name, e.g. 'bi-linkedin'
+    icon: {
+      type: String,
+      trim: true,
+      match: [/^bi-[a-z0-9-]+$/, 'Icon must be a Bootstrap icon class name']
+    },
+    active: {
+      type: Boolean,
+      default: true
+    },
+    order: {
+      type: Number,
+      default: 0
+    }
+  }],
+  // Contact card (.vcf) settings
+  vcard: {
+    // Owner details shared in the vCard; the name is always included
+    fields: {
+      type: [{ type: String, enum: VCARD_FIELDS }],
+      default: ['email', 'company', 'website', 'photo']
+    },
+    version: {
+      type: String,
+      enum: VCARD_VERSIONS,
+      default: '3.0'
+    },
+    // Embed the profile image in the file instead of linking to it
+    embedPhoto: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // UTM and click ID parameters appended to outbound redirects; overrides the category's settings.
+  // Templates may use {card}, {cardUID}, {category}, {batch}, {profile} and {method}.
+  urlDecoration: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    utmSource: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'UTM template cannot exceed 100 characters'],
+      default: 'tapmein'
+    },
+    utmMedium: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'UTM template cannot exceed 100 characters'],
+      default: '{method}'
+    },
+    utmCampaign: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'UTM template cannot exceed 100 characters'],
+      default: '{category}'
+    },
+    utmTerm: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'UTM template cannot exceed 100 characters']
+    },
+    utmContent: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'UTM template cannot exceed 100 characters'],
+      default: '{card}'
+    },
+    // Append a unique click ID (tmi_cid) even when conversions are not tracked
+    clickId: {
+      type: Boolean,
+      default: false
+    },
+    // Replace parameters already present on the destination URL
+    override: {
+      type: Boolean,
+      default: false
+    }
+  },
   // Customization options
   customization: {
     theme: {
@@ -258,6 +513,10 @@ const profileSchema = new mongoose.Schema({
       default: 0
     },
     lastTapped: Date,
+    totalConversions: {
+      type: Number,
+      default: 0
+    },
     conversionRate: {
       type: Number,
       default: 0,
@@ -312,7 +571,13 @@ const profileSchema = new mongoose.Schema({
     redirectUrl: {
       type: String,
       required: true,
-      trim: true
+      trim: true,
+      validate: {
+        validator: function(v) {
+          return /^https?:\/\/.+$/i.test(v);
+        },
+        message: 'Variant redirect URL must be a valid HTTP/HTTPS URL'
+      }
     },
     active: {
       type: Boolean,
@@ -347,126 +612,465 @@ profileSchema.virtual('totalCards').get(function() {
 profileSchema.virtual('totalRedirectRules').get(function() {
   return (this.timeBasedRedirects?.length || 0) + 
          (this.geoBasedRedirects?.length || 0) + 
-         (this.conditionalRedirects?.length || 0);
+         (this.conditionalRedirects?.length || 0) +
+         (this.rules?.length || 0);
 });
 
-// Instance method to get effective redirect URL
-profileSchema.methods.getRedirectUrl = function(context = {}) {
-  if (this.redirectType === 'static') {
-    return this.redirectUrl;
+// Instance method to resolve the redirect URL and the rule that produced it, after out of
+// office and fallback handling. Pass a trace array to record every rule evaluated and why it was rejected.
+profileSchema.methods.resolveRedirect = function(context = {}, trace = null) {
+  return this.applyAvailability(this.resolveDestination(context, trace), context, trace);
+};
+
+// Instance method to check whether the out of office message is currently shown
+profileSchema.methods.isOutOfOffice = function(at = new Date()) {
+  const { enabled, until } = this.outOfOffice || {};
+  return Boolean(enabled) && (!until || until > at);
+};
+
+// Instance method to check whether a destination is currently failing health checks.
+// Results from before checks were turned off are ignored.
+profileSchema.methods.isDestinationFailing = function(url) {
+  if (this.healthCheck?.enabled === false) return false;
+
+  const targets = this.healthCheck?.targets || [];
+  return targets.some(target => target.url === url && target.status === 'failing');
+};
+
+// Instance method to swap a resolved destination for the out of office page or the
+// fallback URL. Hosted pages (landing page, vCard) are always available.
+profileSchema.methods.applyAvailability = function(resolution, context = {}, trace = null) {
+  if (this.isOutOfOffice(context.timestamp)) {
+    if (trace) trace.push({ type: 'out-of-office', matched: true, reason: 'Out of office message is on' });
+    return {
+      url: this.fallbackUrl || null,
+      rule: { type: 'out-of-office' },
+      message: this.outOfOffice.message
+    };
+  }
+
+  const isHosted = ['landing-page', 'vcard'].includes(resolution.rule.type);
+  if (!isHosted && this.fallbackUrl && this.isDestinationFailing(resolution.url)) {
+    if (trace) {
+      trace.push({ type: 'fallback', matched: true, reason: `${resolution.url} is failing health checks` });
+    }
+    return {
+      url: this.fallbackUrl,
+      rule: { type: 'fallback' }
+    };
+  }
+
+  return resolution;
+};
+
+// Instance method to list the external URLs this profile can redirect to
+profileSchema.methods.getDestinationUrls = function() {
+  const urls = [
+    this.redirectUrl,
+    ...this.timeBasedRedirects.map(rule => rule.url),
+    ...this.geoBasedRedirects.map(rule => rule.url),
+    ...this.conditionalRedirects.map(rule => rule.url),
+    ...this.rules.map(rule => rule.url),
+    ...this.variants.map(variant => variant.redirectUrl)
+  ];
+
+  return [...new Set(urls.filter(url => /^https?:\/\//i.test(url || '')))];
+};
+
+// Instance method to resolve the destination from the redirect type and rules alone
+profileSchema.methods.resolveDestination = function(context = {}, trace = null) {
+  const matched = (type, rule) => ({
+    url: rule.url,
+    rule: { type, ruleId: rule._id, name: rule.name }
+  });
+
+  // Hosted landing page instead of an external site
+  if (this.redirectType === 'landing-page') {
+    return {
+      url: this.profileUrl,
+      rule: { type: 'landing-page' }
+    };
+  }
+
+  // Contact card download for the tapped card
+  if (this.redirectType === 'vcard' && context.cardUID) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    return {
+      url: `${baseUrl}/tap/${context.cardUID}/vcard`,
+      rule: { type: 'vcard' }
+    };
+  }
+
+  // Weighted A/B split between variants
+  if (this.redirectType === 'split') {
+    const variant = this.pickVariant(context, trace);
+    if (variant) {
+      return {
+        url: variant.redirectUrl,
+        rule: { type: 'variant', ruleId: variant._id, name: variant.name },
+        variant: { variantId: variant._id, name: variant.name }
+      };
+    }
+  }
+
+  // Composite rules, evaluated in priority order
+  if (this.redirectType === 'rules' && this.rules.length > 0) {
+    const rule = findMatchingRule(this.rules, context, trace);
+    if (rule) {
+      return matched('rule', rule);
+    }
   }
 
   // Time-based redirects
   if (this.redirectType === 'time-based' && this.timeBasedRedirects.length > 0) {
-    const activeTimeRule = this.getActiveTimeBasedRedirect(context.timestamp);
+    const activeTimeRule = this.getActiveTimeBasedRedirect(context.timestamp, context.timezone, trace);
     if (activeTimeRule) {
-      return activeTimeRule.url;
+      return matched('time-based', activeTimeRule);
     }
   }
 
   // Geo-based redirects
   if (this.redirectType === 'geo-based' && this.geoBasedRedirects.length > 0) {
-    const geoRule = this.getActiveGeoBasedRedirect(context.location);
+    const geoRule = this.getActiveGeoBasedRedirect(context.location, trace);
     if (geoRule) {
-      return geoRule.url;
+      return matched('geo-based', geoRule);
     }
   }
 
   // Conditional redirects
   if (this.redirectType === 'conditional' && this.conditionalRedirects.length > 0) {
-    const conditionalRule = this.getActiveConditionalRedirect(context);
+    const conditionalRule = this.getActiveConditionalRedirect(context, trace);
     if (conditionalRule) {
-      return conditionalRule.url;
+      return matched('conditional', conditionalRule);
     }
   }
 
   // Fallback to default URL
-  return this.redirectUrl;
+  return {
+    url: this.redirectUrl,
+    rule: { type: 'default' }
+  };
 };
 
-// Instance method to get active time-based redirect
-profileSchema.methods.getActiveTimeBasedRedirect = function(timestamp = new Date()) {
-  const now = new Date(timestamp);
-  const currentDay = now.getDay(); // 0-6 (Sunday=0)
-  const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
+// Instance method to check whether the hosted landing page can be shown publicly
+profileSchema.methods.isLandingPageVisible = function() {
+  return this.isActive && (this.isPublic || this.redirectType === 'landing-page');
+};
 
-  return this.timeBasedRedirects
-    .filter(rule => rule.active)
-    .find(rule => {
-      // Check if current day is in the rule's days
-      if (rule.daysOfWeek.length > 0 && !rule.daysOfWeek.includes(currentDay)) {
-        return false;
-      }
+// Instance method to get the active landing page links in display order
+profileSchema.methods.getVisibleLinks = function() {
+  return this.links
+    .filter(link => link.active)
+    .sort((a, b) => a.order - b.order);
+};
+
+// Instance method to build the vCard contact details shared for an owner
+profileSchema.methods.getVCardContact = function(owner) {
+  const fields = (this.vcard && this.vcard.fields) || [];
+  const shares = (field) => fields.includes(field);
+
+  return {
+    firstName: owner.firstName,
+    lastName: owner.lastName,
+    email: shares('email') ? owner.email : undefined,
+    phone: shares('phone') ? owner.phoneNumber : undefined,
+    company: shares('company') ? owner.companyName : undefined,
+    website: shares('website') ? this.redirectUrl : undefined,
+    photoUrl: shares('photo') ? this.imageUrl : undefined,
+    note: shares('note') ? this.description : undefined
+  };
+};
 
-      // Check if current time is within the rule's time range
-      return currentTime >= rule.startTime && currentTime <= rule.endTime;
+// Instance method to get effective redirect URL
+profileSchema.methods.getRedirectUrl = function(context = {}) {
+  return this.resolveRedirect(context).url;
+};
+
+// Map a seed string to a stable number in [0, 1) for this profile
+const seedToUnit = (seed, salt) => {
+  const digest = crypto.createHash('sha256').update(`${salt}:${seed}`).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+};
+
+// Instance method to pick an A/B variant by weight.
+// A previously served variant (context.variantId) is kept while it stays active;
+// otherwise context.variantSeed gives a stable pick for the same visitor.
+profileSchema.methods.pickVariant = function(context = {}, trace = null) {
+  const variants = this.variants.filter(variant => variant.active && variant.weight > 0);
+
+  const record = (picked, assignment) => {
+    if (!trace) return;
+    this.variants.forEach(variant => {
+      let reason = null;
+      if (!variant.active) reason = 'Variant is inactive';
+      else if (!(variant.weight > 0)) reason = 'Variant has no weight';
+      else if (variant !== picked) reason = `Not selected by ${assignment} assignment`;
+      trace.push(traceEntry('variant', variant, reason, { weight: variant.weight }));
     });
+  };
+
+  if (variants.length === 0) {
+    record(null, 'weighted');
+    return null;
+  }
+
+  if (context.variantId) {
+    const sticky = variants.find(variant => variant._id.toString() === context.variantId.toString());
+    if (sticky) {
+      record(sticky, 'sticky');
+      return sticky;
+    }
+  }
+
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const unit = context.variantSeed ? seedToUnit(context.variantSeed, this._id) : Math.random();
+  const roll = unit * totalWeight;
+
+  let cumulative = 0;
+  const picked = variants.find(variant => {
+    cumulative += variant.weight;
+    return roll < cumulative;
+  }) || variants[variants.length - 1];
+
+  record(picked, context.variantSeed ? 'seeded' : 'random');
+  return picked;
+};
+
+// Instance method to make a variant the default destination and end the split test
+profileSchema.methods.promoteVariant = function(variantId) {
+  const variant = this.variants.id(variantId);
+  if (!variant) return null;
+
+  this.redirectUrl = variant.redirectUrl;
+  this.redirectType = 'static';
+  return this.save();
+};
+
+// Return the first rule whose explain() gives no rejection reason.
+// With a trace array, every rule is recorded along with why it was rejected.
+const findFirstRule = (type, rules, ordered, explain, trace) => {
+  let found = null;
+
+  ordered.forEach(rule => {
+    if (found) {
+      if (trace) trace.push(traceEntry(type, rule, 'Not evaluated: an earlier rule matched'));
+      return;
+    }
+
+    const reason = explain(rule);
+    if (trace) trace.push(traceEntry(type, rule, reason));
+    if (reason === null) found = rule;
+  });
+
+  if (trace) {
+    rules
+      .filter(rule => !rule.active)
+      .forEach(rule => trace.push(traceEntry(type, rule, 'Rule is inactive')));
+  }
+
+  return found;
+};
+
+// Instance method to get active time-based redirect
+profileSchema.methods.getActiveTimeBasedRedirect = function(timestamp = new Date(), fallbackTimezone = 'UTC', trace = null) {
+  const rules = this.timeBasedRedirects;
+
+  return findFirstRule('time-based', rules, rules.filter(rule => rule.active),
+    rule => explainTimeWindow(rule, timestamp, fallbackTimezone), trace);
 };
 
 // Instance method to get active geo-based redirect
-profileSchema.methods.getActiveGeoBasedRedirect = function(location = {}) {
-  return this.geoBasedRedirects
+profileSchema.methods.getActiveGeoBasedRedirect = function(location = {}, trace = null) {
+  const rules = this.geoBasedRedirects;
+  const ordered = rules
     .filter(rule => rule.active)
-    .sort((a, b) => b.priority - a.priority) // Higher priority first
-    .find(rule => {
-      // Check country match
-      if (rule.country && location.country !== rule.country) {
-        return false;
-      }
-
-      // Check region match (if specified)
-      if (rule.region && location.region !== rule.region) {
-        return false;
-      }
+    .sort((a, b) => b.priority - a.priority); // Higher priority first
 
-      // Check city match (if specified)
-      if (rule.city && location.city !== rule.city) {
-        return false;
-      }
+  return findFirstRule('geo-based', rules, ordered, rule => {
+    const field = ['country', 'region', 'city'].find(key => rule[key] && (location || {})[key] !== rule[key]);
+    if (!field) return null;
 
-      return true;
-    });
+    const actual = (location || {})[field];
+    return `${field} ${actual ? `'${actual}'` : '(unknown)'} does not match '${rule[field]}'`;
+  }, trace);
 };
 
 // Instance method to get active conditional redirect
-profileSchema.methods.getActiveConditionalRedirect = function(context = {}) {
-  return this.conditionalRedirects
+profileSchema.methods.getActiveConditionalRedirect = function(context = {}, trace = null) {
+  const rules = this.conditionalRedirects;
+  const ordered = rules
     .filter(rule => rule.active)
-    .sort((a, b) => b.priority - a.priority) // Higher priority first
-    .find(rule => {
-      const testValue = context[rule.condition] || '';
-      const ruleValue = rule.value.toLowerCase();
-      const testValueLower = testValue.toLowerCase();
-
-      switch (rule.operator) {
-        case 'equals':
-          return testValueLower === ruleValue;
-        case 'contains':
-          return testValueLower.includes(ruleValue);
-        case 'starts-with':
-          return testValueLower.startsWith(ruleValue);
-        case 'ends-with':
-          return testValueLower.endsWith(ruleValue);
-        case 'regex':
-          try {
-            const regex = new RegExp(rule.value, 'i');
-            return regex.test(testValue);
-          } catch (e) {
-            return false;
-          }
-        default:
-          return testValueLower.includes(ruleValue);
-      }
+    .sort((a, b) => b.priority - a.priority); // Higher priority first
+
+  return findFirstRule('conditional', rules, ordered, rule => {
+    const testValue = context[rule.condition] || '';
+    if (compareValues(rule.operator, testValue, rule.value)) return null;
+
+    return `${rule.condition} ${testValue ? `'${testValue}'` : '(empty)'} does not match ${rule.operator} '${rule.value}'`;
+  }, trace);
+};
+
+// Instance method to convert legacy time, geo and conditional redirects into composite rules.
+// Legacy arrays are left untouched; rules from lists the profile was not using are
+// created inactive so the effective behaviour does not change.
+profileSchema.methods.migrateLegacyRules = function() {
+  if (this.rules.length > 0) return 0;
+
+  const liveType = this.redirectType;
+  const isLive = (type, rule) => liveType === type && rule.active;
+  const converted = [];
+
+  // Time rules were evaluated in list order, so earlier rules get higher priority
+  this.timeBasedRedirects.forEach((rule, index) => {
+    converted.push({
+      name: rule.name,
+      url: rule.url,
+      match: 'all',
+      criteria: [{
+        type: 'time',
+        startTime: rule.startTime,
+        endTime: rule.endTime,
+        daysOfWeek: rule.daysOfWeek,
+        timezone: rule.timezone,
+        validFrom: rule.validFrom,
+        validUntil: rule.validUntil,
+        eventDates: rule.eventDates,
+        excludedDates: rule.excludedDates
+      }],
+      active: isLive('time-based', rule),
+      priority: this.timeBasedRedirects.length - index
+    });
+  });
+
+  this.geoBasedRedirects.forEach(rule => {
+    const criteria = ['country', 'region', 'city']
+      .filter(field => rule[field])
+      .map(field => ({ type: field, operator: 'equals', value: rule[field] }));
+
+    converted.push({
+      name: rule.name,
+      url: rule.url,
+      match: 'all',
+      criteria,
+      active: isLive('geo-based', rule),
+      priority: rule.priority
     });
+  });
+
+  this.conditionalRedirects.forEach(rule => {
+    converted.push({
+      name: rule.name,
+      url: rule.url,
+      match: 'all',
+      criteria: [{ type: rule.condition, operator: rule.operator, value: rule.value }],
+      active: isLive('conditional', rule),
+      priority: rule.priority
+    });
+  });
+
+  if (converted.length === 0) return 0;
+
+  this.rules = converted;
+  if (['time-based', 'geo-based', 'conditional'].includes(liveType)) {
+    this.redirectType = 'rules';
+  }
+
+  return converted.length;
 };
 
 // Instance method to record tap
-profileSchema.methods.recordTap = function() {
-  this.analytics.totalTaps += 1;
-  this.analytics.lastTapped = new Date();
+profileSchema.methods.recordTap = async function(visitorId = null) {
+  const now = new Date();
+  const update = {
+    $inc: { 'analytics.totalTaps': 1 },
+    $set: { 'analytics.lastTapped': now }
+  };
+
+  if (visitorId) {
+    const visitors = await VisitorCounter.track('Profile', this._id, visitorId, now);
+    update.$set['analytics.uniqueVisitors'] = visitors.allTime;
+  }
+
+  // Atomic counter update; tap counters never change redirect behaviour, so cached taps stay valid
+  await this.constructor.updateOne({ _id: this._id }, update).setOptions({ skipTapCache: true });
+};
+
+// Instance method to record a conversion attributed to a tap on this profile
+profileSchema.methods.recordConversion = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    conversionUpdateStages({
+      conversions: 'analytics.totalConversions',
+      taps: 'analytics.totalTaps',
+      rate: 'analytics.conversionRate'
+    })
+  ).setOptions({ skipTapCache: true });
+};
+
+// Instance method to link cards to this profile, keeping Card.profile in sync
+profileSchema.methods.attachCards = async function(cardIds) {
+  const Card = mongoose.model('Card');
+  const Profile = this.constructor;
+
+  // Unlink the cards from any profile they currently belong to
+  await Profile.updateMany(
+    { _id: { $ne: this._id }, cards: { $in: cardIds } },
+    { $pull: { cards: { $in: cardIds } } }
+  );
+
+  await Card.updateMany({ _id: { $in: cardIds } }, { profile: this._id });
+
+  this.cards.addToSet(...cardIds);
+  return this.save();
+};
+
+// Instance method to unlink cards from this profile
+profileSchema.methods.detachCards = async function(cardIds) {
+  const Card = mongoose.model('Card');
+
+  await Card.updateMany(
+    { _id: { $in: cardIds }, profile: this._id },
+    { profile: null }
+  );
+
+  this.cards.pull(...cardIds);
   return this.save();
 };
 
+// Instance method to copy this profile for another user, linked to the given cards.
+// Webhooks, notifications, analytics and health check state stay with the original,
+// and anything the user's plan does not include is left out.
+profileSchema.methods.copyFor = function(user, cardIds = []) {
+  const data = this.toObject({ virtuals: false, depopulate: true });
+  ['_id', '__v', 'createdAt', 'updatedAt', 'cards', 'analytics', 'webhookUrl', 'webhookSecret',
+    'notifications', 'healthCheck'].forEach(key => delete data[key]);
+
+  const lacks = (feature) => !user.hasFeatureAccess(feature);
+
+  if (lacks('timeBasedRedirects')) {
+    data.timeBasedRedirects = [];
+    if (data.redirectType === 'time-based') data.redirectType = 'static';
+  }
+  if (lacks('geoBasedRedirects')) {
+    data.geoBasedRedirects = [];
+    if (data.redirectType === 'geo-based') data.redirectType = 'static';
+  }
+  // Dropping a single criterion would make a rule match more visitors, so whole rules go
+  data.rules = (data.rules || []).filter(rule => {
+    return !rule.criteria.some(criterion => GATED_CRITERIA[criterion.type] && lacks(GATED_CRITERIA[criterion.type]));
+  });
+  if (data.customization && lacks('customBranding')) {
+    delete data.customization.customCss;
+    delete data.customization.logo;
+  }
+
+  return this.constructor.create({
+    ...data,
+    userId: user._id,
+    cards: cardIds
+  });
+};
+
 // Static method to find profiles by user
 profileSchema.statics.findByUser = function(userId) {
   return this.find({ userId }).populate('cards');
@@ -477,4 +1081,7 @@ profileSchema.statics.findPublic = function() {
   return this.find({ isPublic: true, isActive: true });
 };
 
+// Drop cached tap resolutions when a profile changes
+tapCache.watch(profileSchema, 'profile');
+
 module.exports = mongoose.model('Profile', profileSchema);
\ No newline at end of file
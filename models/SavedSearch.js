@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { CARD_STATUSES, ACTIVITY_STATUSES, SORT_FIELDS, DEFAULT_SORT, normalizeTags } = require('../utils/cardQuery');
+
+// Named card search an owner can re-run, optionally shown as a dashboard widget
+const savedSearchSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Search name is required'],
+    trim: true,
+    maxLength: [50, 'Search name cannot exceed 50 characters']
+  },
+  // Same options as the GET /api/cards query
+  filters: {
+    status: { type: String, enum: CARD_STATUSES },
+    category: { type: String, trim: true }, // id or 'none'
+    profile: { type: String, trim: true }, // id or 'none'
+    tags: {
+      type: [String],
+      set: normalizeTags
+    },
+    activityStatus: { type: String, enum: ACTIVITY_STATUSES },
+    lastTappedFrom: Date,
+    lastTappedTo: Date,
+    batchNumber: { type: String, trim: true },
+    q: { type: String, trim: true, maxLength: 100 }
+  },
+  sort: {
+    type: String,
+    default: DEFAULT_SORT,
+    validate: {
+      validator: (value) => SORT_FIELDS.includes(String(value).replace(/^[-+]/, '')),
+      message: `Sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)`
+    }
+  },
+  showOnDashboard: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// Instance method to get the filters as plain card query options
+savedSearchSchema.methods.toQueryOptions = function() {
+  const filters = this.filters ? this.filters.toObject() : {};
+  return Object.fromEntries(Object.entries(filters).filter(([, value]) => {
+    return value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0);
+  }));
+};
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const { FILTER_REASONS } = require('../utils/botDetection');
+
+// Append-only log of every card tap, used as the source for tap analytics
+const tapEventSchema = new mongoose.Schema({
+  // Related Objects
+  card: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    required: true
+  },
+  cardUID: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    default: null
+  },
+  // Owner of the card when it was tapped. Tap events are never rewritten, so after a
+  // transfer the earlier taps stay with the previous owner's analytics.
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+
+  // Redirect outcome
+  redirectUrl: {
+    type: String,
+    trim: true
+  },
+  matchedRule: {
+    type: {
+      type: String,
+      enum: ['default', 'time-based', 'geo-based', 'conditional', 'variant', 'rule', 'landing-page', 'vcard', 'fallback', 'out-of-office'],
+      default: 'default'
+    },
+    ruleId: { type: mongoose.Schema.Types.ObjectId },
+    name: { type: String, trim: true }
+  },
+
+  // A/B variant served, for split profiles
+  variant: {
+    variantId: { type: mongoose.Schema.Types.ObjectId },
+    name: { type: String, trim: true }
+  },
+
+  // Conversion attribution, set once by conversion tracking
+  converted: {
+    type: Boolean,
+    default: false
+  },
+  convertedAt: Date,
+
+  // How the card was read
+  method: {
+    type: String,
+    enum: ['nfc', 'qr'],
+    default: 'nfc'
+  },
+
+  // SUN/SDM check result; plain cards and QR scans are always unverified
+  verification: {
+    type: String,
+    enum: ['verified', 'replayed', 'unverified'],
+    default: 'unverified'
+  },
+  verificationReason: {
+    type: String,
+    trim: true
+  },
+
+  // Bot, link-preview and other non-human traffic: redirected but not counted
+  filtered: {
+    type: Boolean,
+    default: false
+  },
+  filterReason: {
+    type: String,
+    enum: FILTER_REASONS
+  },
+
+  // Visitor information
+  device: {
+    type: { type: String, trim: true }, // mobile, desktop, tablet
+    os: { type: String, trim: true },
+    browser: { type: String, trim: true }
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxLength: [500, 'User agent cannot exceed 500 characters']
+  },
+  ipHash: {
+    type: String,
+    trim: true
+  },
+  referrer: {
+    type: String,
+    trim: true
+  },
+  location: {
+    country: { type: String, trim: true },
+    region: { type: String, trim: true },
+    city: { type: String, trim: true }
+  },
+
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for analytics queries
+tapEventSchema.index({ card: 1, timestamp: -1 });
+tapEventSchema.index({ owner: 1, timestamp: -1 });
+tapEventSchema.index({ profile: 1, timestamp: -1 });
+tapEventSchema.index({ category: 1, timestamp: -1 });
+tapEventSchema.index({ owner: 1, 'location.country': 1 });
+tapEventSchema.index({ profile: 1, 'variant.variantId': 1 });
+tapEventSchema.index({ owner: 1, filtered: 1, timestamp: -1 });
+
+// Tap events are immutable once written
+tapEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Tap events are append-only and cannot be modified'));
+  }
+  next();
+});
+
+// Date parts used to bucket taps by day or hour
+const dateGroup = (granularity = 'day') => {
+  const group = {
+    year: { $year: '$timestamp' },
+    month: { $month: '$timestamp' },
+    day: { $dayOfMonth: '$timestamp' }
+  };
+
+  if (granularity === 'hour') {
+    group.hour = { $hour: '$timestamp' };
+  }
+
+  return group;
+};
+
+// Static method to build a match stage for a time range
+tapEventSchema.statics.buildMatch = function(filter, startDate, endDate) {
+  const match = { ...filter };
+
+  if (startDate || endDate) {
+    match.timestamp = {};
+    if (startDate) match.timestamp.$gte = startDate;
+    if (endDate) match.timestamp.$lte = endDate;
+  }
+
+  return match;
+};
+
+// Static method to get the match condition for an analytics traffic view:
+// 'filtered' hides bot and preview traffic, 'raw' includes everything
+tapEventSchema.statics.trafficMatch = function(traffic = 'filtered') {
+  return traffic === 'raw' ? {} : { filtered: { $ne: true } };
+};
+
+// Static method to get tap counts bucketed by day or hour
+tapEventSchema.statics.getTimeSeries = async function(match, granularity = 'day') {
+  return await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: dateGroup(granularity),
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1, '_id.hour': 1 } }
+  ]);
+};
+
+// Static method to count taps grouped by a field (e.g. 'device.type', 'referrer')
+tapEventSchema.statics.getBreakdown = async function(match, field, limit = 10) {
+  return await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $ifNull: [`$${field}`, 'unknown'] },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { count: -1 } },
+    { $limit: limit }
+  ]);
+};
+
+// Static method to get taps grouped by location
+tapEventSchema.statics.getGeographicBreakdown = async function(match) {
+  return await this.aggregate([
+    {
+      $match: {
+        ...match,
+        'location.country': { $exists: true, $ne: null }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          country: '$location.country',
+          region: '$location.region',
+          city: '$location.city'
+        },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+};
+
+// Static method to get the most tapped cards in a range
+tapEventSchema.statics.getTopCards = async function(match, limit = 5) {
+  return await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$card',
+        taps: { $sum: 1 },
+        lastTapped: { $max: '$timestamp' }
+      }
+    },
+    { $sort: { taps: -1 } },
+    { $limit: limit }
+  ]);
+};
+
+// Static method to get taps and conversions per A/B variant of a profile
+tapEventSchema.statics.getVariantStats = async function(profileId) {
+  return await this.aggregate([
+    {
+      $match: {
+        profile: new mongoose.Types.ObjectId(profileId),
+        'variant.variantId': { $exists: true, $ne: null },
+        filtered: { $ne: true }
+      }
+    },
+    {
+      $group: {
+        _id: '$variant.variantId',
+        taps: { $sum: 1 },
+        conversions: { $sum: { $cond: ['$converted', 1, 0] } }
+      }
+    }
+  ]);
+};
+
+const TapEvent = mongoose.model('TapEvent', tapEventSchema);
+
+module.exports = TapEvent;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const tapCache = require('../services/tapCache');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -91,6 +92,14 @@ const userSchema = new mongoose.Schema({
       default: false
     }
   },
+  // Counted taps on the user's cards this calendar month (UTC), for the plan's monthlyTaps allowance
+  usage: {
+    month: String, // YYYY-MM
+    taps: {
+      type: Number,
+      default: 0
+    }
+  },
   settings: {
     notifications: {
       email: {
@@ -199,6 +208,7 @@ userSchema.methods.hasFeatureAccess = function(feature) {
   const featureMatrix = {
     free: {
       maxCards: 1,
+      monthlyTaps: 500,
       analytics: false,
       timeBasedRedirects: false,
       geoBasedRedirects: false,
@@ -214,6 +224,7 @@ userSchema.methods.hasFeatureAccess = function(feature) {
     },
     basic: {
       maxCards: 3,
+      monthlyTaps: 5000,
       analytics: true,
       timeBasedRedirects: true,
       geoBasedRedirects: false,
@@ -229,6 +240,7 @@ userSchema.methods.hasFeatureAccess = function(feature) {
     },
     standard: {
       maxCards: 10,
+      monthlyTaps: 25000,
       analytics: true,
       timeBasedRedirects: true,
       geoBasedRedirects: true,
@@ -244,6 +256,7 @@ userSchema.methods.hasFeatureAccess = function(feature) {
     },
     premium: {
       maxCards: -1, // unlimited
+      monthlyTaps: -1, // unlimited
       analytics: true,
       timeBasedRedirects: true,
       geoBasedRedirects: true,
@@ -269,6 +282,46 @@ userSchema.methods.hasFeatureAccess = function(feature) {
   return featureMatrix[plan] ? featureMatrix[plan][feature] : false;
 };
 
+// Instance method to count a tap against the plan's monthly allowance.
+// Returns false, without counting it, once the allowance is used up.
+userSchema.methods.consumeMonthlyTap = async function(now = new Date()) {
+  const month = now.toISOString().slice(0, 7);
+  const allowance = this.hasFeatureAccess('monthlyTaps');
+  if (allowance === 0) return false;
+
+  // One update both counts the tap and starts a new month's count, so concurrent
+  // first taps of a month cannot reject each other
+  const filter = { _id: this._id };
+  if (allowance !== -1) {
+    filter.$or = [{ 'usage.month': { $ne: month } }, { 'usage.taps': { $lt: allowance } }];
+  }
+
+  // Usage only changes counters, so it must not evict the owner's cards from the tap cache
+  const { modifiedCount } = await this.constructor
+    .updateOne(filter, [{
+      $set: {
+        'usage.taps': { $cond: [{ $eq: ['$usage.month', month] }, { $add: ['$usage.taps', 1] }, 1] },
+        'usage.month': month
+      }
+    }])
+    .setOptions({ skipTapCache: true });
+  return modifiedCount > 0;
+};
+
+// Instance method to get this month's tap usage against the plan allowance
+userSchema.methods.getMonthlyTapUsage = function(now = new Date()) {
+  const month = now.toISOString().slice(0, 7);
+  const allowance = this.hasFeatureAccess('monthlyTaps');
+  const used = this.usage?.month === month ? this.usage.taps : 0;
+
+  return {
+    month,
+    used,
+    allowance, // -1 for unlimited
+    remaining: allowance === -1 ? null : Math.max(0, allowance - used)
+  };
+};
+
 // Instance method to increment login attempts
 userSchema.methods.incrementLoginAttempts = function() {
   // If we have a previous lock that has expired, restart at 1
@@ -301,5 +354,8 @@ userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Drop cached tap resolutions of the user's cards when the user changes
+tapCache.watch(userSchema, 'owner');
+
 // Export model
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const { hashValue, mergeRegisters, estimate } = require('../utils/hyperLogLog');
+
+// Distinct visitor sketches (HyperLogLog registers) for cards, profiles and categories.
+// Each subject has one all-time sketch and one sketch per UTC day; any range of
+// days is counted by merging its daily sketches.
+const visitorCounterSchema = new mongoose.Schema({
+  subjectType: {
+    type: String,
+    enum: ['Card', 'Profile', 'Category'],
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'subjectType',
+    required: true
+  },
+  // 'all' or a UTC day (YYYY-MM-DD)
+  key: {
+    type: String,
+    required: true
+  },
+  // Sparse register map { index: rank }
+  registers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Daily sketches are removed once they leave the analytics window
+  expiresAt: Date
+}, {
+  minimize: false
+});
+
+const ALL_TIME_KEY = 'all';
+const DAILY_RETENTION_DAYS = 90;
+
+visitorCounterSchema.index({ subjectType: 1, subject: 1, key: 1 }, { unique: true });
+visitorCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// UTC day key for a date
+const dayKey = (date) => moment.utc(date).format('YYYY-MM-DD');
+
+// Day keys from startDate through endDate, inclusive
+const dayKeysBetween = (startDate, endDate) => {
+  const keys = [];
+  const day = moment.utc(startDate).startOf('day');
+  const last = moment.utc(endDate).startOf('day');
+
+  while (day.isSameOrBefore(last) && keys.length <= DAILY_RETENTION_DAYS) {
+    keys.push(day.format('YYYY-MM-DD'));
+    day.add(1, 'day');
+  }
+
+  return keys;
+};
+
+// Static method to add a visitor to a subject's daily and all-time sketches.
+// Returns the updated { daily, weekly, allTime } unique visitor counts.
+visitorCounterSchema.statics.track = async function(subjectType, subjectId, visitorId, date = new Date()) {
+  const { index, rank } = hashValue(visitorId);
+  const update = (key, extra = {}) => ({
+    updateOne: {
+      filter: { subjectType, subject: subjectId, key },
+      update: { $max: { [`registers.${index}`]: rank }, ...extra },
+      upsert: true
+    }
+  });
+
+  await this.bulkWrite([
+    update(ALL_TIME_KEY),
+    update(dayKey(date), {
+      $setOnInsert: { expiresAt: moment.utc(date).add(DAILY_RETENTION_DAYS, 'days').toDate() }
+    })
+  ], { ordered: false });
+
+  return await this.getUniqueVisitors(subjectType, subjectId, date);
+};
+
+// Static method to get daily, rolling 7-day and all-time unique visitors for a subject.
+// Pass an array of ids to count visitors across several subjects (e.g. a card and the cards it replaced).
+visitorCounterSchema.statics.getUniqueVisitors = async function(subjectType, subjectId, date = new Date()) {
+  const weekKeys = dayKeysBetween(moment.utc(date).subtract(6, 'days'), date);
+  const today = dayKey(date);
+
+  const sketches = await this.find({
+    subjectType,
+    subject: Array.isArray(subjectId) ? { $in: subjectId } : subjectId,
+    key: { $in: [ALL_TIME_KEY, ...weekKeys] }
+  }).lean();
+
+  const byKey = {};
+  sketches.forEach(sketch => {
+    byKey[sketch.key] = mergeRegisters(byKey[sketch.key], sketch.registers);
+  });
+
+  return {
+    daily: estimate(byKey[today]),
+    weekly: estimate(mergeRegisters(...weekKeys.map(key => byKey[key]))),
+    allTime: estimate(byKey[ALL_TIME_KEY])
+  };
+};
+
+// Static method to count unique visitors for a subject across a date range (up to 90 days)
+visitorCounterSchema.statics.countBetween = async function(subjectType, subjectId, startDate, endDate) {
+  const sketches = await this.find({
+    subjectType,
+    subject: subjectId,
+    key: { $in: dayKeysBetween(startDate, endDate) }
+  }).lean();
+
+  return estimate(mergeRegisters(...sketches.map(sketch => sketch.registers)));
+};
+
+const VisitorCounter = mongoose.model('VisitorCounter', visitorCounterSchema);
+
+module.exports = VisitorCounter;
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Random per-day salt for cookie-less visitor hashes. Salts expire after two days,
+// after which the hashes made with them can no longer be linked to an IP address.
+const visitorSaltSchema = new mongoose.Schema({
+  // UTC day (YYYY-MM-DD)
+  day: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  salt: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+visitorSaltSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const VisitorSalt = mongoose.model('VisitorSalt', visitorSaltSchema);
+
+module.exports = VisitorSalt;
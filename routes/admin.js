@@ -1,7 +1,12 @@
 const express = require('express');
+const crypto = require('crypto');
+const { body, query, validationResult } = require('express-validator');
 const { authenticateToken, requireAdminWeb } = require('../middleware/auth');
 const User = require('../models/User');
 const Card = require('../models/Card');
+const { isConfigured: isKeyVaultConfigured } = require('../utils/keyVault');
+const { buildCardNdef, findSdmOffsets, toHex } = require('../utils/ndef');
+const { HEX_KEY_PATTERN } = require('../utils/sdm');
 
 const router = express.Router();
 
@@ -625,4 +630,242 @@ router.get('/cards', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// NDEF encoding options shared by the single card and batch exports
+const ndefValidation = [
+  query('format')
+    .optional()
+    .isIn(['hex', 'binary'])
+    .withMessage('Format must be hex or binary'),
+  query('text')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Text record cannot exceed 200 characters'),
+  query('lang')
+    .optional()
+    .matches(/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/)
+    .withMessage('Language must be an IANA language code, e.g. en or en-US'),
+  query('aar')
+    .optional()
+    .matches(/^[a-zA-Z][\w]*(\.[a-zA-Z][\w]*)+$/)
+    .withMessage('Android package must be a valid package name, e.g. com.example.app'),
+  query(['tlv', 'sdm'])
+    .optional()
+    .isBoolean()
+    .withMessage('TLV and SDM flags must be true or false'),
+  query('sdm')
+    .optional()
+    .custom((value, { req }) => !(value === 'true' && req.query.tlv === 'true'))
+    .withMessage('SDM templates are for Type 4 tags and cannot be TLV-wrapped')
+];
+
+// Read NDEF encoding options from the query string
+const getNdefOptions = (req) => ({
+  text: req.query.text,
+  language: req.query.lang,
+  androidPackage: req.query.aar,
+  tlv: req.query.tlv === 'true',
+  sdm: req.query.sdm === 'true'
+});
+
+// @route   GET /api/admin/cards/:id/ndef
+// @desc    Download a card's NDEF message as hex or binary for tag programming
+// @access  Admin
+router.get('/cards/:id/ndef', ndefValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const card = await Card.findById(req.params.id);
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+
+    const options = getNdefOptions(req);
+    const message = buildCardNdef(card, options);
+
+    // Mirror offsets the encoding station configures on SDM tags
+    if (options.sdm) {
+      const offsets = findSdmOffsets(message);
+      res.set('X-SDM-PICC-Offset', String(offsets.piccDataOffset));
+      res.set('X-SDM-MAC-Offset', String(offsets.macOffset));
+    }
+
+    if (req.query.format === 'binary') {
+      res.attachment(`${card.cardUID}.ndef`);
+      res.type('application/octet-stream');
+      return res.send(message);
+    }
+
+    res.attachment(`${card.cardUID}.hex`);
+    res.type('text/plain');
+    res.send(`${toHex(message)}\n`);
+  } catch (error) {
+    console.error('NDEF export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/batches/:batchNumber/ndef
+// @desc    Export NDEF messages for every card in a batch, one CSV line per card
+// @access  Admin
+router.get('/batches/:batchNumber/ndef', ndefValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { batchNumber } = req.params;
+    const cards = await Card.findByBatch(batchNumber).sort({ cardUID: 1 });
+
+    if (cards.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No cards found for this batch'
+      });
+    }
+
+    const options = getNdefOptions(req);
+    const header = options.sdm ? 'cardUID,url,ndefHex,piccDataOffset,macOffset' : 'cardUID,url,ndefHex';
+    const lines = cards.map(card => {
+      const message = buildCardNdef(card, options);
+      const line = `${card.cardUID},${card.cardUrl},${toHex(message)}`;
+      if (!options.sdm) return line;
+
+      const offsets = findSdmOffsets(message);
+      return `${line},${offsets.piccDataOffset},${offsets.macOffset}`;
+    });
+
+    res.attachment(`batch-${batchNumber.replace(/[^a-z0-9-_]/gi, '')}-ndef.csv`);
+    res.type('text/csv');
+    res.send([header, ...lines].join('\n') + '\n');
+  } catch (error) {
+    console.error('Batch NDEF export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+const sdmValidation = [
+  body(['metaReadKey', 'fileReadKey'])
+    .optional()
+    .matches(HEX_KEY_PATTERN)
+    .withMessage('Keys must be 16-byte AES keys in hex (32 characters)'),
+  body('tagUid')
+    .optional()
+    .matches(/^[0-9a-f]{14}$/i)
+    .withMessage('Tag UID must be 7 bytes of hex (14 characters)'),
+  body('rejectUnverified')
+    .optional()
+    .isBoolean()
+    .withMessage('rejectUnverified must be true or false')
+    .toBoolean()
+];
+
+// @route   POST /api/admin/cards/:id/sdm
+// @desc    Enable SUN/SDM tap verification; keys are generated when not supplied
+// @access  Admin
+router.post('/cards/:id/sdm', sdmValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!isKeyVaultConfigured()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Card key encryption is not configured on this server'
+      });
+    }
+
+    const card = await Card.findById(req.params.id);
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+
+    const metaReadKey = req.body.metaReadKey ? Buffer.from(req.body.metaReadKey, 'hex') : crypto.randomBytes(16);
+    const fileReadKey = req.body.fileReadKey ? Buffer.from(req.body.fileReadKey, 'hex') : crypto.randomBytes(16);
+
+    await card.setSdmKeys({
+      metaReadKey,
+      fileReadKey,
+      tagUid: req.body.tagUid,
+      rejectUnverified: req.body.rejectUnverified
+    });
+
+    // Keys are only returned here so the encoding station can write them to the tag
+    res.json({
+      success: true,
+      message: 'Secure tap verification enabled',
+      data: {
+        cardUID: card.cardUID,
+        metaReadKey: metaReadKey.toString('hex').toUpperCase(),
+        fileReadKey: fileReadKey.toString('hex').toUpperCase(),
+        tagUid: card.securityFeatures.tagUid || null,
+        rejectUnverified: card.securityFeatures.rejectUnverified
+      }
+    });
+  } catch (error) {
+    console.error('SDM provisioning error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/cards/:id/sdm
+// @desc    Disable SUN/SDM tap verification and discard the card keys
+// @access  Admin
+router.delete('/cards/:id/sdm', async (req, res) => {
+  try {
+    const card = await Card.findById(req.params.id);
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+
+    await card.disableSdm();
+
+    res.json({
+      success: true,
+      message: 'Secure tap verification disabled'
+    });
+  } catch (error) {
+    console.error('SDM disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
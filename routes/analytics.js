@@ -4,9 +4,18 @@ const Card = require('../models/Card');
 const Activity = require('../models/Activity');
 const Category = require('../models/Category');
 const Interview = require('../models/Interview');
+const TapEvent = require('../models/TapEvent');
+const { TRAFFIC_VIEWS } = require('../utils/botDetection');
 
 const router = express.Router();
 
+// Analytics traffic view from ?traffic=raw|filtered; filtered (humans only) by default
+const parseTraffic = (traffic) => TRAFFIC_VIEWS.includes(traffic) ? traffic : 'filtered';
+
+// Tap event filter for a user's taps in a traffic view. Taps count for whoever owned the
+// card at the time, so a transferred card's earlier taps stay in the previous owner's totals.
+const ownerTaps = (userId, traffic) => ({ owner: userId, ...TapEvent.trafficMatch(traffic) });
+
 // All routes require authentication
 router.use(authenticateToken);
 
@@ -17,6 +26,7 @@ router.get('/overview', async (req, res) => {
   try {
     const { days = 30 } = req.query;
     const daysNum = Math.min(parseInt(days), 90); // Max 90 days
+    const traffic = parseTraffic(req.query.traffic);
     
     const endDate = new Date();
     const startDate = new Date(endDate.getTime() - (daysNum * 24 * 60 * 60 * 1000));
@@ -31,12 +41,12 @@ router.get('/overview', async (req, res) => {
       topPerformingCards,
       recentActivities
     ] = await Promise.all([
-      getCardAnalytics(req.user._id, startDate, endDate),
+      getCardAnalytics(req.user._id, startDate, endDate, traffic),
       getActivityAnalytics(req.user._id, startDate, endDate),
       getCategoryAnalytics(req.user._id, startDate, endDate),
       getInterviewAnalytics(req.user._id, startDate, endDate),
-      getTapTrends(req.user._id, startDate, endDate),
-      getTopPerformingCards(req.user._id, 5),
+      getTapTrends(req.user._id, startDate, endDate, traffic),
+      getTopPerformingCards(req.user._id, 5, startDate, endDate, traffic),
       Activity.getRecentActivities(req.user._id, 10)
     ]);
     
@@ -44,6 +54,7 @@ router.get('/overview', async (req, res) => {
       success: true,
       data: {
         period: { days: daysNum, startDate, endDate },
+        traffic,
         cards: cardStats,
         activities: activityStats,
         categories: categoryStats,
@@ -71,6 +82,7 @@ router.get('/cards', async (req, res) => {
   try {
     const { days = 30, cardId } = req.query;
     const daysNum = Math.min(parseInt(days), 90);
+    const traffic = parseTraffic(req.query.traffic);
     
     const endDate = new Date();
     const startDate = new Date(endDate.getTime() - (daysNum * 24 * 60 * 60 * 1000));
@@ -85,19 +97,20 @@ router.get('/cards', async (req, res) => {
         });
       }
       
-      const cardAnalytics = await getSpecificCardAnalytics(cardId, startDate, endDate);
+      const cardAnalytics = await getSpecificCardAnalytics(card._id, startDate, endDate, traffic);
       
       res.json({
         success: true,
         data: {
           card,
           analytics: cardAnalytics,
-          period: { days: daysNum, startDate, endDate }
+          period: { days: daysNum, startDate, endDate },
+          traffic
         }
       });
     } else {
       // Get all cards analytics
-      const cardsAnalytics = await getCardAnalytics(req.user._id, startDate, endDate);
+      const cardsAnalytics = await getCardAnalytics(req.user._id, startDate, endDate, traffic);
       const cardsList = await Card.find({ owner: req.user._id })
         .populate('category', 'name color')
         .select('cardUID nickname tapCount lastTapped status category')
@@ -108,7 +121,8 @@ router.get('/cards', async (req, res) => {
         data: {
           analytics: cardsAnalytics,
           cards: cardsList,
-          period: { days: daysNum, startDate, endDate }
+          period: { days: daysNum, startDate, endDate },
+          traffic
         }
       });
     }
@@ -157,17 +171,19 @@ router.get('/trends', async (req, res) => {
   try {
     const { days = 30, granularity = 'day' } = req.query;
     const daysNum = Math.min(parseInt(days), 90);
+    const traffic = parseTraffic(req.query.traffic);
     
     const endDate = new Date();
     const startDate = new Date(endDate.getTime() - (daysNum * 24 * 60 * 60 * 1000));
     
-    const trends = await getTrendsData(req.user._id, startDate, endDate, granularity);
+    const trends = await getTrendsData(req.user._id, startDate, endDate, granularity, traffic);
     
     res.json({
       success: true,
       data: {
         trends,
-        period: { days: daysNum, startDate, endDate }
+        period: { days: daysNum, startDate, endDate },
+        traffic
       }
     });
   } catch (error) {
@@ -186,17 +202,19 @@ router.get('/geographic', async (req, res) => {
   try {
     const { days = 30 } = req.query;
     const daysNum = Math.min(parseInt(days), 90);
+    const traffic = parseTraffic(req.query.traffic);
     
     const endDate = new Date();
     const startDate = new Date(endDate.getTime() - (daysNum * 24 * 60 * 60 * 1000));
     
-    const geoData = await getGeographicData(req.user._id, startDate, endDate);
+    const geoData = await getGeographicData(req.user._id, startDate, endDate, traffic);
     
     res.json({
       success: true,
       data: {
         geographic: geoData,
-        period: { days: daysNum, startDate, endDate }
+        period: { days: daysNum, startDate, endDate },
+        traffic
       }
     });
   } catch (error) {
@@ -215,11 +233,12 @@ router.get('/export', async (req, res) => {
   try {
     const { format = 'json', days = 30 } = req.query;
     const daysNum = Math.min(parseInt(days), 90);
+    const traffic = parseTraffic(req.query.traffic);
     
     const endDate = new Date();
     const startDate = new Date(endDate.getTime() - (daysNum * 24 * 60 * 60 * 1000));
     
-    const exportData = await getExportData(req.user._id, startDate, endDate);
+    const exportData = await getExportData(req.user._id, startDate, endDate, traffic);
     
     if (format === 'csv') {
       const csv = convertToCSV(exportData);
@@ -231,7 +250,8 @@ router.get('/export', async (req, res) => {
         success: true,
         data: exportData,
         exportedAt: new Date().toISOString(),
-        period: { days: daysNum, startDate, endDate }
+        period: { days: daysNum, startDate, endDate },
+        traffic
       });
     }
   } catch (error) {
@@ -245,28 +265,21 @@ router.get('/export', async (req, res) => {
 
 // Helper Functions
 
-async function getCardAnalytics(userId, startDate, endDate) {
-  const [totalCards, activeCards, totalTaps, avgTapsPerCard] = await Promise.all([
+async function getCardAnalytics(userId, startDate, endDate, traffic) {
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+  const [totalCards, activeCards, totalTaps] = await Promise.all([
     Card.countDocuments({ owner: userId }),
-    Card.countDocuments({ 
-      owner: userId, 
-      lastTapped: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
-    }),
-    Card.aggregate([
-      { $match: { owner: userId } },
-      { $group: { _id: null, total: { $sum: '$tapCount' } } }
-    ]).then(result => result[0]?.total || 0),
-    Card.aggregate([
-      { $match: { owner: userId } },
-      { $group: { _id: null, avg: { $avg: '$tapCount' } } }
-    ]).then(result => Math.round(result[0]?.avg || 0))
+    TapEvent.distinct('card', TapEvent.buildMatch(ownerTaps(userId, traffic), weekAgo))
+      .then(cardIds => cardIds.length),
+    TapEvent.countDocuments(TapEvent.buildMatch(ownerTaps(userId, traffic), startDate, endDate))
   ]);
 
   return {
     totalCards,
     activeCards,
     totalTaps,
-    avgTapsPerCard,
+    avgTapsPerCard: totalCards > 0 ? Math.round(totalTaps / totalCards) : 0,
     activationRate: totalCards > 0 ? Math.round((activeCards / totalCards) * 100) : 0
   };
 }
@@ -322,66 +335,52 @@ async function getInterviewAnalytics(userId, startDate, endDate) {
   return stats;
 }
 
-async function getTapTrends(userId, startDate, endDate) {
+async function getTapTrends(userId, startDate, endDate, traffic) {
   // Get daily tap counts for trend analysis
-  return await Activity.aggregate([
-    {
-      $match: {
-        owner: userId,
-        type: 'card_tap',
-        createdAt: { $gte: startDate, $lte: endDate }
-      }
-    },
-    {
-      $group: {
-        _id: {
-          year: { $year: '$createdAt' },
-          month: { $month: '$createdAt' },
-          day: { $dayOfMonth: '$createdAt' }
-        },
-        count: { $sum: 1 }
-      }
-    },
-    {
-      $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 }
-    }
-  ]);
+  return await TapEvent.getTimeSeries(
+    TapEvent.buildMatch(ownerTaps(userId, traffic), startDate, endDate)
+  );
 }
 
-async function getTopPerformingCards(userId, limit = 5) {
-  return await Card.find({ owner: userId })
+async function getTopPerformingCards(userId, limit = 5, startDate = null, endDate = null, traffic = 'filtered') {
+  const topCards = await TapEvent.getTopCards(
+    TapEvent.buildMatch(ownerTaps(userId, traffic), startDate, endDate),
+    limit
+  );
+
+  const cards = await Card.find({ _id: { $in: topCards.map(entry => entry._id) } })
     .populate('category', 'name color')
-    .sort({ tapCount: -1 })
-    .limit(limit)
     .select('cardUID nickname tapCount lastTapped category');
+
+  return topCards
+    .map(entry => {
+      const card = cards.find(c => c._id.equals(entry._id));
+      if (!card) return null;
+
+      return {
+        ...card.toObject(),
+        periodTaps: entry.taps,
+        lastTapped: entry.lastTapped
+      };
+    })
+    .filter(Boolean);
 }
 
-async function getSpecificCardAnalytics(cardId, startDate, endDate) {
-  const tapsByDay = await Activity.aggregate([
-    {
-      $match: {
-        'relatedObjects.card': cardId,
-        type: 'card_tap',
-        createdAt: { $gte: startDate, $lte: endDate }
-      }
-    },
-    {
-      $group: {
-        _id: {
-          year: { $year: '$createdAt' },
-          month: { $month: '$createdAt' },
-          day: { $dayOfMonth: '$createdAt' }
-        },
-        taps: { $sum: 1 }
-      }
-    },
-    { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
+async function getSpecificCardAnalytics(cardId, startDate, endDate, traffic) {
+  const match = TapEvent.buildMatch({ card: cardId, ...TapEvent.trafficMatch(traffic) }, startDate, endDate);
+
+  const [tapsByDay, devices, browsers, referrers, locations] = await Promise.all([
+    TapEvent.getTimeSeries(match),
+    TapEvent.getBreakdown(match, 'device.type'),
+    TapEvent.getBreakdown(match, 'device.browser'),
+    TapEvent.getBreakdown(match, 'referrer'),
+    TapEvent.getGeographicBreakdown(match)
   ]);
 
-  return { tapsByDay };
+  return { tapsByDay, devices, browsers, referrers, locations };
 }
 
-async function getTrendsData(userId, startDate, endDate, granularity) {
+async function getTrendsData(userId, startDate, endDate, granularity, traffic) {
   const groupBy = granularity === 'hour' ? {
     year: { $year: '$createdAt' },
     month: { $month: '$createdAt' },
@@ -394,22 +393,10 @@ async function getTrendsData(userId, startDate, endDate, granularity) {
   };
 
   const [tapTrends, activityTrends] = await Promise.all([
-    Activity.aggregate([
-      {
-        $match: {
-          owner: userId,
-          type: 'card_tap',
-          createdAt: { $gte: startDate, $lte: endDate }
-        }
-      },
-      {
-        $group: {
-          _id: groupBy,
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1, '_id.hour': 1 } }
-    ]),
+    TapEvent.getTimeSeries(
+      TapEvent.buildMatch(ownerTaps(userId, traffic), startDate, endDate),
+      granularity
+    ),
     Activity.aggregate([
       {
         $match: {
@@ -431,33 +418,18 @@ async function getTrendsData(userId, startDate, endDate, granularity) {
   return { taps: tapTrends, activities: activityTrends };
 }
 
-async function getGeographicData(userId, startDate, endDate) {
-  return await Activity.aggregate([
-    {
-      $match: {
-        owner: userId,
-        type: 'card_tap',
-        createdAt: { $gte: startDate, $lte: endDate },
-        'metadata.location.country': { $exists: true }
-      }
-    },
-    {
-      $group: {
-        _id: {
-          country: '$metadata.location.country',
-          region: '$metadata.location.region',
-          city: '$metadata.location.city'
-        },
-        count: { $sum: 1 }
-      }
-    },
-    { $sort: { count: -1 } }
-  ]);
+async function getGeographicData(userId, startDate, endDate, traffic) {
+  return await TapEvent.getGeographicBreakdown(
+    TapEvent.buildMatch(ownerTaps(userId, traffic), startDate, endDate)
+  );
 }
 
-async function getExportData(userId, startDate, endDate) {
-  const [cards, activities, categories] = await Promise.all([
+async function getExportData(userId, startDate, endDate, traffic) {
+  const [cards, taps, activities, categories] = await Promise.all([
     Card.find({ owner: userId }).populate('category', 'name'),
+    TapEvent.find(TapEvent.buildMatch(ownerTaps(userId, traffic), startDate, endDate))
+      .select('-ipHash -userAgent')
+      .sort({ timestamp: -1 }),
     Activity.find({ 
       owner: userId, 
       createdAt: { $gte: startDate, $lte: endDate }
@@ -465,7 +437,7 @@ async function getExportData(userId, startDate, endDate) {
     Category.find({ owner: userId })
   ]);
 
-  return { cards, activities, categories };
+  return { cards, taps, activities, categories };
 }
 
 function convertToCSV(data) {
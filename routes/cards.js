@@ -1,7 +1,32 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const { authenticateToken, requireOwnership } = require('../middleware/auth');
 const Card = require('../models/Card');
+const CardTransfer = require('../models/CardTransfer');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const TapEvent = require('../models/TapEvent');
+const VisitorCounter = require('../models/VisitorCounter');
+const Profile = require('../models/Profile');
+const Category = require('../models/Category');
+const SavedSearch = require('../models/SavedSearch');
+const { fetchImage } = require('../utils/remoteImage');
+const { QR_FORMATS, QR_ERROR_LEVELS, QR_DEFAULTS, LOGO_MEDIA_TYPES, renderQrPng, renderQrSvg } = require('../utils/qrCode');
+const { TRAFFIC_VIEWS } = require('../utils/botDetection');
+const {
+  CARD_STATUSES,
+  ACTIVITY_STATUSES,
+  SORT_FIELDS,
+  MAX_TAG_LENGTH,
+  normalizeTags,
+  isIdOrNone,
+  buildCardFilter,
+  parseSort,
+  cursorCondition
+} = require('../utils/cardQuery');
+const { renderTemplate } = require('../utils/urlDecorator');
+const { sendMail } = require('../services/mailer');
 
 const router = express.Router();
 
@@ -16,6 +41,461 @@ const activationValidation = [
     .withMessage('Activation code must be 6-8 characters')
 ];
 
+// Accept colours with or without the leading '#', which must be URL-encoded in a query string
+const toHexColor = (value) => (value && !value.startsWith('#') ? `#${value}` : value);
+
+const qrValidation = [
+  query('format')
+    .optional()
+    .isIn(QR_FORMATS)
+    .withMessage(`Format must be one of: ${QR_FORMATS.join(', ')}`),
+  query('size')
+    .optional()
+    .isInt({ min: 100, max: 2000 })
+    .withMessage('Size must be between 100 and 2000 pixels'),
+  query('margin')
+    .optional()
+    .isInt({ min: 0, max: 20 })
+    .withMessage('Margin must be between 0 and 20 modules'),
+  query('ecc')
+    .optional()
+    .toUpperCase()
+    .isIn(QR_ERROR_LEVELS)
+    .withMessage(`Error correction level must be one of: ${QR_ERROR_LEVELS.join(', ')}`),
+  query(['color', 'background'])
+    .optional()
+    .customSanitizer(toHexColor)
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{8})$/)
+    .withMessage('Colors must be 6 or 8 digit hex values'),
+  query('logo')
+    .optional()
+    .isBoolean()
+    .withMessage('Logo must be true or false')
+];
+
+// Suspension reasons an owner can report
+const LOSS_REASONS = ['lost', 'stolen', 'damaged'];
+
+const reportLostValidation = [
+  body('reason')
+    .isIn(LOSS_REASONS)
+    .withMessage(`Reason must be one of: ${LOSS_REASONS.join(', ')}`),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters')
+];
+
+const transferValidation = [
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body(['keepProfile', 'keepCategory'])
+    .optional()
+    .isBoolean()
+    .withMessage('Keep options must be true or false')
+];
+
+const acceptTransferValidation = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Transfer code is required')
+];
+
+// Check the user's plan card limit; returns the limit when it has been reached, otherwise null.
+// Cards that were replaced after being lost no longer count.
+const reachedCardLimit = async (user) => {
+  const maxCards = user.hasFeatureAccess('maxCards');
+  if (maxCards === -1) return null;
+
+  const userCards = await Card.countDocuments({ owner: user._id, replacedBy: null });
+  return userCards >= maxCards ? maxCards : null;
+};
+
+// Respond with the standard card limit error
+const sendCardLimitError = (res, maxCards) => {
+  return res.status(400).json({
+    success: false,
+    error: `You have reached your card limit of ${maxCards}. Please upgrade your plan.`,
+    redirectTo: '/subscription/plans'
+  });
+};
+
+// Email the transfer code to an invited recipient; returns whether it was sent
+const sendTransferInvitation = async (transfer, code, card, fromUser) => {
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+
+  try {
+    await sendMail({
+      to: transfer.toEmail,
+      subject: `${fromUser.fullName} wants to transfer a TAP ME IN! card to you`,
+      text: [
+        `${fromUser.fullName} would like to hand over the card "${card.nickname || card.cardUID}" to you.`,
+        '',
+        `Sign in at ${baseUrl} with this email address and accept the transfer with the code: ${code}`,
+        '',
+        `The code expires on ${transfer.expiresAt.toUTCString()}. If you were not expecting this, you can ignore this email.`
+      ].join('\n')
+    });
+    return true;
+  } catch (error) {
+    console.error('Transfer invitation email error:', error);
+    return false;
+  }
+};
+
+// Accept a pending transfer for the signed-in user and move the card over
+const acceptTransfer = async (req, res, transfer) => {
+  if (!transfer || transfer.status !== 'pending' || transfer.isExpired) {
+    return res.status(404).json({
+      success: false,
+      error: 'Transfer not found or expired'
+    });
+  }
+
+  if (transfer.toEmail && transfer.toEmail !== req.user.email) {
+    return res.status(403).json({
+      success: false,
+      error: 'This transfer was sent to a different email address'
+    });
+  }
+
+  if (transfer.fromUser.equals(req.user._id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'You already own this card'
+    });
+  }
+
+  const card = await Card.findById(transfer.card);
+  if (!card || !card.owner || !card.owner.equals(transfer.fromUser) ||
+      !card.isActivated || card.replacedBy || card.isReportedLost()) {
+    return res.status(409).json({
+      success: false,
+      error: 'This card can no longer be transferred'
+    });
+  }
+
+  const maxCards = await reachedCardLimit(req.user);
+  if (maxCards !== null) {
+    return sendCardLimitError(res, maxCards);
+  }
+
+  if (!(await transfer.claim(req.user._id))) {
+    return res.status(409).json({
+      success: false,
+      error: 'This transfer has already been used'
+    });
+  }
+
+  try {
+    await card.transferTo(req.user, {
+      keepProfile: transfer.keepProfile,
+      keepCategory: transfer.keepCategory
+    });
+  } catch (error) {
+    // Let the code be used again once the problem is fixed
+    await transfer.release(req.user._id);
+    throw error;
+  }
+
+  try {
+    const fromUser = await User.findById(transfer.fromUser);
+    if (fromUser) {
+      await Activity.createCardTransferActivities(card, fromUser, req.user);
+    }
+  } catch (error) {
+    // The activity feed is best-effort and must not undo a completed transfer
+    console.error('Transfer activity error:', error);
+  }
+
+  return res.json({
+    success: true,
+    message: 'Card transferred successfully',
+    data: { card }
+  });
+};
+
+// Card search options, validated either in the query string (GET /api/cards)
+// or under `filters` in the body (saved searches)
+const QUERY_OPTIONS = ['status', 'category', 'profile', 'tags', 'activityStatus', 'lastTappedFrom', 'lastTappedTo', 'batchNumber', 'q'];
+
+const isSortOption = (value) => SORT_FIELDS.includes(String(value).replace(/^[-+]/, ''));
+
+// Tags filter: comma-separated text or a list of tags
+const isTagsFilter = (value) => {
+  return typeof value === 'string' || (Array.isArray(value) && value.every(tag => typeof tag === 'string'));
+};
+
+const cardFilterValidation = (location, prefix = '') => [
+  location(`${prefix}status`)
+    .optional({ checkFalsy: true })
+    .isIn(CARD_STATUSES)
+    .withMessage(`Status must be one of: ${CARD_STATUSES.join(', ')}`),
+  location([`${prefix}category`, `${prefix}profile`])
+    .optional({ checkFalsy: true })
+    .custom(isIdOrNone)
+    .withMessage('Category and profile filters must be an ID or "none"'),
+  location(`${prefix}activityStatus`)
+    .optional({ checkFalsy: true })
+    .isIn(ACTIVITY_STATUSES)
+    .withMessage(`Activity status must be one of: ${ACTIVITY_STATUSES.join(', ')}`),
+  location([`${prefix}lastTappedFrom`, `${prefix}lastTappedTo`])
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Last tapped dates must be ISO 8601 dates'),
+  location(`${prefix}tags`)
+    .optional()
+    .custom(isTagsFilter)
+    .withMessage('Tags filter must be text or a list of tags'),
+  location(`${prefix}batchNumber`)
+    .optional()
+    .isString()
+    .withMessage('Batch number must be text'),
+  location(`${prefix}q`)
+    .optional()
+    .isString()
+    .withMessage('Search text must be text')
+    .isLength({ max: 100 })
+    .withMessage('Search text cannot exceed 100 characters')
+];
+
+const listValidation = [
+  ...cardFilterValidation(query),
+  query('sort')
+    .optional()
+    .custom(isSortOption)
+    .withMessage(`Sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('cursor')
+    .optional()
+    .custom((value, { req }) => cursorCondition(value, parseSort(req.query.sort)) !== null)
+    .withMessage('Cursor is invalid'),
+  query('search')
+    .optional()
+    .isMongoId()
+    .withMessage('Saved search must be a valid ID')
+];
+
+const savedSearchValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .isLength({ max: 50 })
+    .withMessage('Search name must be 1-50 characters'),
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object'),
+  ...cardFilterValidation(body, 'filters.'),
+  body('sort')
+    .optional()
+    .custom(isSortOption)
+    .withMessage(`Sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)`),
+  body('showOnDashboard')
+    .optional()
+    .isBoolean()
+    .withMessage('Show on dashboard must be true or false')
+];
+
+const updateValidation = [
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of up to 20 tags'),
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Tags must be 1-${MAX_TAG_LENGTH} characters`)
+];
+
+const scheduleValidation = [
+  body(['activeFrom', 'activeUntil'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Schedule dates must be ISO 8601 dates, or null to clear them'),
+  body('expiredUrl')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .matches(/^https?:\/\/.+$/i)
+    .withMessage('Expired URL must be a valid HTTP/HTTPS URL'),
+  body('expiredMessage')
+    .optional({ nullable: true })
+    .isLength({ max: 300 })
+    .withMessage('Expired message cannot exceed 300 characters')
+];
+
+const tapLimitsValidation = [
+  body(['perCard.maxTaps', 'perVisitor.maxTaps'])
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1000000 })
+    .withMessage('Max taps must be a positive whole number, or null to turn the limit off'),
+  body(['perCard.windowMinutes', 'perVisitor.windowMinutes'])
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('Window must be between 1 and 1440 minutes'),
+  body('onExceed')
+    .optional()
+    .isIn(['redirect', 'block'])
+    .withMessage('On exceed must be redirect or block')
+];
+
+const SCHEDULE_FIELDS = ['activeFrom', 'activeUntil', 'expiredUrl', 'expiredMessage'];
+
+// Schedule fields present in a request body; null or '' clears a field
+const pickScheduleFields = (data) => {
+  return SCHEDULE_FIELDS.reduce((fields, key) => {
+    if (data[key] !== undefined) fields[key] = data[key] === '' ? null : data[key];
+    return fields;
+  }, {});
+};
+
+// Check that a window closes after it opens
+const isValidWindow = ({ activeFrom, activeUntil }) => {
+  return !activeFrom || !activeUntil || new Date(activeUntil) > new Date(activeFrom);
+};
+
+// Check a window change against the dates stored on a set of cards: setting only one
+// end must still leave every card's window closing after it opens
+const conflictsWithStoredWindow = async (cardFilter, { activeFrom, activeUntil }) => {
+  if (activeFrom && activeUntil === undefined) {
+    return Boolean(await Card.exists({ ...cardFilter, 'schedule.activeUntil': { $lte: new Date(activeFrom) } }));
+  }
+  if (activeUntil && activeFrom === undefined) {
+    return Boolean(await Card.exists({ ...cardFilter, 'schedule.activeFrom': { $gte: new Date(activeUntil) } }));
+  }
+  return false;
+};
+
+// Pick the card search options present in a query string or saved search filters
+const pickQueryOptions = (source = {}) => {
+  return QUERY_OPTIONS.reduce((options, key) => {
+    if (source[key] !== undefined && source[key] !== '') options[key] = source[key];
+    return options;
+  }, {});
+};
+
+// Most cards a single bulk request may change
+const MAX_BULK_CARDS = 500;
+
+const isIdOrNull = (value) => value === null || mongoose.isValidObjectId(value);
+
+const bulkValidation = [
+  body('cardIds')
+    .optional()
+    .isArray({ min: 1, max: MAX_BULK_CARDS })
+    .withMessage(`Card IDs must be an array of 1 to ${MAX_BULK_CARDS} IDs`),
+  body('cardIds.*')
+    .isMongoId()
+    .withMessage('Card IDs must be valid IDs'),
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('Filter must be an object'),
+  ...cardFilterValidation(body, 'filter.'),
+  body('changes')
+    .isObject()
+    .withMessage('Changes are required'),
+  body(['changes.profile', 'changes.category'])
+    .optional({ nullable: true })
+    .custom(isIdOrNull)
+    .withMessage('Profile and category must be an ID, or null to unassign'),
+  body(['changes.tags.add', 'changes.tags.remove', 'changes.tags.set'])
+    .optional()
+    .isArray()
+    .withMessage('Tag changes must be arrays of tags'),
+  body('changes.nickname')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Nickname pattern cannot exceed 100 characters'),
+  body('changes.suspended')
+    .optional()
+    .isBoolean()
+    .withMessage('Suspended must be true or false'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('Dry run must be true or false')
+];
+
+// Fields a bulk change can touch, as comparable values
+const snapshotCard = (card) => ({
+  profile: card.profile ? card.profile.toString() : null,
+  category: card.category ? card.category.toString() : null,
+  tags: [...(card.metadata.tags || [])],
+  nickname: card.nickname || null,
+  status: card.status
+});
+
+// Apply a bulk change set to one card in memory; returns an error message or null.
+// Nickname patterns may use {n} (position in the set, from 1), {nickname}, {cardUID} and {batch}.
+const applyBulkChanges = (card, changes, position) => {
+  if (changes.profile !== undefined) card.profile = changes.profile;
+  if (changes.category !== undefined) card.category = changes.category;
+
+  if (changes.tags) {
+    const { add, remove, set } = changes.tags;
+    let tags = set ? normalizeTags(set) : card.metadata.tags;
+    if (add) tags = normalizeTags([...tags, ...add]);
+    if (remove) {
+      const removed = normalizeTags(remove);
+      tags = tags.filter(tag => !removed.includes(tag));
+    }
+    card.metadata.tags = tags;
+  }
+
+  if (changes.nickname !== undefined) {
+    card.nickname = renderTemplate(changes.nickname, {
+      n: position,
+      nickname: card.nickname,
+      cardUID: card.cardUID,
+      batch: card.batchNumber
+    }) || undefined;
+  }
+
+  if (changes.suspended === true && card.status !== 'suspended') {
+    if (!card.isActivated) return 'Only activated cards can be suspended';
+    card.status = 'suspended';
+    card.suspension = { reason: 'owner', suspendedAt: new Date() };
+  }
+
+  if (changes.suspended === false && card.status === 'suspended') {
+    if (card.replacedBy || card.isReportedLost()) return 'Lost or replaced cards cannot be resumed';
+    card.status = 'activated';
+    card.suspension = undefined;
+  }
+
+  const validationError = card.validateSync();
+  return validationError ? Object.values(validationError.errors).map(error => error.message).join(', ') : null;
+};
+
+// Field-by-field differences between two card snapshots
+const diffSnapshots = (before, after) => {
+  return Object.keys(before).reduce((diff, field) => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      diff[field] = { from: before[field], to: after[field] };
+    }
+    return diff;
+  }, {});
+};
+
+const analyticsValidation = [
+  query('traffic')
+    .optional()
+    .isIn(TRAFFIC_VIEWS)
+    .withMessage(`Traffic must be one of: ${TRAFFIC_VIEWS.join(', ')}`)
+];
+
 // @route   POST /api/cards/activate
 // @desc    Activate a card with activation code
 // @access  Private
@@ -44,15 +524,9 @@ router.post('/activate', activationValidation, async (req, res, next) => {
     }
 
     // Check if user has reached card limit
-    const userCards = await Card.countDocuments({ owner: userId });
-    const maxCards = req.user.hasFeatureAccess('maxCards');
-    
-    if (maxCards !== -1 && userCards >= maxCards) {
-      return res.status(400).json({
-        success: false,
-        error: `You have reached your card limit of ${maxCards}. Please upgrade your plan.`,
-        redirectTo: '/subscription/plans'
-      });
+    const maxCards = await reachedCardLimit(req.user);
+    if (maxCards !== null) {
+      return sendCardLimitError(res, maxCards);
     }
 
     // Activate the card
@@ -70,74 +544,924 @@ router.post('/activate', activationValidation, async (req, res, next) => {
 });
 
 // @route   GET /api/cards
-// @desc    Get user's cards
+// @desc    Get user's cards, filtered, sorted and paginated with a cursor. A saved search
+//          can be run with ?search=<id>; other query options override its filters.
+// @access  Private
+router.get('/', listValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    let options = pickQueryOptions(req.query);
+    let sort = req.query.sort;
+
+    if (req.query.search) {
+      const search = await SavedSearch.findOne({ _id: req.query.search, owner: req.user._id });
+      if (!search) {
+        return res.status(404).json({
+          success: false,
+          error: 'Saved search not found'
+        });
+      }
+      options = { ...search.toQueryOptions(), ...options };
+      sort = sort || search.sort;
+    }
+
+    const limit = parseInt(req.query.limit) || 25;
+    const { cards, total, hasMore, nextCursor } = await Card.search(req.user._id, options, {
+      sort,
+      limit,
+      cursor: req.query.cursor
+    });
+
+    res.json({
+      success: true,
+      data: {
+        cards,
+        pagination: { total, limit, hasMore, nextCursor }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/cards/tags
+// @desc    Get the tags used on the user's cards with card counts
 // @access  Private
-router.get('/', async (req, res, next) => {
+router.get('/tags', async (req, res, next) => {
   try {
-    const cards = await Card.findByOwner(req.user._id);
+    const tags = await Card.aggregate([
+      { $match: { owner: req.user._id } },
+      { $unwind: '$metadata.tags' },
+      { $group: { _id: '$metadata.tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, tag: '$_id', count: 1 } }
+    ]);
 
     res.json({
       success: true,
-      data: { cards }
+      data: { tags }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   GET /api/cards/:id
-// @desc    Get specific card details
-// @access  Private (owner only)
-router.get('/:id', requireOwnership('Card'), async (req, res, next) => {
+// @route   GET /api/cards/searches
+// @desc    Get the user's saved card searches
+// @access  Private
+router.get('/searches', async (req, res, next) => {
   try {
-    const card = req.resource; // Set by requireOwnership middleware
+    const searches = await SavedSearch.find({ owner: req.user._id }).sort({ name: 1 });
 
     res.json({
       success: true,
-      data: { card }
+      data: { searches }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   PUT /api/cards/:id
-// @desc    Update card details
+// @route   POST /api/cards/searches
+// @desc    Save a named card search
+// @access  Private
+router.post('/searches', savedSearchValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.body.name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search name is required'
+      });
+    }
+
+    const search = await SavedSearch.create({
+      owner: req.user._id,
+      name: req.body.name,
+      filters: pickQueryOptions(req.body.filters),
+      sort: req.body.sort,
+      showOnDashboard: req.body.showOnDashboard
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data: { search }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/cards/searches/:searchId
+// @desc    Update a saved card search
 // @access  Private (owner only)
-router.put('/:id', requireOwnership('Card'), async (req, res, next) => {
+router.put('/searches/:searchId', requireOwnership('SavedSearch', 'searchId'), savedSearchValidation, async (req, res, next) => {
   try {
-    const card = req.resource;
-    const { nickname, description } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    // Update fields if provided
-    if (nickname !== undefined) card.nickname = nickname;
-    if (description !== undefined) card.description = description;
+    const search = req.resource;
+    const { name, filters, sort, showOnDashboard } = req.body;
 
-    await card.save();
+    if (name !== undefined) search.name = name;
+    if (filters !== undefined) search.filters = pickQueryOptions(filters);
+    if (sort !== undefined) search.sort = sort;
+    if (showOnDashboard !== undefined) search.showOnDashboard = showOnDashboard;
+
+    await search.save();
 
     res.json({
       success: true,
-      message: 'Card updated successfully',
-      data: { card }
+      message: 'Search updated successfully',
+      data: { search }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   GET /api/cards/:id/analytics
-// @desc    Get card analytics
+// @route   DELETE /api/cards/searches/:searchId
+// @desc    Delete a saved card search
 // @access  Private (owner only)
-router.get('/:id/analytics', requireOwnership('Card'), async (req, res, next) => {
+router.delete('/searches/:searchId', requireOwnership('SavedSearch', 'searchId'), async (req, res, next) => {
   try {
-    const card = req.resource;
-    
-    // TODO: Implement analytics aggregation
+    await req.resource.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Search deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/cards/bulk
+// @desc    Apply one change set to a list or filtered set of cards, all or nothing, with a per-card report
+// @access  Private
+router.post('/bulk', bulkValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { cardIds, filter, changes } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const ownerId = req.user._id;
+
+    if (Boolean(cardIds) === Boolean(filter)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either cardIds or filter to select cards'
+      });
+    }
+
+    const knownChanges = ['profile', 'category', 'tags', 'nickname', 'suspended'];
+    if (!knownChanges.some(key => changes[key] !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: `Changes must include at least one of: ${knownChanges.join(', ')}`
+      });
+    }
+
+    // A new profile or category must belong to the same owner
+    const [profile, category] = await Promise.all([
+      changes.profile ? Profile.findOne({ _id: changes.profile, userId: ownerId }).select('_id') : null,
+      changes.category ? Category.findOne({ _id: changes.category, owner: ownerId }).select('_id') : null
+    ]);
+
+    if ((changes.profile && !profile) || (changes.category && !category)) {
+      return res.status(404).json({
+        success: false,
+        error: changes.profile && !profile ? 'Profile not found' : 'Category not found'
+      });
+    }
+
+    const cards = await Card.find(buildCardFilter(ownerId, cardIds ? { ids: cardIds } : pickQueryOptions(filter)))
+      .sort({ createdAt: 1 })
+      .limit(MAX_BULK_CARDS + 1);
+
+    if (cards.length > MAX_BULK_CARDS) {
+      return res.status(400).json({
+        success: false,
+        error: `The filter matches more than ${MAX_BULK_CARDS} cards. Narrow it down and try again.`
+      });
+    }
+
+    // Every listed card must exist and belong to the caller
+    const results = (cardIds ? [...new Set(cardIds)] : [])
+      .filter(id => !cards.some(card => card._id.toString() === id))
+      .map(id => ({ card: id, status: 'error', error: 'Card not found' }));
+
+    const previousProfiles = new Set();
+    const changed = [];
+
+    cards.forEach((card, index) => {
+      const before = snapshotCard(card);
+      const error = applyBulkChanges(card, changes, index + 1);
+      const diff = diffSnapshots(before, snapshotCard(card));
+
+      if (error) {
+        results.push({ card: card._id, cardUID: card.cardUID, status: 'error', error });
+        return;
+      }
+
+      if (Object.keys(diff).length === 0) {
+        results.push({ card: card._id, cardUID: card.cardUID, status: 'unchanged' });
+        return;
+      }
+
+      if (diff.profile && before.profile) previousProfiles.add(before.profile);
+      changed.push(card);
+      results.push({ card: card._id, cardUID: card.cardUID, status: 'changed', changes: diff });
+    });
+
+    const summary = {
+      matched: cards.length,
+      changed: changed.length,
+      unchanged: results.filter(result => result.status === 'unchanged').length,
+      errors: results.filter(result => result.status === 'error').length
+    };
+
+    // All or nothing: one invalid card means no card is written
+    if (dryRun || summary.errors > 0) {
+      results.forEach(result => {
+        if (result.status === 'changed') result.status = 'would-change';
+      });
+    }
+
+    if (summary.errors > 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'No cards were changed because some changes are invalid',
+        data: { dryRun, summary, results }
+      });
+    }
+
+    if (!dryRun && changed.length > 0) {
+      await Card.bulkSave(changed);
+
+      // Keep the profiles' card lists in line with the cards' new profile
+      if (changes.profile !== undefined) {
+        const changedIds = changed.map(card => card._id);
+        if (previousProfiles.size > 0) {
+          await Profile.updateMany(
+            { _id: { $in: [...previousProfiles] } },
+            { $pull: { cards: { $in: changedIds } } }
+          );
+        }
+        if (profile) {
+          await Profile.updateOne({ _id: profile._id }, { $addToSet: { cards: { $each: changedIds } } });
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ?
+        `Dry run: ${summary.changed} card(s) would change` :
+        `${summary.changed} card(s) updated`,
+      data: { dryRun, summary, results }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/cards/batches/:batchNumber/schedule
+// @desc    Set the active window of all the user's cards in a batch
+// @access  Private
+router.put('/batches/:batchNumber/schedule', scheduleValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const fields = pickScheduleFields(req.body);
+    const batch = { owner: req.user._id, batchNumber: req.params.batchNumber };
+
+    if (!isValidWindow(fields) || await conflictsWithStoredWindow(batch, fields)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The active window must end after it starts'
+      });
+    }
+
+    const update = { $set: {}, $unset: { 'schedule.state': 1 } };
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value === null) {
+        update.$unset[`schedule.${key}`] = 1;
+      } else {
+        update.$set[`schedule.${key}`] = value;
+      }
+    });
+
+    const { matchedCount } = await Card.updateMany(batch, update, { runValidators: true });
+
+    if (matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No cards found in this batch'
+      });
+    }
+
+    // Resume cards the old window suspended; the scheduler applies the new window
+    await Card.updateMany(
+      { ...batch, status: 'suspended', 'suspension.reason': 'schedule' },
+      { $set: { status: 'activated' }, $unset: { suspension: 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: `Schedule updated for ${matchedCount} card(s)`,
+      data: { batchNumber: req.params.batchNumber, cards: matchedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/cards/transfers
+// @desc    Get the user's pending outgoing transfers and incoming email invitations
+// @access  Private
+router.get('/transfers', async (req, res, next) => {
+  try {
+    const pending = { status: 'pending', expiresAt: { $gt: new Date() } };
+
+    const [outgoing, incoming] = await Promise.all([
+      CardTransfer.find({ ...pending, fromUser: req.user._id })
+        .populate('card', 'cardUID nickname')
+        .sort({ createdAt: -1 }),
+      CardTransfer.find({ ...pending, toEmail: req.user.email })
+        .populate('card', 'cardUID nickname')
+        .populate('fromUser', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+    ]);
+
+    res.json({
+      success: true,
+      data: { outgoing, incoming }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/cards/transfers/accept
+// @desc    Accept a card transfer with its transfer code
+// @access  Private
+router.post('/transfers/accept', acceptTransferValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const transfer = await CardTransfer.findPendingByCode(req.body.code);
+    await acceptTransfer(req, res, transfer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/cards/transfers/:transferId/accept
+// @desc    Accept a card transfer sent to the user's email address
+// @access  Private (invited user only)
+router.post('/transfers/:transferId/accept', async (req, res, next) => {
+  try {
+    const transfer = mongoose.isValidObjectId(req.params.transferId) ?
+      await CardTransfer.findOne({ _id: req.params.transferId, toEmail: req.user.email }) :
+      null;
+
+    await acceptTransfer(req, res, transfer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/cards/transfers/:transferId/decline
+// @desc    Decline a card transfer sent to the user's email address
+// @access  Private (invited user only)
+router.post('/transfers/:transferId/decline', async (req, res, next) => {
+  try {
+    const { modifiedCount } = mongoose.isValidObjectId(req.params.transferId) ?
+      await CardTransfer.updateOne(
+        { _id: req.params.transferId, toEmail: req.user.email, status: 'pending' },
+        { status: 'declined' }
+      ) :
+      { modifiedCount: 0 };
+
+    if (modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found or expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Transfer declined'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/cards/:id
+// @desc    Get specific card details
+// @access  Private (owner only)
+router.get('/:id', requireOwnership('Card'), async (req, res, next) => {
+  try {
+    const card = req.resource; // Set by requireOwnership middleware
+
+    res.json({
+      success: true,
+      data: { card }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/cards/:id
+// @desc    Update card details
+// @access  Private (owner only)
+router.put('/:id', requireOwnership('Card'), updateValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const card = req.resource;
+    const { nickname, description, tags } = req.body;
+
+    // Update fields if provided
+    if (nickname !== undefined) card.nickname = nickname;
+    if (description !== undefined) card.description = description;
+    if (tags !== undefined) card.metadata.tags = tags;
+
+    await card.save();
+
+    res.json({
+      success: true,
+      message: 'Card updated successfully',
+      data: { card }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/cards/:id/schedule
+// @desc    Set the card's active window and what taps show once it has expired
+// @access  Private (owner only)
+router.put('/:id/schedule', requireOwnership('Card'), scheduleValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const card = req.resource;
+    Object.entries(pickScheduleFields(req.body)).forEach(([key, value]) => {
+      card.schedule[key] = value === null ? undefined : value;
+    });
+
+    if (!isValidWindow(card.schedule)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The active window must end after it starts'
+      });
+    }
+
+    // Resume a card the old window suspended; the scheduler applies the new window
+    card.schedule.state = undefined;
+    if (card.status === 'suspended' && card.suspension?.reason === 'schedule') {
+      card.status = 'activated';
+      card.suspension = undefined;
+    }
+
+    await card.save();
+
+    res.json({
+      success: true,
+      message: 'Schedule updated successfully',
+      data: {
+        schedule: card.schedule,
+        phase: card.schedulePhase()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/cards/:id/tap-limits
+// @desc    Set how many taps the card accepts per time window, overall and per visitor
+// @access  Private (owner only)
+router.put('/:id/tap-limits', requireOwnership('Card'), tapLimitsValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const card = req.resource;
+    ['perCard', 'perVisitor'].forEach(scope => {
+      const limit = req.body[scope];
+      if (!limit) return;
+
+      if (limit.maxTaps !== undefined) {
+        card.tapLimits[scope].maxTaps = limit.maxTaps === null ? undefined : limit.maxTaps;
+      }
+      if (limit.windowMinutes !== undefined) {
+        card.tapLimits[scope].windowMinutes = limit.windowMinutes;
+      }
+    });
+    if (req.body.onExceed) {
+      card.tapLimits.onExceed = req.body.onExceed;
+    }
+
+    await card.save();
+
+    res.json({
+      success: true,
+      message: 'Tap limits updated successfully',
+      data: { tapLimits: card.tapLimits }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/cards/:id/report-lost
+// @desc    Report a card lost, stolen or damaged and stop it from redirecting
+// @access  Private (owner only)
+router.post('/:id/report-lost', requireOwnership('Card'), reportLostValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const card = req.resource;
+
+    if (card.replacedBy) {
+      return res.status(400).json({
+        success: false,
+        error: 'This card has already been replaced'
+      });
+    }
+
+    if (!card.isActivated) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only activated cards can be reported'
+      });
+    }
+
+    await card.deactivate(req.body.reason, req.body.note);
+
+    res.json({
+      success: true,
+      message: 'Card reported and suspended. Activate a replacement card to move its profile and history over.',
+      data: { card }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/cards/:id/replace
+// @desc    Activate a replacement for a lost card and move its profile, settings and history to it
+// @access  Private (owner only)
+router.post('/:id/replace', requireOwnership('Card'), activationValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const card = req.resource;
+
+    if (card.replacedBy) {
+      return res.status(400).json({
+        success: false,
+        error: 'This card has already been replaced'
+      });
+    }
+
+    if (!card.isReportedLost()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Report the card as lost, stolen or damaged before replacing it'
+      });
+    }
+
+    const replacement = await Card.findByActivationCode(req.body.activationCode);
+    if (!replacement) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invalid activation code'
+      });
+    }
+
+    // The replacement takes over the lost card's slot, so the plan card limit is not checked
+    await card.replaceWith(replacement);
+
+    res.json({
+      success: true,
+      message: 'Replacement card activated successfully',
+      data: {
+        card: replacement,
+        replaced: card
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/cards/:id/transfer
+// @desc    Start a transfer of the card to another user, by code or email invitation
+// @access  Private (owner only)
+router.post('/:id/transfer', requireOwnership('Card'), transferValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const card = req.resource;
+    const { email, keepProfile, keepCategory } = req.body;
+
+    if (!card.isActivated || card.replacedBy || card.isReportedLost()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only active cards can be transferred'
+      });
+    }
+
+    if (email && email === req.user.email) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot transfer a card to yourself'
+      });
+    }
+
+    // Starting a new transfer cancels any earlier pending one for this card
+    const { transfer, code } = await CardTransfer.createForCard(card, req.user._id, {
+      toEmail: email,
+      keepProfile: keepProfile === true || keepProfile === 'true',
+      keepCategory: keepCategory === true || keepCategory === 'true'
+    });
+
+    const emailSent = email ? await sendTransferInvitation(transfer, code, card, req.user) : false;
+
+    res.status(201).json({
+      success: true,
+      message: email ?
+        `Transfer invitation ${emailSent ? 'sent' : 'created, but the email could not be sent. Share the code instead'}` :
+        'Transfer code created. Share it with the new owner.',
+      data: {
+        transfer,
+        // Only returned here; it cannot be retrieved later
+        code,
+        emailSent
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/cards/:id/transfer
+// @desc    Cancel the card's pending transfer
+// @access  Private (owner only)
+router.delete('/:id/transfer', requireOwnership('Card'), async (req, res, next) => {
+  try {
+    const { modifiedCount } = await CardTransfer.updateMany(
+      { card: req.resource._id, status: 'pending' },
+      { status: 'cancelled' }
+    );
+
+    if (modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending transfer for this card'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Transfer cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/cards/:id/qr
+// @desc    Get the card's QR code as a PNG or SVG image
+// @access  Private (owner only)
+router.get('/:id/qr', requireOwnership('Card'), qrValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const card = req.resource;
+    const format = req.query.format || 'png';
+    const withLogo = req.query.logo === 'true';
+
+    const options = {
+      size: req.query.size ? parseInt(req.query.size) : QR_DEFAULTS.size,
+      margin: req.query.margin !== undefined ? parseInt(req.query.margin) : QR_DEFAULTS.margin,
+      errorCorrectionLevel: req.query.ecc || QR_DEFAULTS.errorCorrectionLevel,
+      color: req.query.color || QR_DEFAULTS.color,
+      background: req.query.background || QR_DEFAULTS.background
+    };
+
+    // PNG output is rendered without an image library, so logos are SVG only
+    if (withLogo && format !== 'svg') {
+      return res.status(400).json({
+        success: false,
+        error: 'A centre logo is only available for SVG QR codes'
+      });
+    }
+
+    if (req.query.download === 'true') {
+      res.attachment(`${card.cardUID}-qr.${format}`);
+    }
+
+    if (format === 'svg') {
+      let logo = null;
+
+      if (withLogo) {
+        await card.populate('profile', 'customization.logo');
+        const logoUrl = card.profile?.customization?.logo;
+
+        if (!logoUrl) {
+          return res.status(400).json({
+            success: false,
+            error: 'The linked profile has no logo'
+          });
+        }
+
+        logo = await fetchImage(logoUrl, { types: LOGO_MEDIA_TYPES });
+        if (!logo) {
+          return res.status(502).json({
+            success: false,
+            error: 'Unable to load the profile logo'
+          });
+        }
+      }
+
+      res.type('image/svg+xml');
+      return res.send(await renderQrSvg(card.qrUrl, options, logo));
+    }
+
+    res.type('image/png');
+    res.send(await renderQrPng(card.qrUrl, options));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/cards/:id/analytics
+// @desc    Get card analytics
+// @access  Private (owner only)
+router.get('/:id/analytics', requireOwnership('Card'), analyticsValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const card = req.resource;
+    const { days = 30, traffic = 'filtered' } = req.query;
+    const daysNum = Math.min(parseInt(days) || 30, 90); // Max 90 days
+
+    const endDate = new Date();
+    const startDate = new Date(endDate.getTime() - (daysNum * 24 * 60 * 60 * 1000));
+    // Taps on the cards this one replaced are part of its history
+    const cardIds = card.lineageIds();
+    const cardTaps = { card: { $in: cardIds }, ...TapEvent.trafficMatch(traffic) };
+    const match = TapEvent.buildMatch(cardTaps, startDate, endDate);
+
+    const [
+      totalTaps,
+      periodTaps,
+      tapsByDay,
+      devices,
+      browsers,
+      referrers,
+      methods,
+      locations,
+      filterReasons,
+      uniqueVisitors
+    ] = await Promise.all([
+      TapEvent.countDocuments(cardTaps),
+      TapEvent.countDocuments(match),
+      TapEvent.getTimeSeries(match),
+      TapEvent.getBreakdown(match, 'device.type'),
+      TapEvent.getBreakdown(match, 'device.browser'),
+      TapEvent.getBreakdown(match, 'referrer'),
+      TapEvent.getBreakdown(match, 'method'),
+      TapEvent.getGeographicBreakdown(match),
+      // The raw view also shows why the filtered share was excluded
+      traffic === 'raw' ? TapEvent.getBreakdown({ ...match, filtered: true }, 'filterReason') : [],
+      VisitorCounter.getUniqueVisitors('Card', cardIds)
+    ]);
+
     const analytics = {
-      totalTaps: card.tapCount,
+      totalTaps,
       lastTapped: card.lastTapped,
       activityStatus: card.activityStatus,
-      daysSinceActivation: card.daysSinceActivation
+      daysSinceActivation: card.daysSinceActivation,
+      previousCards: card.previousCards,
+      period: { days: daysNum, startDate, endDate },
+      traffic,
+      periodTaps,
+      uniqueVisitors,
+      tapsByDay,
+      devices,
+      browsers,
+      referrers,
+      methods,
+      locations,
+      filterReasons
     };
 
     res.json({
@@ -3,6 +3,8 @@ const { authenticateToken, requireSubscription } = require('../middleware/auth')
 const Category = require('../models/Category');
 const Card = require('../models/Card');
 const Activity = require('../models/Activity');
+const VisitorCounter = require('../models/VisitorCounter');
+const { CLICK_ID_PARAM, pixelSignature } = require('../utils/clickId');
 
 const router = express.Router();
 
@@ -377,7 +379,11 @@ router.get('/:id/analytics', async (req, res) => {
     
     // Calculate growth metrics
     const totalTaps = dailyStats.reduce((sum, day) => sum + day.taps, 0);
-    const totalVisitors = dailyStats.reduce((sum, day) => sum + day.uniqueVisitors, 0);
+    // Distinct across the whole period, so a visitor seen on several days counts once
+    const [totalVisitors, uniqueVisitors] = await Promise.all([
+      VisitorCounter.countBetween('Category', category._id, startDate, endDate),
+      VisitorCounter.getUniqueVisitors('Category', category._id)
+    ]);
     const totalConversions = dailyStats.reduce((sum, day) => sum + day.conversions, 0);
     
     // Calculate trend
@@ -413,6 +419,7 @@ router.get('/:id/analytics', async (req, res) => {
             conversions: totalConversions,
             conversionRate: totalVisitors > 0 ? (totalConversions / totalVisitors * 100) : 0
           },
+          uniqueVisitors,
           trend: {
             percentage: trend,
             direction: trend > 0 ? 'up' : trend < 0 ? 'down' : 'stable'
@@ -431,6 +438,95 @@ router.get('/:id/analytics', async (req, res) => {
   }
 });
 
+// @route   GET /api/categories/:id/conversion-tracking
+// @desc    Get the conversion pixel and server-to-server API details for a category
+// @access  Private
+router.get('/:id/conversion-tracking', async (req, res) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      owner: req.user._id
+    });
+    
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+    
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    const pixelUrl = `${baseUrl}/api/conversions/pixel.gif?c=${category._id}&sig=${pixelSignature(category._id.toString())}`;
+    const { goalUrl, goalType, trackConversions } = category.settings.analytics || {};
+    
+    res.json({
+      success: true,
+      data: {
+        trackConversions: Boolean(trackConversions),
+        goalUrl,
+        goalType,
+        // Redirects carry the click ID in this query parameter
+        clickIdParam: CLICK_ID_PARAM,
+        pixel: {
+          url: pixelUrl,
+          // Append &cid=<click id> (and optionally goalType, value, currency, orderId)
+          snippet: `<img src="${pixelUrl}&cid={CLICK_ID}" width="1" height="1" alt="" style="display:none">`
+        },
+        api: {
+          endpoint: `${baseUrl}/api/conversions`,
+          header: 'X-Conversion-Key',
+          // The key itself is only returned by POST /:id/conversion-key
+          keyHint: category.conversionKey?.hint || null,
+          keyCreatedAt: category.conversionKey?.createdAt || null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Conversion tracking error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversion tracking details'
+    });
+  }
+});
+
+// @route   POST /api/categories/:id/conversion-key
+// @desc    Generate a new server-to-server conversion key, revoking the current one
+// @access  Private
+router.post('/:id/conversion-key', async (req, res) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      owner: req.user._id
+    });
+    
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+    
+    const key = await category.regenerateConversionKey();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Conversion key generated. Store it now; it will not be shown again.',
+      data: {
+        key,
+        hint: category.conversionKey.hint,
+        createdAt: category.conversionKey.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Conversion key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate conversion key'
+    });
+  }
+});
+
 // @route   POST /api/categories/initialize
 // @desc    Create default categories for new user
 // @access  Private
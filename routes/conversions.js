@@ -0,0 +1,143 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const TapEvent = require('../models/TapEvent');
+const Conversion = require('../models/Conversion');
+const Category = require('../models/Category');
+const { parseClickId, verifyPixelSignature } = require('../utils/clickId');
+
+const router = express.Router();
+
+const GOAL_TYPES = ['visit', 'signup', 'purchase', 'download'];
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const conversionValidation = [
+  body('clickId')
+    .isString()
+    .notEmpty()
+    .withMessage('Click ID is required'),
+  body('goalType')
+    .optional()
+    .isIn(GOAL_TYPES)
+    .withMessage(`Goal type must be one of: ${GOAL_TYPES.join(', ')}`),
+  body('value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Value must be a positive number')
+    .toFloat(),
+  body('currency')
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Currency must be a 3-letter ISO code'),
+  body('orderId')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Order ID cannot exceed 100 characters')
+];
+
+// Pick the optional conversion details from a query string or request body
+const conversionDetails = (input, source) => {
+  const value = parseFloat(input.value);
+
+  return {
+    source,
+    goalType: GOAL_TYPES.includes(input.goalType) ? input.goalType : undefined,
+    value: Number.isFinite(value) && value >= 0 ? value : undefined,
+    currency: /^[A-Za-z]{3}$/.test(input.currency || '') ? input.currency : undefined,
+    orderId: typeof input.orderId === 'string' ? input.orderId.substring(0, 100) : undefined
+  };
+};
+
+// @route   GET /api/conversions/pixel.gif
+// @desc    Conversion tracking pixel (?cid=<click id>&c=<category id>&sig=<pixel signature>)
+// @access  Public
+router.get('/pixel.gif', async (req, res) => {
+  const { cid, c: categoryId, sig } = req.query;
+
+  try {
+    const tapId = parseClickId(cid);
+
+    if (tapId && categoryId && verifyPixelSignature(categoryId, sig)) {
+      const tap = await TapEvent.findById(tapId);
+
+      // A pixel only converts clicks that came through its own category
+      if (tap && tap.category && tap.category.toString() === String(categoryId)) {
+        await Conversion.recordForTap(tap, conversionDetails(req.query, 'pixel'));
+      }
+    }
+  } catch (error) {
+    // The pixel must always render, whatever happened to the conversion
+    console.error('Conversion pixel error:', error);
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    // The pixel is embedded on the destination site's pages
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  res.send(PIXEL);
+});
+
+// @route   POST /api/conversions
+// @desc    Report a conversion server-to-server (X-Conversion-Key header)
+// @access  Public (category conversion key)
+router.post('/', conversionValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const tapId = parseClickId(req.body.clickId);
+    if (!tapId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid click ID'
+      });
+    }
+
+    const tap = await TapEvent.findById(tapId);
+    if (!tap || !tap.category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Click not found'
+      });
+    }
+
+    if (!(await Category.verifyConversionKey(tap.category, req.get('X-Conversion-Key')))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid conversion key'
+      });
+    }
+
+    const result = await Conversion.recordForTap(tap, conversionDetails(req.body, 'api'));
+
+    if (result.status === 'rejected') {
+      return res.status(422).json({
+        success: false,
+        error: 'Conversion not recorded',
+        reason: result.reason
+      });
+    }
+
+    res.status(result.status === 'recorded' ? 201 : 200).json({
+      success: true,
+      data: {
+        status: result.status,
+        conversion: result.conversion || null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const { authenticateOptional, authenticateToken } = require('../middleware/auth');
 const User = require('../models/User');
 const Card = require('../models/Card');
+const Profile = require('../models/Profile');
+const SavedSearch = require('../models/SavedSearch');
 
 const router = express.Router();
 
@@ -34,6 +36,37 @@ async function getUserStats(userId) {
   }
 }
 
+// Helper function to get the saved searches shown as dashboard widgets, with their top cards
+async function getSearchWidgets(userId) {
+  try {
+    const searches = await SavedSearch.find({ owner: userId, showOnDashboard: true })
+      .sort({ name: 1 })
+      .limit(6);
+
+    return await Promise.all(searches.map(async (search) => {
+      const { cards, total } = await Card.search(userId, search.toQueryOptions(), {
+        sort: search.sort,
+        limit: 5
+      });
+
+      return {
+        id: search._id,
+        name: search.name,
+        total,
+        cards: cards.map(card => ({
+          cardUID: card.cardUID,
+          name: card.nickname || card.cardUID,
+          tapCount: card.tapCount,
+          activityStatus: card.activityStatus
+        }))
+      };
+    }));
+  } catch (error) {
+    console.error('Error getting search widgets:', error);
+    return [];
+  }
+}
+
 // @route   GET /
 // @desc    Landing page or dashboard
 // @access  Public/Private
@@ -41,7 +74,10 @@ router.get('/', authenticateOptional, async (req, res) => {
   if (req.user) {
     // User is logged in, show dashboard
     try {
-      const stats = await getUserStats(req.user._id);
+      const [stats, searchWidgets] = await Promise.all([
+        getUserStats(req.user._id),
+        getSearchWidgets(req.user._id)
+      ]);
       const welcome = req.query.welcome === 'true';
       
       // Get recent activity (placeholder - would come from activity log)
@@ -51,6 +87,7 @@ router.get('/', authenticateOptional, async (req, res) => {
         title: 'Dashboard',
         user: req.user,
         stats,
+        searchWidgets,
         recentActivity,
         welcome,
         layout: 'main'
@@ -74,12 +111,16 @@ router.get('/', authenticateOptional, async (req, res) => {
 // @access  Private
 router.get('/dashboard', authenticateToken, async (req, res) => {
   try {
-    const stats = await getUserStats(req.user._id);
+    const [stats, searchWidgets] = await Promise.all([
+      getUserStats(req.user._id),
+      getSearchWidgets(req.user._id)
+    ]);
     
     res.render('dashboard/index', {
       title: 'Dashboard',
       user: req.user,
       stats,
+      searchWidgets,
       recentActivity: [],
       layout: 'main'
     });
@@ -165,9 +206,15 @@ router.get('/dashboard/cards', authenticateToken, async (req, res) => {
 // @access  Private
 router.get('/dashboard/profiles', authenticateToken, async (req, res) => {
   try {
+    const profiles = await Profile.find({ userId: req.user._id })
+      .select('name redirectType isActive')
+      .sort({ createdAt: -1 })
+      .lean();
+
     res.render('dashboard/profiles', {
       title: 'Edit Profile',
       user: req.user,
+      profiles,
       layout: 'main'
     });
   } catch (error) {
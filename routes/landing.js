@@ -0,0 +1,76 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateOptional } = require('../middleware/auth');
+const Profile = require('../models/Profile');
+
+const router = express.Router();
+
+// Custom CSS is rendered unescaped inside a <style> tag, so strip anything
+// that could close the tag or start markup
+const sanitizeCss = (css = '') => css.replace(/</g, '');
+
+// Render the branded "not available" page for a missing or hidden profile
+const renderNotFound = (res) => {
+  return res.status(404).render('tap/unavailable', {
+    title: 'Profile Not Found',
+    icon: 'bi-person-x',
+    heading: 'Profile Not Found',
+    message: 'This profile does not exist or is not public.',
+    hideNavbar: true,
+    hideFooter: true,
+    layout: 'main'
+  });
+};
+
+// @route   GET /profile/:id
+// @desc    Hosted link-in-bio landing page for a profile
+// @access  Public (unless the profile requires sign-in)
+router.get('/:id', authenticateOptional, async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return renderNotFound(res);
+    }
+
+    const profile = await Profile.findById(req.params.id);
+
+    if (!profile || !profile.isLandingPageVisible()) {
+      return renderNotFound(res);
+    }
+
+    if (profile.requiresAuth && !req.user) {
+      return res.redirect('/auth/login');
+    }
+
+    const { customization = {}, seo = {} } = profile;
+
+    res.render('profile/landing', {
+      title: seo.title || profile.name,
+      metaDescription: seo.description || profile.description,
+      metaKeywords: seo.keywords && seo.keywords.length > 0 ? seo.keywords.join(', ') : null,
+      profile: {
+        name: profile.name,
+        nickname: profile.nickname,
+        description: profile.description,
+        imageUrl: profile.imageUrl,
+        logo: customization.logo,
+        theme: customization.theme || 'default',
+        primaryColor: customization.primaryColor
+      },
+      links: profile.getVisibleLinks().map(link => ({
+        label: link.label,
+        url: link.url,
+        icon: link.icon || 'bi-link-45deg',
+        external: /^https?:/i.test(link.url)
+      })),
+      additionalCSS: customization.customCss ?
+        `<style>${sanitizeCss(customization.customCss)}</style>` : null,
+      hideNavbar: true,
+      hideFooter: true,
+      layout: 'main'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
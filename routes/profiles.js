@@ -1,30 +1,587 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireOwnership, rateLimitByUser } = require('../middleware/auth');
+const Profile = require('../models/Profile');
+const Card = require('../models/Card');
+const TapEvent = require('../models/TapEvent');
+const VisitorCounter = require('../models/VisitorCounter');
+const geolocation = require('../services/geolocation');
+const { healthChecker } = require('../services/healthChecker');
+const { buildSimulatedContext } = require('../utils/requestContext');
+const { GATED_CRITERIA } = require('../utils/ruleEngine');
+const { isValidTimezone } = require('../utils/schedule');
+const { twoProportionZTest } = require('../utils/statistics');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticateToken);
 
+// Fields that can be set through the API
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'nickname',
+  'imageUrl',
+  'redirectUrl',
+  'redirectType',
+  'timeBasedRedirects',
+  'geoBasedRedirects',
+  'conditionalRedirects',
+  'rules',
+  'links',
+  'vcard',
+  'urlDecoration',
+  'fallbackUrl',
+  'outOfOffice',
+  'webhookUrl',
+  'webhookSecret',
+  'notifications',
+  'customization',
+  'seo',
+  'isActive',
+  'isPublic',
+  'requiresAuth',
+  'variants'
+];
+
+const REDIRECT_TYPES = ['static', 'time-based', 'geo-based', 'conditional', 'split', 'rules', 'landing-page', 'vcard'];
+
+// p-value below which a variant's difference from the control is reported as significant
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Validation rules
+const createValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Profile name is required'),
+  body('redirectUrl')
+    .trim()
+    .matches(/^https?:\/\/.+$/i)
+    .withMessage('Redirect URL must be a valid HTTP/HTTPS URL'),
+  body('redirectType')
+    .optional()
+    .isIn(REDIRECT_TYPES)
+    .withMessage(`Redirect type must be one of: ${REDIRECT_TYPES.join(', ')}`)
+];
+
+const updateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Profile name cannot be empty'),
+  body('redirectUrl')
+    .optional()
+    .trim()
+    .matches(/^https?:\/\/.+$/i)
+    .withMessage('Redirect URL must be a valid HTTP/HTTPS URL'),
+  body('redirectType')
+    .optional()
+    .isIn(REDIRECT_TYPES)
+    .withMessage(`Redirect type must be one of: ${REDIRECT_TYPES.join(', ')}`),
+  body('fallbackUrl')
+    .optional({ checkFalsy: true })
+    .trim()
+    .matches(/^https?:\/\/.+$/i)
+    .withMessage('Fallback URL must be a valid HTTP/HTTPS URL'),
+  body('outOfOffice.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Out of office enabled must be true or false'),
+  body('outOfOffice.message')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Out of office message cannot exceed 500 characters'),
+  body('outOfOffice.until')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Out of office end must be an ISO 8601 date'),
+  body('healthCheck.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Health check enabled must be true or false')
+];
+
+const cardIdsValidation = [
+  body('cardIds')
+    .isArray({ min: 1 })
+    .withMessage('Card IDs array is required'),
+  body('cardIds.*')
+    .isMongoId()
+    .withMessage('Card IDs must be valid IDs')
+];
+
+const simulateValidation = [
+  body('timestamp')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Timestamp must be an ISO 8601 date'),
+  body('timezone')
+    .optional({ checkFalsy: true })
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be a valid IANA timezone name'),
+  body('country')
+    .optional({ checkFalsy: true })
+    .matches(/^[A-Z]{2}$/i)
+    .withMessage('Country must be a 2-letter ISO country code'),
+  body('ip')
+    .optional({ checkFalsy: true })
+    .isIP()
+    .withMessage('IP must be a valid IPv4 or IPv6 address')
+];
+
+// Send validation errors in the standard format
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Pick the editable fields present in a request body
+const pickEditableFields = (data) => {
+  const fields = EDITABLE_FIELDS.reduce((picked, key) => {
+    if (data[key] !== undefined) picked[key] = data[key];
+    return picked;
+  }, {});
+
+  // Health check targets are written by the checker only
+  if (data.healthCheck && data.healthCheck.enabled !== undefined) {
+    fields['healthCheck.enabled'] = data.healthCheck.enabled;
+  }
+
+  return fields;
+};
+
+// Find the first plan feature required by the given profile fields that the user lacks
+const findMissingFeature = (user, fields) => {
+  const hasItems = (list) => Array.isArray(list) && list.length > 0;
+  const required = [];
+
+  if (fields.redirectType === 'time-based' || hasItems(fields.timeBasedRedirects)) {
+    required.push('timeBasedRedirects');
+  }
+  if (fields.redirectType === 'geo-based' || hasItems(fields.geoBasedRedirects)) {
+    required.push('geoBasedRedirects');
+  }
+  if (Array.isArray(fields.rules)) {
+    fields.rules.forEach(rule => {
+      (rule.criteria || []).forEach(criterion => {
+        const feature = GATED_CRITERIA[criterion.type];
+        if (feature && !required.includes(feature)) required.push(feature);
+      });
+    });
+  }
+  if (fields.webhookUrl) {
+    required.push('webhooks');
+  }
+  if (fields.customization && (fields.customization.customCss || fields.customization.logo)) {
+    required.push('customBranding');
+  }
+
+  return required.find(feature => !user.hasFeatureAccess(feature)) || null;
+};
+
+// Respond with the standard plan gate error
+const sendFeatureError = (req, res, feature) => {
+  return res.status(402).json({
+    success: false,
+    error: `Feature '${feature}' is not available in your current plan.`,
+    currentPlan: req.user.subscription.plan,
+    feature,
+    redirectTo: '/subscription/plans'
+  });
+};
+
 // @route   GET /api/profiles
-// @desc    Get user's profiles (placeholder)
+// @desc    Get user's profiles
 // @access  Private
-router.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Profiles endpoint - Coming soon',
-    data: { profiles: [] }
-  });
+router.get('/', async (req, res, next) => {
+  try {
+    const profiles = await Profile.find({ userId: req.user._id })
+      .populate('cards', 'cardUID nickname status')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { profiles }
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // @route   POST /api/profiles
-// @desc    Create new profile (placeholder)
+// @desc    Create new profile
 // @access  Private
-router.post('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Create profile endpoint - Coming soon'
-  });
+router.post('/', createValidation, async (req, res, next) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const fields = pickEditableFields(req.body);
+
+    const missingFeature = findMissingFeature(req.user, fields);
+    if (missingFeature) {
+      return sendFeatureError(req, res, missingFeature);
+    }
+
+    const profile = new Profile({
+      ...fields,
+      userId: req.user._id
+    });
+
+    await profile.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Profile created successfully',
+      data: { profile }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/profiles/:id
+// @desc    Get specific profile
+// @access  Private (owner only)
+router.get('/:id', requireOwnership('Profile', 'id', 'userId'), async (req, res, next) => {
+  try {
+    const [profile, uniqueVisitors] = await Promise.all([
+      req.resource.populate('cards', 'cardUID nickname status'),
+      VisitorCounter.getUniqueVisitors('Profile', req.resource._id)
+    ]);
+
+    res.json({
+      success: true,
+      data: { profile, uniqueVisitors }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/profiles/:id
+// @desc    Update profile
+// @access  Private (owner only)
+router.put('/:id', requireOwnership('Profile', 'id', 'userId'), updateValidation, async (req, res, next) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const profile = req.resource;
+    const fields = pickEditableFields(req.body);
+
+    // Only gate the fields being changed, so downgraded users can still edit the rest
+    const missingFeature = findMissingFeature(req.user, fields);
+    if (missingFeature) {
+      return sendFeatureError(req, res, missingFeature);
+    }
+
+    profile.set(fields);
+    await profile.save();
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: { profile }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/profiles/:id
+// @desc    Delete profile and unlink its cards
+// @access  Private (owner only)
+router.delete('/:id', requireOwnership('Profile', 'id', 'userId'), async (req, res, next) => {
+  try {
+    const profile = req.resource;
+
+    await Card.updateMany({ profile: profile._id }, { profile: null });
+    await profile.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Profile deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/profiles/:id/duplicate
+// @desc    Duplicate a profile (without cards or analytics)
+// @access  Private (owner only)
+router.post('/:id/duplicate', requireOwnership('Profile', 'id', 'userId'), async (req, res, next) => {
+  try {
+    const source = req.resource;
+    const fields = pickEditableFields(source.toObject({ virtuals: false, depopulate: true }));
+
+    const missingFeature = findMissingFeature(req.user, fields);
+    if (missingFeature) {
+      return sendFeatureError(req, res, missingFeature);
+    }
+
+    // Drop sub-document IDs so the copy gets its own rule IDs
+    ['timeBasedRedirects', 'geoBasedRedirects', 'conditionalRedirects', 'variants', 'links'].forEach(key => {
+      if (Array.isArray(fields[key])) {
+        fields[key] = fields[key].map(({ _id, ...rule }) => rule);
+      }
+    });
+    if (Array.isArray(fields.rules)) {
+      fields.rules = fields.rules.map(({ _id, criteria = [], ...rule }) => ({
+        ...rule,
+        criteria: criteria.map(({ _id: criterionId, ...criterion }) => criterion)
+      }));
+    }
+
+    const profile = new Profile({
+      ...fields,
+      name: (req.body.name || `${source.name} (Copy)`).substring(0, 100),
+      userId: source.userId
+    });
+
+    await profile.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Profile duplicated successfully',
+      data: { profile }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/profiles/:id/cards
+// @desc    Attach cards to profile
+// @access  Private (owner only)
+router.post('/:id/cards', requireOwnership('Profile', 'id', 'userId'), cardIdsValidation, async (req, res, next) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const profile = req.resource;
+    const { cardIds } = req.body;
+
+    // Cards must belong to the profile owner
+    const cards = await Card.find({ _id: { $in: cardIds }, owner: profile.userId }).select('_id');
+
+    if (cards.length !== new Set(cardIds).size) {
+      return res.status(404).json({
+        success: false,
+        error: 'One or more cards were not found'
+      });
+    }
+
+    await profile.attachCards(cards.map(card => card._id));
+    await profile.populate('cards', 'cardUID nickname status');
+
+    res.json({
+      success: true,
+      message: 'Cards attached successfully',
+      data: { profile }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/profiles/:id/cards/:cardId
+// @desc    Detach a card from profile
+// @access  Private (owner only)
+router.delete('/:id/cards/:cardId', requireOwnership('Profile', 'id', 'userId'), async (req, res, next) => {
+  try {
+    const profile = req.resource;
+    const { cardId } = req.params;
+
+    if (!profile.cards.some(id => id.toString() === cardId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card is not attached to this profile'
+      });
+    }
+
+    await profile.detachCards([cardId]);
+
+    res.json({
+      success: true,
+      message: 'Card detached successfully',
+      data: { profile }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/profiles/:id/simulate
+// @desc    Resolve the redirect for a hypothetical visitor and trace every rule evaluated
+// @access  Private (owner only)
+router.post('/:id/simulate', requireOwnership('Profile', 'id', 'userId'), simulateValidation, async (req, res, next) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const profile = req.resource;
+    const context = buildSimulatedContext(req.body);
+
+    // Same fallbacks as a real tap: owner timezone, then IP lookup for location
+    context.timezone = req.user.settings?.timezone;
+    if (!context.location.country && context.ip) {
+      context.location = await geolocation.resolveLocation(context.ip, context.location);
+    }
+
+    const trace = [];
+    const resolution = profile.resolveRedirect(context, trace);
+
+    res.json({
+      success: true,
+      data: {
+        redirectUrl: resolution.url,
+        rule: resolution.rule,
+        variant: resolution.variant || null,
+        message: resolution.message || null,
+        redirectType: profile.redirectType,
+        isActive: profile.isActive,
+        trace,
+        context: {
+          timestamp: context.timestamp,
+          timezone: context.timezone || 'UTC',
+          device: context.device,
+          os: context.os,
+          browser: context.browser,
+          language: context.language,
+          referrer: context.referrer,
+          query: context.query,
+          location: context.location
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Manual checks make outbound requests, so each user gets a few per window
+const manualHealthCheckLimit = rateLimitByUser(5, 15 * 60 * 1000);
+
+// @route   POST /api/profiles/:id/health-check
+// @desc    Check the profile's destinations now instead of waiting for the next scheduled run
+// @access  Private (owner only)
+router.post('/:id/health-check', manualHealthCheckLimit, requireOwnership('Profile', 'id', 'userId'), async (req, res, next) => {
+  try {
+    const profile = req.resource;
+    const targets = await healthChecker.checkProfile(profile);
+
+    res.json({
+      success: true,
+      data: {
+        fallbackUrl: profile.fallbackUrl || null,
+        targets: targets.map(target => ({
+          url: target.url,
+          status: target.status,
+          consecutiveFailures: target.consecutiveFailures,
+          lastError: target.lastError || null,
+          lastCheckedAt: target.lastCheckedAt,
+          failingSince: target.failingSince || null
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/profiles/:id/variants/stats
+// @desc    Get per-variant taps, conversions and significance against the control
+// @access  Private (owner only)
+router.get('/:id/variants/stats', requireOwnership('Profile', 'id', 'userId'), async (req, res, next) => {
+  try {
+    const profile = req.resource;
+    const results = await TapEvent.getVariantStats(profile._id);
+
+    const variants = profile.variants.map(variant => {
+      const result = results.find(entry => entry._id.equals(variant._id)) || { taps: 0, conversions: 0 };
+
+      return {
+        id: variant._id,
+        name: variant.name,
+        weight: variant.weight,
+        active: variant.active,
+        redirectUrl: variant.redirectUrl,
+        taps: result.taps,
+        conversions: result.conversions,
+        conversionRate: result.taps > 0 ? (result.conversions / result.taps * 100) : 0
+      };
+    });
+
+    // The first variant is the control every other variant is compared with
+    const control = variants[0];
+    variants.forEach((variant, index) => {
+      if (index === 0) {
+        variant.significance = null;
+        return;
+      }
+
+      const { z, pValue } = twoProportionZTest(
+        control.conversions, control.taps,
+        variant.conversions, variant.taps
+      );
+
+      variant.significance = {
+        comparedTo: control.id,
+        zScore: z,
+        pValue,
+        isSignificant: pValue < SIGNIFICANCE_LEVEL
+      };
+    });
+
+    const leader = variants
+      .filter(variant => variant.taps > 0)
+      .sort((a, b) => b.conversionRate - a.conversionRate)[0] || null;
+
+    res.json({
+      success: true,
+      data: {
+        variants,
+        leader: leader ? leader.id : null,
+        significanceLevel: SIGNIFICANCE_LEVEL
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/profiles/:id/variants/:variantId/promote
+// @desc    Promote a variant to the default redirect URL and end the split test
+// @access  Private (owner only)
+router.post('/:id/variants/:variantId/promote', requireOwnership('Profile', 'id', 'userId'), async (req, res, next) => {
+  try {
+    const profile = req.resource;
+    const promoted = await profile.promoteVariant(req.params.variantId);
+
+    if (!promoted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Variant not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Variant promoted successfully',
+      data: { profile }
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -17,6 +17,7 @@ router.get('/plans', (req, res) => {
       price: 0,
       features: {
         maxCards: 1,
+        monthlyTaps: 500,
         analytics: false,
         timeBasedRedirects: false,
         geoBasedRedirects: false,
@@ -37,6 +38,7 @@ router.get('/plans', (req, res) => {
       price: 9.99,
       features: {
         maxCards: 3,
+        monthlyTaps: 5000,
         analytics: true,
         timeBasedRedirects: true,
         geoBasedRedirects: false,
@@ -57,6 +59,7 @@ router.get('/plans', (req, res) => {
       price: 24.99,
       features: {
         maxCards: 10,
+        monthlyTaps: 25000,
         analytics: true,
         timeBasedRedirects: true,
         geoBasedRedirects: true,
@@ -77,6 +80,7 @@ router.get('/plans', (req, res) => {
       price: 49.99,
       features: {
         maxCards: -1, // unlimited
+        monthlyTaps: -1, // unlimited
         analytics: true,
         timeBasedRedirects: true,
         geoBasedRedirects: true,
@@ -107,7 +111,8 @@ router.get('/current', (req, res) => {
     success: true,
     data: { 
       subscription: req.user.subscription,
-      isTrialActive: req.user.isTrialActive
+      isTrialActive: req.user.isTrialActive,
+      tapUsage: req.user.getMonthlyTapUsage()
     }
   });
 });
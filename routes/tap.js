@@ -1,67 +1,439 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Card = require('../models/Card');
+const Activity = require('../models/Activity');
+const TapEvent = require('../models/TapEvent');
+const geolocation = require('../services/geolocation');
+const { resolveVisitor, setVisitorCookie } = require('../services/visitorIdentity');
+const tapCache = require('../services/tapCache');
+const { taskQueue } = require('../services/taskQueue');
+const { tapLimiter } = require('../services/tapLimiter');
+const { buildRedirectContext } = require('../utils/requestContext');
+const { classifyRequest, createBurstDetector } = require('../utils/botDetection');
+const { createClickId } = require('../utils/clickId');
+const { resolveDecoration, decorateUrl } = require('../utils/urlDecorator');
+const { hashIp } = require('../utils/privacy');
+const { fetchImage } = require('../utils/remoteImage');
+const { buildVCard, vcardFileName } = require('../utils/vcard');
 
 const router = express.Router();
 
-// @route   GET /tap/:cardUID
-// @desc    Handle NFC tap - redirect to profile URL
+// Cookie that keeps a repeat visitor on the same A/B variant
+const VARIANT_COOKIE_PREFIX = 'tmi_v_';
+const VARIANT_COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// More than 3 taps on one card from one IP within 10 seconds are treated as a burst
+const burstDetector = createBurstDetector({ windowMs: 10 * 1000, limit: 3 });
+
+// Branded pages shown instead of a redirect when a card cannot be used
+const UNAVAILABLE_PAGES = {
+  notFound: {
+    status: 404,
+    icon: 'bi-question-circle',
+    heading: 'Card not found',
+    message: 'We could not find this card. Please check with the person who shared it with you.'
+  },
+  noLongerActive: {
+    status: 410,
+    icon: 'bi-slash-circle',
+    heading: 'This card is no longer active',
+    message: 'This card has been reported lost or replaced by its owner. Please ask them for their new card.'
+  },
+  notYetActive: {
+    status: 403,
+    icon: 'bi-hourglass-split',
+    heading: 'This card is not active yet',
+    message: 'This card has not gone live yet. Please try again later.'
+  },
+  expired: {
+    status: 410,
+    icon: 'bi-calendar-x',
+    heading: 'This card has expired',
+    message: 'This card was only active for a limited time.'
+  },
+  rateLimited: {
+    status: 429,
+    icon: 'bi-speedometer2',
+    heading: 'Too many taps',
+    message: 'This card is getting a lot of taps right now. Please try again in a moment.'
+  },
+  suspended: {
+    status: 410,
+    icon: 'bi-pause-circle',
+    heading: 'This card is unavailable',
+    message: 'The owner of this card has suspended it. Please reach out to them directly.'
+  },
+  notActivated: {
+    status: 400,
+    icon: 'bi-lightning-charge',
+    heading: 'This card has not been activated yet',
+    message: 'If this is your card, sign in to TAP ME IN! and activate it with the code from your packaging.'
+  },
+  unverified: {
+    status: 403,
+    icon: 'bi-shield-exclamation',
+    heading: 'This tap could not be verified',
+    message: 'This link only works when the physical card is tapped. Please tap the card again.'
+  },
+  noProfile: {
+    status: 200,
+    icon: 'bi-person-badge',
+    heading: 'Almost ready!',
+    message: 'This card is active but has not been linked to a profile yet. Check back soon.'
+  },
+  outOfOffice: {
+    status: 200,
+    icon: 'bi-cup-hot',
+    heading: 'Away for now',
+    message: 'The owner of this card is away at the moment. Please check back later.'
+  }
+};
+
+// Check if the caller explicitly asked for a JSON response
+const wantsJSON = (req) => req.headers.accept?.includes('application/json');
+
+// Render an unavailable page, or a JSON error for API callers.
+// `options` can replace the page message and add a link ({ message, linkUrl, linkLabel }).
+const renderUnavailable = (req, res, pageKey, card = null, options = {}) => {
+  const page = UNAVAILABLE_PAGES[pageKey];
+  const message = options.message || page.message;
+
+  if (wantsJSON(req)) {
+    return res.status(page.status).json({
+      success: false,
+      error: page.heading,
+      code: pageKey,
+      message,
+      linkUrl: options.linkUrl || null
+    });
+  }
+
+  return res.status(page.status).render('tap/unavailable', {
+    title: page.heading,
+    icon: page.icon,
+    heading: page.heading,
+    message,
+    linkUrl: options.linkUrl || null,
+    linkLabel: options.linkLabel || 'Continue',
+    cardName: card ? card.nickname : null,
+    hideNavbar: true,
+    hideFooter: true,
+    layout: 'main'
+  });
+};
+
+// Build the tap event document for a tap
+const buildTapEvent = (card, profile, context, resolution = null) => ({
+  _id: context.tapId,
+  card: card._id,
+  cardUID: card.cardUID,
+  profile: profile ? profile._id : null,
+  owner: card.owner ? card.owner._id : null,
+  category: card.category ? card.category._id : null,
+  redirectUrl: resolution ? resolution.url : null,
+  matchedRule: resolution ? resolution.rule : undefined,
+  variant: resolution ? resolution.variant : undefined,
+  method: context.method,
+  device: {
+    type: context.device,
+    os: context.os,
+    browser: context.browser
+  },
+  userAgent: context.userAgent.substring(0, 500),
+  ipHash: hashIp(context.ip),
+  referrer: context.referrer,
+  location: context.location,
+  verification: context.verification.status,
+  verificationReason: context.verification.reason || undefined,
+  filtered: Boolean(context.filterReason),
+  filterReason: context.filterReason || undefined,
+  timestamp: context.timestamp
+});
+
+// Record the counters, category stats and the activity feed entry for a tap whose
+// tap event is already stored. Filtered (bot/preview) traffic only gets its tap event,
+// so it never moves tap counts, category stats or milestone activities.
+const recordTap = async (card, profile, context) => {
+  if (context.filterReason) {
+    return;
+  }
+
+  // Taps over the owner's monthly allowance still redirect but are not counted
+  if (card.owner && !(await card.owner.consumeMonthlyTap(context.timestamp))) {
+    await TapEvent.updateOne({ _id: context.tapId }, { $set: { filtered: true, filterReason: 'quota' } });
+    return;
+  }
+
+  const tapCount = await card.recordTap(context.visitorId);
+
+  if (profile) {
+    await profile.recordTap(context.visitorId);
+  }
+
+  if (card.category) {
+    await card.category.recordTap(context.visitorId);
+  }
+
+  try {
+    await Activity.createCardTapActivity(card._id, {
+      location: context.location,
+      device: {
+        type: context.device,
+        os: context.os,
+        browser: context.browser,
+        userAgent: context.userAgent
+      },
+      referrer: context.referrer,
+      method: context.method,
+      tapCount
+    });
+  } catch (error) {
+    // The activity feed is best-effort and must never block a redirect
+    console.error('Tap activity error:', error);
+  }
+};
+
+// Load a card with everything a tap needs, from the tap cache when possible
+const loadCard = async (cardUID) => {
+  const cached = tapCache.get(cardUID);
+  if (cached) return cached;
+
+  const card = await Card.findOne({ cardUID })
+    .select('+securityFeatures.sdmMetaReadKey +securityFeatures.sdmFileReadKey')
+    .populate('owner', 'email firstName lastName settings.timezone subscription')
+    .populate('profile')
+    .populate('category');
+
+  if (card) tapCache.set(cardUID, card);
+  return card;
+};
+
+// @route   GET /tap/:cardUID, GET /qr/:cardUID
+// @desc    Handle NFC tap or QR scan - redirect to profile URL
 // @access  Public
 router.get('/:cardUID', async (req, res, next) => {
   try {
     const { cardUID } = req.params;
 
     // Find card by UID
-    const card = await Card.findOne({ cardUID: cardUID.toUpperCase() })
-      .populate('owner', 'email firstName lastName');
+    const card = await loadCard(cardUID.toUpperCase());
 
     if (!card) {
-      return res.status(404).json({
-        success: false,
-        error: 'Card not found'
-      });
+      return renderUnavailable(req, res, 'notFound');
+    }
+
+    if (card.replacedBy || card.isReportedLost()) {
+      return renderUnavailable(req, res, 'noLongerActive', card);
+    }
+
+    // Cards the scheduler suspended are handled by the schedule check below
+    if (card.status === 'suspended' && card.suspension?.reason !== 'schedule') {
+      return renderUnavailable(req, res, 'suspended', card);
     }
 
     // Check if card is activated
     if (!card.isActivated) {
-      return res.status(400).json({
-        success: false,
-        error: 'Card not activated'
+      return renderUnavailable(req, res, 'notActivated', card);
+    }
+
+    // Scheduled cards only redirect inside their active window
+    const phase = card.schedulePhase();
+    if (phase === 'upcoming') {
+      return renderUnavailable(req, res, 'notYetActive', card);
+    }
+    if (phase === 'ended') {
+      const { expiredUrl, expiredMessage } = card.schedule;
+      if (expiredUrl && !wantsJSON(req)) {
+        return res.redirect(302, expiredUrl);
+      }
+      return renderUnavailable(req, res, 'expired', card, { message: expiredMessage, linkUrl: expiredUrl });
+    }
+
+    const profile = card.profile && card.profile.isActive ? card.profile : null;
+    const context = buildRedirectContext(req);
+
+    // Platform limit per visitor address, then the owner's limits for this card
+    const limited = tapLimiter.check(card, context.ip);
+    if (limited && (limited.scope === 'platform' || card.tapLimits?.onExceed === 'block')) {
+      res.set('Retry-After', String(limited.retryAfter));
+      return renderUnavailable(req, res, 'rateLimited', card);
+    }
+
+    context.location = await geolocation.resolveLocation(context.ip, context.location);
+
+    // Time rules without their own timezone use the owner's timezone
+    context.timezone = card.owner?.settings?.timezone;
+    context.cardUID = card.cardUID;
+    // This router is mounted at /tap for NFC taps and at /qr for QR scans
+    context.method = req.baseUrl === '/qr' ? 'qr' : 'nfc';
+
+    // Bots, link previews, bursts and taps over the card's limits still get redirected but are not counted
+    context.filterReason = classifyRequest(req) ||
+      (burstDetector.hit(`${context.ip}|${card.cardUID}`) ? 'burst' : null) ||
+      (limited ? 'rate-limit' : null);
+
+    // Secure cards sign every NFC read; QR scans cannot carry a signature.
+    // Filtered requests must not use up the read counter of the real tap.
+    context.verification = context.method === 'nfc' ?
+      await card.verifySecureTap(req.query, { consume: !context.filterReason }) :
+      { status: 'unverified', reason: 'qr-scan' };
+
+    // A filtered request cannot verify a tap, but a correctly signed one that has not been
+    // used yet (e.g. a link preview of a fresh tap URL) is still let through. QR scans are
+    // rejected too, or /qr/ would open a secure card without its signature.
+    const isUnusedSignature = context.verification.reason === 'not-consumed';
+    if (card.securityFeatures.encryptedUID && card.securityFeatures.rejectUnverified &&
+        context.verification.status !== 'verified' && !isUnusedSignature) {
+      taskQueue.enqueue('tap-event', () => TapEvent.create(buildTapEvent(card, null, context)));
+      return renderUnavailable(req, res, 'unverified', card);
+    }
+
+    if (profile) {
+      // Sticky A/B assignment: cookie first, then a hashed IP/UA fingerprint
+      context.variantId = req.cookies?.[`${VARIANT_COOKIE_PREFIX}${profile._id}`];
+      context.variantSeed = hashIp(`${context.ip}|${context.userAgent}`);
+    }
+
+    const resolution = profile ? profile.resolveRedirect(context) : null;
+    context.tapId = new mongoose.Types.ObjectId();
+
+    // Only counted taps need a visitor identity for unique-visitor stats
+    if (!context.filterReason) {
+      const visitor = await resolveVisitor(req, context);
+      context.visitorId = visitor.visitorId;
+      if (visitor.isNew) {
+        setVisitorCookie(res, visitor.visitorId);
+      }
+    }
+
+    // The tap event is stored before responding, so a click ID in the redirect always
+    // refers to a stored tap; counters and the activity feed are updated afterwards
+    let tapStored = true;
+    try {
+      await TapEvent.create(buildTapEvent(card, profile, context, resolution));
+    } catch (error) {
+      // A failed write must not block the redirect, but its click ID would lead nowhere
+      tapStored = false;
+      console.error('Tap event error:', error);
+    }
+    taskQueue.enqueue('record-tap', () => recordTap(card, profile, context));
+
+    if (!profile) {
+      return renderUnavailable(req, res, 'noProfile', card);
+    }
+
+    // The owner's out of office message replaces the redirect, linking to the fallback URL if set
+    if (resolution.rule.type === 'out-of-office') {
+      return renderUnavailable(req, res, 'outOfOffice', card, {
+        message: resolution.message,
+        linkUrl: resolution.url
       });
     }
 
-    // Record the tap
-    await card.recordTap();
-
-    // TODO: Implement analytics recording
-    // TODO: Implement redirect logic based on profile settings
-
-    // If card has an associated profile, we could redirect
-    // For now, return card info with tap success
-    const response = {
-      success: true,
-      message: 'Card tapped successfully',
-      data: {
-        card: {
-          uid: card.cardUID,
-          nickname: card.nickname,
-          owner: card.owner ? card.owner.fullName : null,
-          tapCount: card.tapCount,
-          hasProfile: !!card.profile
+    let redirectUrl = resolution.url;
+
+    // Decorate outbound links with UTM parameters and, for counted taps, a signed click ID
+    // that identifies the tap for conversion reports
+    const isOutbound = !['landing-page', 'vcard'].includes(resolution.rule?.type);
+    if (isOutbound) {
+      const category = card.category;
+      const decoration = resolveDecoration(profile, category);
+      const wantsClickId = Boolean(decoration?.clickId || category?.settings?.analytics?.trackConversions);
+
+      redirectUrl = decorateUrl(redirectUrl, decoration, {
+        card,
+        category,
+        profile,
+        method: context.method
+      }, wantsClickId && tapStored && !context.filterReason ? createClickId(context.tapId) : null);
+    }
+
+    if (resolution.variant) {
+      res.cookie(`${VARIANT_COOKIE_PREFIX}${profile._id}`, resolution.variant.variantId.toString(), {
+        maxAge: VARIANT_COOKIE_MAX_AGE,
+        httpOnly: true,
+        sameSite: 'lax'
+      });
+    }
+
+    if (wantsJSON(req)) {
+      return res.json({
+        success: true,
+        message: 'Card tapped successfully',
+        data: {
+          card: {
+            uid: card.cardUID,
+            nickname: card.nickname,
+            owner: card.owner ? card.owner.fullName : null,
+            tapCount: card.tapCount,
+            hasProfile: true
+          },
+          redirectUrl
         }
-      }
-    };
+      });
+    }
+
+    res.redirect(302, redirectUrl);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /tap/:cardUID/vcard
+// @desc    Download the card owner's contact as a vCard
+// @access  Public
+router.get('/:cardUID/vcard', async (req, res, next) => {
+  try {
+    const card = await Card.findOne({ cardUID: req.params.cardUID.toUpperCase() })
+      .populate('owner', 'email firstName lastName phoneNumber companyName')
+      .populate('profile');
+
+    if (!card) {
+      return renderUnavailable(req, res, 'notFound');
+    }
+
+    if (card.replacedBy || card.isReportedLost()) {
+      return renderUnavailable(req, res, 'noLongerActive', card);
+    }
+
+    if (card.status === 'suspended' && card.suspension?.reason !== 'schedule') {
+      return renderUnavailable(req, res, 'suspended', card);
+    }
+
+    if (!card.isActivated) {
+      return renderUnavailable(req, res, 'notActivated', card);
+    }
+
+    const phase = card.schedulePhase();
+    if (phase === 'upcoming') {
+      return renderUnavailable(req, res, 'notYetActive', card);
+    }
+    if (phase === 'ended') {
+      const { expiredUrl, expiredMessage } = card.schedule;
+      return renderUnavailable(req, res, 'expired', card, { message: expiredMessage, linkUrl: expiredUrl });
+    }
+
+    const profile = card.profile && card.profile.isActive ? card.profile : null;
+
+    if (!profile || !card.owner) {
+      return renderUnavailable(req, res, 'noProfile', card);
+    }
+
+    const contact = profile.getVCardContact(card.owner);
 
-    // If there's a profile associated, we could add redirect URL
-    if (card.profile) {
-      // TODO: Fetch profile and determine redirect URL
-      response.data.redirectUrl = 'https://example.com'; // Placeholder
+    if (contact.photoUrl && profile.vcard.embedPhoto) {
+      const photo = await fetchImage(contact.photoUrl);
+      if (photo) contact.photo = photo;
     }
 
-    res.json(response);
+    res.attachment(vcardFileName(card.owner.fullName));
+    res.type('text/vcard; charset=utf-8');
+    res.send(buildVCard(contact, profile.vcard.version));
 
   } catch (error) {
     next(error);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
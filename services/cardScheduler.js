@@ -0,0 +1,122 @@
+const cron = require('node-cron');
+const Card = require('../models/Card');
+const Activity = require('../models/Activity');
+
+// Applies card schedules (Card.schedule.activeFrom / activeUntil).
+//
+// The tap route enforces the window on every tap, so a late run never lets a tap
+// through. This job keeps `status` in line with the window (cards outside it are
+// suspended with reason 'schedule' and resumed when it opens) and tells owners in
+// the activity feed when a window opens or closes. Each transition is applied with
+// a guarded update, so several instances can run it side by side.
+
+const DEFAULT_CRON = '* * * * *'; // every minute
+
+// Cards whose current phase differs from the one last applied
+const phaseQueries = (now) => ({
+  upcoming: {
+    'schedule.activeFrom': { $gt: now },
+    'schedule.state': { $ne: 'upcoming' }
+  },
+  live: {
+    $and: [
+      { $or: [{ 'schedule.activeFrom': { $ne: null } }, { 'schedule.activeUntil': { $ne: null } }] },
+      { $or: [{ 'schedule.activeFrom': null }, { 'schedule.activeFrom': { $lte: now } }] },
+      { $or: [{ 'schedule.activeUntil': null }, { 'schedule.activeUntil': { $gt: now } }] }
+    ],
+    'schedule.state': { $ne: 'live' }
+  },
+  ended: {
+    'schedule.activeUntil': { $lte: now },
+    'schedule.state': { $ne: 'ended' }
+  }
+});
+
+// Move a card to a phase; returns true if this call made the change. The update only
+// applies while the card's status and suspension are as read, so an owner suspending or
+// resuming it meanwhile is not overwritten; the next run sees the new status.
+const applyPhase = async (card, phase, now) => {
+  const update = { $set: { 'schedule.state': phase } };
+
+  if (phase === 'live' && card.status === 'suspended' && card.suspension?.reason === 'schedule') {
+    update.$set.status = 'activated';
+    update.$unset = { suspension: 1 };
+  }
+
+  // Suspensions for other reasons (owner, lost card) are left alone
+  if (phase !== 'live' && card.status === 'activated') {
+    update.$set.status = 'suspended';
+    update.$set.suspension = { reason: 'schedule', suspendedAt: now };
+  }
+
+  const { modifiedCount } = await Card.updateOne(
+    {
+      _id: card._id,
+      'schedule.state': { $ne: phase },
+      status: card.status,
+      'suspension.reason': card.suspension?.reason || null
+    },
+    update
+  );
+  return modifiedCount > 0;
+};
+
+const createCardScheduler = ({ schedule = DEFAULT_CRON } = {}) => {
+  let task = null;
+  let running = null;
+
+  // Apply every pending transition; returns counts per phase
+  const runOnce = async (now = new Date()) => {
+    const summary = { upcoming: 0, live: 0, ended: 0 };
+
+    for (const [phase, query] of Object.entries(phaseQueries(now))) {
+      const cursor = Card.find({ ...query, isActivated: true }).cursor();
+
+      for await (const card of cursor) {
+        try {
+          if (!(await applyPhase(card, phase, now))) continue;
+          summary[phase]++;
+
+          // Opening is only news for cards that were waiting for a start date
+          if (phase === 'ended' || (phase === 'live' && card.schedule.activeFrom)) {
+            await Activity.createCardScheduleActivity(card, phase);
+          }
+        } catch (error) {
+          console.error(`Card schedule update failed for card ${card._id}:`, error);
+        }
+      }
+    }
+
+    return summary;
+  };
+
+  return {
+    runOnce,
+
+    start() {
+      if (task) return;
+      task = cron.schedule(schedule, () => {
+        if (running) return;
+        running = runOnce()
+          .catch(error => console.error('Card scheduler run error:', error))
+          .finally(() => { running = null; });
+      });
+    },
+
+    stop() {
+      if (task) task.stop();
+      task = null;
+      return running || Promise.resolve();
+    }
+  };
+};
+
+// Shared scheduler for the app
+const cardScheduler = createCardScheduler({
+  schedule: process.env.CARD_SCHEDULER_CRON || DEFAULT_CRON
+});
+
+module.exports = {
+  createCardScheduler,
+  cardScheduler
+};
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const net = require('net');
+
+// Offline IP-to-location resolution.
+//
+// The default resolver loads a CSV range table from GEOIP_DATABASE_PATH into memory
+// and answers lookups with a binary search, so no network calls are made. The table is
+// loaded by load(), which the app awaits before it starts listening. Supported rows:
+//   start_ip,end_ip,country,region,city            (IP strings or decimal integers)
+//   ip_from,ip_to,country_code,country_name,region,city   (IP2Location LITE DB3 layout)
+//   network_cidr,country,region,city
+// Any other source (e.g. an MMDB reader) can be plugged in with setResolver().
+
+const DEFAULT_CACHE_SIZE = 10000;
+const IPV4_MAPPED_PREFIX = BigInt('0xffff00000000');
+
+// Convert an IPv4 or IPv6 address to a BigInt in the IPv6 address space
+const ipToBigInt = (ip) => {
+  if (!ip) return null;
+
+  let address = String(ip).trim();
+  if (/^\d+$/.test(address)) {
+    return BigInt(address) + (BigInt(address) <= 0xffffffffn ? IPV4_MAPPED_PREFIX : 0n);
+  }
+
+  // Strip IPv4-mapped prefix and zone index
+  address = address.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '').split('%')[0];
+
+  if (net.isIPv4(address)) {
+    const value = address.split('.').reduce((total, octet) => (total << 8n) + BigInt(octet), 0n);
+    return value + IPV4_MAPPED_PREFIX;
+  }
+
+  if (net.isIPv6(address)) {
+    // Expand an embedded IPv4 tail into two hextets
+    const ipv4Tail = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (ipv4Tail) {
+      const octets = ipv4Tail[1].split('.').map(Number);
+      address = address.replace(ipv4Tail[1],
+        `${((octets[0] << 8) | octets[1]).toString(16)}:${((octets[2] << 8) | octets[3]).toString(16)}`);
+    }
+
+    const [head, tail = ''] = address.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail ? tail.split(':') : [];
+    const missing = address.includes('::') ? 8 - headParts.length - tailParts.length : 0;
+    const parts = [...headParts, ...new Array(missing).fill('0'), ...tailParts];
+
+    return parts.reduce((total, part) => (total << 16n) + BigInt(parseInt(part, 16)), 0n);
+  }
+
+  return null;
+};
+
+// Convert a CIDR block to its first and last address
+const cidrToRange = (cidr) => {
+  const [network, prefixText] = cidr.split('/');
+  const start = ipToBigInt(network);
+  if (start === null) return null;
+
+  const isV4 = net.isIPv4(network);
+  const bits = isV4 ? 32 : 128;
+  const prefix = parseInt(prefixText, 10);
+  if (isNaN(prefix) || prefix < 0 || prefix > bits) return null;
+
+  const size = 1n << BigInt(bits - prefix);
+  const first = start - (start % size);
+  return { start: first, end: first + size - 1n };
+};
+
+// Private, loopback and link-local addresses never resolve to a location
+const isPrivateAddress = (ip) => {
+  const address = String(ip || '').replace(/^::ffff:/i, '');
+  return /^(10\.|127\.|169\.254\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.)/.test(address) ||
+         /^(::1$|fc|fd|fe80:)/i.test(address);
+};
+
+// Split a CSV line, honouring double-quoted fields
+const parseCsvLine = (line) => {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === ',' && !quoted) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+
+  return fields;
+};
+
+// Turn one CSV row into a range entry, or null for headers and malformed rows
+const parseRangeRow = (fields) => {
+  let range;
+  let locationFields;
+
+  if (fields[0] && fields[0].includes('/')) {
+    range = cidrToRange(fields[0]);
+    locationFields = fields.slice(1);
+  } else {
+    const start = ipToBigInt(fields[0]);
+    const end = ipToBigInt(fields[1]);
+    range = start !== null && end !== null ? { start, end } : null;
+    // IP2Location layout carries the country name between code and region
+    locationFields = fields.length >= 6 ? [fields[2], fields[4], fields[5]] : fields.slice(2);
+  }
+
+  if (!range) return null;
+
+  const [country, region, city] = locationFields;
+  const location = {};
+  if (country && /^[A-Z]{2}$/i.test(country) && country !== '-') location.country = country.toUpperCase();
+  if (region && region !== '-') location.region = region;
+  if (city && city !== '-') location.city = city;
+
+  return { start: range.start, end: range.end, location };
+};
+
+// Build a resolver backed by a CSV range table loaded into memory
+const createCsvResolver = async (filePath) => {
+  const contents = await fs.promises.readFile(filePath, 'utf8');
+  const ranges = contents
+    .split(/\r?\n/)
+    .filter(line => line.trim() && !line.startsWith('#'))
+    .map(line => parseRangeRow(parseCsvLine(line)))
+    .filter(Boolean)
+    .sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+  const resolver = (ip) => {
+    const value = ipToBigInt(ip);
+    if (value === null) return null;
+
+    let low = 0;
+    let high = ranges.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      const range = ranges[mid];
+      if (value < range.start) {
+        high = mid - 1;
+      } else if (value > range.end) {
+        low = mid + 1;
+      } else {
+        return range.location;
+      }
+    }
+    return null;
+  };
+
+  resolver.size = ranges.length;
+  return resolver;
+};
+
+// Build a resolver from a fixed IP -> location map, for tests and development
+const createFixtureResolver = (fixtures = {}) => {
+  return (ip) => fixtures[ip] || null;
+};
+
+// Minimal LRU cache on top of Map insertion order
+class LocationCache {
+  constructor(maxSize = DEFAULT_CACHE_SIZE) {
+    this.maxSize = maxSize;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+const cache = new LocationCache(parseInt(process.env.GEOIP_CACHE_SIZE, 10) || DEFAULT_CACHE_SIZE);
+let resolver;
+let loading = null;
+
+// Load the configured database; lookups before it finishes wait for it
+const loadDefaultResolver = async () => {
+  const filePath = process.env.GEOIP_DATABASE_PATH;
+  if (!filePath) return null;
+
+  try {
+    const csvResolver = await createCsvResolver(filePath);
+    console.log(`🌍 Loaded ${csvResolver.size} geolocation ranges from ${filePath}`);
+    return csvResolver;
+  } catch (error) {
+    console.error('Geolocation database load error:', error.message);
+    return null;
+  }
+};
+
+// Load the configured database once. Call before serving taps so the first
+// lookup does not have to read and parse the file.
+const load = () => {
+  if (resolver !== undefined) return Promise.resolve(resolver);
+
+  if (!loading) {
+    loading = loadDefaultResolver().then(loaded => {
+      // setResolver() may have been called while the file was loading
+      if (resolver === undefined) resolver = loaded;
+      loading = null;
+      return resolver;
+    });
+  }
+  return loading;
+};
+
+// Replace the active resolver (pass null to disable lookups)
+const setResolver = (fn) => {
+  resolver = fn;
+  cache.clear();
+};
+
+// Drop the active resolver so the configured database is loaded again
+const resetResolver = () => {
+  resolver = undefined;
+  cache.clear();
+};
+
+// Look up the location of an IP address; returns {} when unknown
+const lookup = async (ip) => {
+  if (!ip || isPrivateAddress(ip)) return {};
+
+  if (resolver === undefined) {
+    await load();
+  }
+  if (!resolver) return {};
+
+  const cached = cache.get(ip);
+  if (cached) return { ...cached };
+
+  let location = {};
+  try {
+    location = (await resolver(ip)) || {};
+  } catch (error) {
+    console.error('Geolocation lookup error:', error.message);
+  }
+
+  const result = {
+    ...(location.country && { country: location.country }),
+    ...(location.region && { region: location.region }),
+    ...(location.city && { city: location.city })
+  };
+  cache.set(ip, result);
+
+  return { ...result };
+};
+
+// Resolve a visitor location, preferring trusted CDN headers (see TRUST_CDN_GEO_HEADERS) over the local database
+const resolveLocation = async (ip, headerLocation = {}) => {
+  if (headerLocation && headerLocation.country) {
+    return headerLocation;
+  }
+
+  const location = await lookup(ip);
+  return Object.keys(location).length > 0 ? location : (headerLocation || {});
+};
+
+module.exports = {
+  load,
+  lookup,
+  resolveLocation,
+  setResolver,
+  resetResolver,
+  createCsvResolver,
+  createFixtureResolver,
+  ipToBigInt
+};
@@ -0,0 +1,178 @@
+const Profile = require('../models/Profile');
+const Activity = require('../models/Activity');
+const { guardedRequest } = require('../utils/networkGuard');
+
+// Background monitoring of the external destinations profiles redirect to.
+//
+// Every interval each active profile's destination URLs are probed. A destination is
+// marked failing after FAILURE_THRESHOLD failed checks in a row, which makes taps go to
+// the profile's fallback URL (see Profile.applyAvailability) and alerts the owner in the
+// activity feed. One successful check marks it healthy again. The HTTP client can be
+// swapped out, e.g. for tests or to route probes through a proxy. The default client
+// only contacts public addresses (see utils/networkGuard), and stored errors are kept
+// generic so checks cannot be used to probe internal hosts and ports.
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_FAILURE_THRESHOLD = 3;
+
+// Responses that mean the site is up but refused an anonymous probe
+const REACHABLE_STATUSES = [401, 403, 429];
+
+// Default client: a HEAD request, retried as GET for servers that do not support HEAD.
+// Resolves with { status } for any HTTP response and rejects on network errors, timeouts
+// and non-public addresses.
+const defaultHttpClient = async (url, { timeout }) => {
+  const send = async (method) => {
+    const response = await guardedRequest({
+      url,
+      method,
+      timeout,
+      // Only the status matters, so never buffer a body
+      responseType: 'stream',
+      headers: { 'User-Agent': 'TapMeIn-HealthCheck/1.0' }
+    });
+    if (response.data && typeof response.data.destroy === 'function') {
+      response.data.destroy();
+    }
+    return { status: response.status };
+  };
+
+  const result = await send('HEAD');
+  return [405, 501].includes(result.status) ? send('GET') : result;
+};
+
+// Generic description of a failed request; raw error codes would reveal which
+// internal hosts and ports exist
+const describeError = (error) => {
+  if (error.code === 'EBLOCKEDADDRESS') return 'Address not allowed';
+  if (['ECONNABORTED', 'ETIMEDOUT'].includes(error.code)) return 'Timed out';
+  return 'Unreachable';
+};
+
+const createHealthChecker = ({
+  httpClient = defaultHttpClient,
+  intervalMs = DEFAULT_INTERVAL_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  failureThreshold = DEFAULT_FAILURE_THRESHOLD
+} = {}) => {
+  let timer = null;
+  let running = null;
+
+  // Probe a URL; returns { healthy, statusCode, error }
+  const probe = async (url) => {
+    try {
+      const { status } = await httpClient(url, { timeout: timeoutMs });
+      const healthy = status < 400 || REACHABLE_STATUSES.includes(status);
+      return { healthy, statusCode: status, error: healthy ? null : `HTTP ${status}` };
+    } catch (error) {
+      return { healthy: false, statusCode: null, error: describeError(error) };
+    }
+  };
+
+  // Check every destination of a profile and store the results. Probes are shared
+  // through `results` (url -> promise) so a run checks each URL only once.
+  const checkProfile = async (profile, results = new Map()) => {
+    const previous = new Map((profile.healthCheck?.targets || []).map(target => [target.url, target]));
+    const checkedAt = new Date();
+    const transitions = [];
+
+    const targets = await Promise.all(profile.getDestinationUrls().map(async (url) => {
+      if (!results.has(url)) results.set(url, probe(url));
+      const result = await results.get(url);
+      const last = previous.get(url);
+
+      const target = {
+        url,
+        status: last ? last.status : 'healthy',
+        consecutiveFailures: result.healthy ? 0 : (last ? last.consecutiveFailures : 0) + 1,
+        lastStatusCode: result.statusCode || undefined,
+        lastError: result.error || undefined,
+        lastCheckedAt: checkedAt,
+        failingSince: last ? last.failingSince : undefined
+      };
+
+      if (!result.healthy && target.status !== 'failing' && target.consecutiveFailures >= failureThreshold) {
+        target.status = 'failing';
+        target.failingSince = checkedAt;
+        transitions.push(target);
+      } else if (result.healthy && target.status === 'failing') {
+        target.status = 'healthy';
+        target.failingSince = undefined;
+        transitions.push(target);
+      }
+
+      return target;
+    }));
+
+    // A plain update (not save) so concurrent profile edits are not overwritten;
+    // it still drops the profile from the tap cache so taps see the new status
+    await Profile.updateOne({ _id: profile._id }, { $set: { 'healthCheck.targets': targets } });
+    profile.healthCheck.targets = targets;
+
+    for (const target of transitions) {
+      try {
+        await Activity.createDestinationAlert(profile, target);
+      } catch (error) {
+        console.error('Destination alert error:', error);
+      }
+    }
+
+    return targets;
+  };
+
+  // Check every monitored profile once; returns counts for logging
+  const runOnce = async () => {
+    const results = new Map();
+    const summary = { profiles: 0, failing: 0 };
+
+    const cursor = Profile.find({ isActive: true, 'healthCheck.enabled': { $ne: false } }).cursor();
+    for await (const profile of cursor) {
+      try {
+        const targets = await checkProfile(profile, results);
+        summary.profiles++;
+        summary.failing += targets.filter(target => target.status === 'failing').length;
+      } catch (error) {
+        console.error(`Health check failed for profile ${profile._id}:`, error);
+      }
+    }
+
+    return summary;
+  };
+
+  return {
+    probe,
+    checkProfile,
+    runOnce,
+
+    // Run checks every interval; a run still in progress is never overlapped
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        if (running) return;
+        running = runOnce()
+          .catch(error => console.error('Health check run error:', error))
+          .finally(() => { running = null; });
+      }, intervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      return running || Promise.resolve();
+    }
+  };
+};
+
+// Shared checker for the app
+const healthChecker = createHealthChecker({
+  intervalMs: parseInt(process.env.HEALTH_CHECK_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+  timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+  failureThreshold: parseInt(process.env.HEALTH_CHECK_FAILURE_THRESHOLD) || DEFAULT_FAILURE_THRESHOLD
+});
+
+module.exports = {
+  createHealthChecker,
+  healthChecker
+};
@@ -0,0 +1,57 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing email.
+//
+// Mail goes through SendGrid's SMTP relay when SENDGRID_API_KEY is set. Without a key
+// messages are logged instead of being sent. Only in development does the log include
+// the body, so flows that email codes or links can still be followed by hand; elsewhere
+// logs must never hold transfer codes or reset links. Another transport can be plugged
+// in with setTransport().
+
+let transport = null;
+
+const createDefaultTransport = () => {
+  if (!process.env.SENDGRID_API_KEY || process.env.NODE_ENV === 'test') {
+    return {
+      sendMail: async (message) => {
+        const body = process.env.NODE_ENV === 'development' ? `\n${message.text}` : '';
+        console.log(`📧 Email to ${message.to}: ${message.subject}${body}`);
+        return { logged: true };
+      }
+    };
+  }
+
+  return nodemailer.createTransport({
+    host: 'smtp.sendgrid.net',
+    port: 587,
+    auth: {
+      user: 'apikey',
+      pass: process.env.SENDGRID_API_KEY
+    }
+  });
+};
+
+// Replace the transport (anything with a nodemailer-style sendMail(message))
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send a plain text email; rejects if the transport fails
+const sendMail = async ({ to, subject, text }) => {
+  if (!transport) transport = createDefaultTransport();
+
+  const fromName = process.env.FROM_NAME || 'TAP ME IN!';
+  const fromEmail = process.env.FROM_EMAIL || 'noreply@tapmeinnfc.com';
+
+  return transport.sendMail({
+    from: `"${fromName}" <${fromEmail}>`,
+    to,
+    subject,
+    text
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport
+};
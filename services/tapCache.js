@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// In-process cache of cards resolved for taps (card with owner, profile and category).
+//
+// Entries expire after TAP_CACHE_TTL_MS and are dropped as soon as the card, its
+// profile, category or owner is written through Mongoose in this process (see watch()).
+// Other instances only pick up changes once their entry expires, so keep the TTL short.
+// Cached documents are shared between requests and must be treated as read-only.
+
+const DEFAULT_TTL_MS = 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+const ttlMs = () => parseInt(process.env.TAP_CACHE_TTL_MS) || DEFAULT_TTL_MS;
+const maxEntries = () => parseInt(process.env.TAP_CACHE_SIZE) || DEFAULT_MAX_ENTRIES;
+
+// cardUID -> { card, expiresAt, refs: { card, profile, category, owner } }
+const entries = new Map();
+
+const idOf = (value) => {
+  if (!value) return null;
+  return (value._id || value).toString();
+};
+
+// Get a cached card by UID, or null
+const get = (cardUID) => {
+  const entry = entries.get(cardUID);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    entries.delete(cardUID);
+    return null;
+  }
+
+  // Refresh recency for LRU eviction
+  entries.delete(cardUID);
+  entries.set(cardUID, entry);
+  return entry.card;
+};
+
+// Cache a resolved card under its UID
+const set = (cardUID, card) => {
+  entries.delete(cardUID);
+  entries.set(cardUID, {
+    card,
+    expiresAt: Date.now() + ttlMs(),
+    refs: {
+      card: idOf(card),
+      profile: idOf(card.profile),
+      category: idOf(card.category),
+      owner: idOf(card.owner)
+    }
+  });
+
+  while (entries.size > maxEntries()) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+// Drop entries that reference a document ('card', 'profile', 'category' or 'owner')
+const invalidate = (ref, id) => {
+  const key = idOf(id);
+  if (!key) return;
+
+  for (const [cardUID, entry] of entries) {
+    if (entry.refs[ref] === key) {
+      entries.delete(cardUID);
+    }
+  }
+};
+
+const clear = () => {
+  entries.clear();
+};
+
+// Query operations that can change or remove documents
+const WRITE_QUERIES = [
+  'updateOne', 'updateMany', 'replaceOne',
+  'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete',
+  'deleteOne', 'deleteMany'
+];
+
+// Register hooks on a schema so writes invalidate the entries that reference them.
+// Must be called before the model is compiled. Queries can opt out with
+// .setOptions({ skipTapCache: true }) when they only bump counters.
+const watch = (schema, ref) => {
+  schema.post('save', function(doc) {
+    invalidate(ref, doc._id);
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, function(doc) {
+    invalidate(ref, doc._id);
+  });
+
+  schema.post(WRITE_QUERIES, { document: false, query: true }, function() {
+    if (this.getOptions().skipTapCache) return;
+
+    // A write by _id only affects that document; anything else may touch many
+    const id = this.getFilter()._id;
+    if (typeof id === 'string' || id instanceof mongoose.Types.ObjectId) {
+      invalidate(ref, id);
+    } else {
+      clear();
+    }
+  });
+};
+
+module.exports = {
+  get,
+  set,
+  invalidate,
+  clear,
+  watch
+};
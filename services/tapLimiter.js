@@ -0,0 +1,96 @@
+// Tap throttling, applied by the tap route instead of the global API rate limit.
+//
+// Every tap is checked against a platform-wide limit per visitor address
+// (TAP_RATE_LIMIT_MAX taps per TAP_RATE_LIMIT_WINDOW_MS across all cards), then
+// against the card's own limits (Card.tapLimits): taps per card and taps per
+// visitor on that card. Counters are fixed windows kept in memory, so each
+// instance enforces its own share of the limit.
+
+const DEFAULT_WINDOW_MS = 60 * 1000;
+const DEFAULT_MAX_TAPS = 120;
+const DEFAULT_MAX_KEYS = 50000;
+
+const createTapLimiter = ({
+  windowMs = DEFAULT_WINDOW_MS,
+  maxTaps = DEFAULT_MAX_TAPS,
+  maxKeys = DEFAULT_MAX_KEYS
+} = {}) => {
+  // key -> { windowStart, expiresAt, count }
+  const windows = new Map();
+
+  // Drop windows that have ended
+  const prune = (now) => {
+    for (const [key, entry] of windows) {
+      if (entry.expiresAt <= now) {
+        windows.delete(key);
+      }
+    }
+  };
+
+  // Count a hit on a key; returns null while under the limit, otherwise the
+  // number of seconds until the window resets
+  const hit = (key, limit, limitWindowMs, now = Date.now()) => {
+    const windowStart = now - (now % limitWindowMs);
+    const windowKey = `${key}|${limitWindowMs}`;
+    let entry = windows.get(windowKey);
+
+    if (!entry || entry.windowStart !== windowStart) {
+      entry = { windowStart, expiresAt: windowStart + limitWindowMs, count: 0 };
+    }
+    entry.count += 1;
+
+    // Re-insert so the most recently used keys stay at the end of the map
+    windows.delete(windowKey);
+    windows.set(windowKey, entry);
+
+    if (windows.size > maxKeys) {
+      prune(now);
+      // Still too many active keys: forget the oldest ones
+      while (windows.size > maxKeys) {
+        windows.delete(windows.keys().next().value);
+      }
+    }
+
+    return entry.count > limit ? Math.ceil((entry.expiresAt - now) / 1000) : null;
+  };
+
+  return {
+    hit,
+
+    // Check a tap on a card from a visitor address. Returns null if the tap is
+    // within every limit, otherwise { scope: 'platform' | 'card' | 'visitor', retryAfter }.
+    check(card, visitorKey, now = Date.now()) {
+      let retryAfter = hit(`ip|${visitorKey}`, maxTaps, windowMs, now);
+      if (retryAfter) return { scope: 'platform', retryAfter };
+
+      const limits = card.getTapLimits();
+
+      if (limits.visitor) {
+        retryAfter = hit(`visitor|${card.cardUID}|${visitorKey}`, limits.visitor.maxTaps, limits.visitor.windowMs, now);
+        if (retryAfter) return { scope: 'visitor', retryAfter };
+      }
+
+      if (limits.card) {
+        retryAfter = hit(`card|${card.cardUID}`, limits.card.maxTaps, limits.card.windowMs, now);
+        if (retryAfter) return { scope: 'card', retryAfter };
+      }
+
+      return null;
+    },
+
+    reset() {
+      windows.clear();
+    }
+  };
+};
+
+// Shared limiter for the tap routes
+const tapLimiter = createTapLimiter({
+  windowMs: parseInt(process.env.TAP_RATE_LIMIT_WINDOW_MS) || DEFAULT_WINDOW_MS,
+  maxTaps: parseInt(process.env.TAP_RATE_LIMIT_MAX) || DEFAULT_MAX_TAPS
+});
+
+module.exports = {
+  createTapLimiter,
+  tapLimiter
+};
@@ -0,0 +1,78 @@
+// In-process queue for work that must not delay a response (tap records, stats, activity).
+//
+// Tasks run in the background, a few at a time, after the caller has responded.
+// The queue lives in memory: pending tasks are lost if the process crashes, so
+// shutdown should wait for drain(). When the backlog reaches its limit new tasks
+// are dropped (and logged) rather than letting memory grow without bound.
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_PENDING = 10000;
+
+const createTaskQueue = ({
+  concurrency = DEFAULT_CONCURRENCY,
+  maxPending = DEFAULT_MAX_PENDING,
+  onError = (error, name) => console.error(`Background task "${name}" failed:`, error)
+} = {}) => {
+  const pending = [];
+  let running = 0;
+  let idleWaiters = [];
+
+  const settleIdle = () => {
+    if (running === 0 && pending.length === 0) {
+      idleWaiters.forEach(resolve => resolve());
+      idleWaiters = [];
+    }
+  };
+
+  const next = () => {
+    while (running < concurrency && pending.length > 0) {
+      const { name, task } = pending.shift();
+      running++;
+
+      Promise.resolve()
+        .then(task)
+        .catch(error => onError(error, name))
+        .finally(() => {
+          running--;
+          next();
+          settleIdle();
+        });
+    }
+  };
+
+  return {
+    // Queue a task (a function returning a promise); returns false if it was dropped
+    enqueue(name, task) {
+      if (pending.length >= maxPending) {
+        console.warn(`Background queue full, dropping task "${name}"`);
+        return false;
+      }
+
+      pending.push({ name, task });
+      // Start on the next tick so the caller can finish its response first
+      setImmediate(next);
+      return true;
+    },
+
+    // Resolve once every queued and running task has finished
+    drain() {
+      if (running === 0 && pending.length === 0) return Promise.resolve();
+      return new Promise(resolve => idleWaiters.push(resolve));
+    },
+
+    stats() {
+      return { pending: pending.length, running };
+    }
+  };
+};
+
+// Shared queue for the app
+const taskQueue = createTaskQueue({
+  concurrency: parseInt(process.env.TASK_QUEUE_CONCURRENCY) || DEFAULT_CONCURRENCY,
+  maxPending: parseInt(process.env.TASK_QUEUE_MAX_PENDING) || DEFAULT_MAX_PENDING
+});
+
+module.exports = {
+  createTaskQueue,
+  taskQueue
+};
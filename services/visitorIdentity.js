@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const VisitorSalt = require('../models/VisitorSalt');
+
+// Visitor identity for unique-visitor counts.
+//
+// A returning browser is recognised by a first-party cookie. Without one, the
+// visitor is an HMAC of IP address and user agent under a random salt that
+// rotates every UTC day, so the same device is only linkable within a day and
+// no stored value can be traced back to an IP once the salt has expired.
+// The fallback hash doubles as the new cookie value, so a visitor's first tap
+// and later cookie-carrying taps count as the same visitor.
+
+const VISITOR_COOKIE = 'tmi_vid';
+const VISITOR_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000; // 1 year
+const VISITOR_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+const SALT_LIFETIME_DAYS = 2;
+
+// Salt of the current UTC day, shared across instances through the database
+let currentSalt = null;
+
+const getDailySalt = async (date = new Date()) => {
+  const day = moment.utc(date).format('YYYY-MM-DD');
+  if (currentSalt && currentSalt.day === day) {
+    return currentSalt.salt;
+  }
+
+  // Whichever instance creates the day's salt first wins; the rest read it
+  const { salt } = await VisitorSalt.findOneAndUpdate(
+    { day },
+    {
+      $setOnInsert: {
+        salt: crypto.randomBytes(32).toString('hex'),
+        expiresAt: moment.utc(day).add(SALT_LIFETIME_DAYS, 'days').toDate()
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  currentSalt = { day, salt };
+  return salt;
+};
+
+// Resolve the visitor behind a request.
+// Returns { visitorId, isNew }; isNew means the cookie should be (re)issued.
+const resolveVisitor = async (req, context) => {
+  const cookie = req.cookies?.[VISITOR_COOKIE];
+  if (cookie && VISITOR_ID_PATTERN.test(cookie)) {
+    return { visitorId: cookie, isNew: false };
+  }
+
+  const salt = await getDailySalt(context.timestamp);
+  const visitorId = crypto
+    .createHmac('sha256', salt)
+    .update(`${context.ip}|${context.userAgent}`)
+    .digest('hex')
+    .substring(0, 32);
+
+  return { visitorId, isNew: true };
+};
+
+// Issue the visitor cookie
+const setVisitorCookie = (res, visitorId) => {
+  res.cookie(VISITOR_COOKIE, visitorId, {
+    maxAge: VISITOR_COOKIE_MAX_AGE,
+    httpOnly: true,
+    sameSite: 'lax'
+  });
+};
+
+// Forget the cached salt so the next lookup reads it from the database
+const resetSaltCache = () => {
+  currentSalt = null;
+};
+
+module.exports = {
+  VISITOR_COOKIE,
+  resolveVisitor,
+  setVisitorCookie,
+  getDailySalt,
+  resetSaltCache
+};
@@ -0,0 +1,8 @@
+// Runs once before all test projects. Environment variables set here are
+// inherited by the test workers.
+module.exports = async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key';
+  process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret-key';
+  process.env.CARD_KEY_ENCRYPTION_KEY = process.env.CARD_KEY_ENCRYPTION_KEY || '0'.repeat(64);
+};
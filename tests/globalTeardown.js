@@ -0,0 +1,3 @@
+// Runs once after all test projects. Each integration test file stops its own
+// in-memory MongoDB in tests/setup.js, so there is nothing shared to clean up yet.
+module.exports = async () => {};
@@ -0,0 +1,44 @@
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const errorHandler = require('../middleware/errorHandler');
+
+// Shared helpers for route tests that run without a database.
+
+// Express app with the given routers mounted ({ '/tap': tapRoutes }), parsed like app.js
+// but without the database connection and page middleware
+const createTestApp = (mounts) => {
+  const app = express();
+  app.set('trust proxy', 1);
+  app.use(express.json());
+  app.use(cookieParser());
+  Object.entries(mounts).forEach(([path, router]) => app.use(path, router));
+  app.use(errorHandler);
+  return app;
+};
+
+// Chainable stand-in for a Mongoose query that resolves with `value`
+const mockQuery = (value) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+    catch: (reject) => Promise.resolve(value).catch(reject),
+    exec: () => Promise.resolve(value)
+  };
+  ['populate', 'select', 'sort', 'skip', 'limit', 'lean', 'session', 'setOptions'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+// Authorization header for a user; authenticateToken will load this user
+const authorize = (user) => {
+  jest.spyOn(User, 'findById').mockReturnValue(mockQuery(user));
+  return `Bearer ${jwt.sign({ userId: user._id }, process.env.JWT_SECRET)}`;
+};
+
+module.exports = {
+  createTestApp,
+  mockQuery,
+  authorize
+};
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const {
+  normalizeTags,
+  buildCardFilter,
+  parseSort,
+  encodeCursor,
+  cursorCondition
+} = require('../../utils/cardQuery');
+
+const encode = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+describe('cardQuery', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+
+  describe('normalizeTags', () => {
+    test('trims, lowercases and removes duplicates', () => {
+      expect(normalizeTags(['VIP ', 'vip', ' Team A', ''])).toEqual(['vip', 'team a']);
+      expect(normalizeTags('vip, Staff')).toEqual(['vip', 'staff']);
+      expect(normalizeTags(['x'.repeat(31)])).toEqual([]);
+    });
+  });
+
+  describe('buildCardFilter', () => {
+    test('combines the search options', () => {
+      const categoryId = new mongoose.Types.ObjectId();
+      const filter = buildCardFilter(ownerId, {
+        status: 'activated',
+        category: String(categoryId),
+        profile: 'none',
+        tags: 'VIP,staff',
+        batchNumber: 'B7',
+        q: 'a.b'
+      });
+
+      expect(filter).toEqual({
+        owner: ownerId,
+        status: 'activated',
+        category: categoryId,
+        profile: null,
+        'metadata.tags': { $all: ['vip', 'staff'] },
+        batchNumber: 'B7',
+        $and: [{ $or: [{ cardUID: /a\.b/i }, { nickname: /a\.b/i }, { description: /a\.b/i }] }]
+      });
+    });
+
+    test('never passes operator objects through', () => {
+      const filter = buildCardFilter(ownerId, { status: { $ne: null }, batchNumber: { $ne: null } });
+
+      expect(typeof filter.status).toBe('string');
+      expect(typeof filter.batchNumber).toBe('string');
+    });
+
+    test('filters on the last tap date', () => {
+      const filter = buildCardFilter(ownerId, { lastTappedFrom: '2024-01-01', activityStatus: 'never-used' });
+
+      expect(filter.$and).toEqual([
+        { lastTapped: null },
+        { lastTapped: { $gte: new Date('2024-01-01') } }
+      ]);
+    });
+  });
+
+  describe('parseSort', () => {
+    test('reads the direction and falls back to the default for unknown fields', () => {
+      expect(parseSort('-tapCount')).toEqual({ field: 'tapCount', direction: -1, spec: { tapCount: -1, _id: -1 } });
+      expect(parseSort('nickname').spec).toEqual({ nickname: 1, _id: 1 });
+      expect(parseSort('password')).toEqual(parseSort('-createdAt'));
+    });
+  });
+
+  describe('cursors', () => {
+    const id = new mongoose.Types.ObjectId();
+
+    test('continue after the card in ascending order', () => {
+      const sort = parseSort('tapCount');
+      const cursor = encodeCursor({ _id: id, tapCount: 5 }, sort);
+
+      expect(cursorCondition(cursor, sort)).toEqual({
+        $or: [{ tapCount: { $gt: 5 } }, { tapCount: 5, _id: { $gt: id } }]
+      });
+    });
+
+    test('keep dates as dates and put missing values last in descending order', () => {
+      const sort = parseSort('-lastTapped');
+      const lastTapped = new Date('2024-05-01T10:00:00Z');
+      const cursor = encodeCursor({ _id: id, lastTapped }, sort);
+
+      expect(cursorCondition(cursor, sort)).toEqual({
+        $or: [
+          { lastTapped: { $lt: lastTapped } },
+          { lastTapped, _id: { $lt: id } },
+          { lastTapped: null }
+        ]
+      });
+    });
+
+    test('handle cards without a value for the sort field', () => {
+      const cursor = encodeCursor({ _id: id }, parseSort('nickname'));
+
+      expect(cursorCondition(cursor, parseSort('nickname'))).toEqual({
+        $or: [{ nickname: null, _id: { $gt: id } }, { nickname: { $ne: null } }]
+      });
+      expect(cursorCondition(cursor, parseSort('-nickname'))).toEqual({ nickname: null, _id: { $lt: id } });
+    });
+
+    test.each([
+      ['not base64 JSON', '!!!'],
+      ['an invalid id', encode({ v: 1, id: 'nope' })],
+      ['an operator object', encode({ v: { $ne: null }, id: String(id) })],
+      ['an invalid date', encode({ v: 'soon', d: true, id: String(id) })]
+    ])('are rejected when they contain %s', (name, cursor) => {
+      expect(cursorCondition(cursor, parseSort('-createdAt'))).toBeNull();
+    });
+  });
+});
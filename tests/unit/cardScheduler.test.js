@@ -0,0 +1,140 @@
+const Card = require('../../models/Card');
+const Activity = require('../../models/Activity');
+const { createCardScheduler } = require('../../services/cardScheduler');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('cardScheduler', () => {
+  const now = new Date('2024-06-01T12:00:00Z');
+  let found;
+
+  const buildCard = (fields = {}) => new Card({
+    cardUID: 'SCHED0001',
+    status: 'activated',
+    isActivated: true,
+    ...fields
+  });
+
+  // Serve `cards` to the run of the given phase; the other phases find nothing
+  const findForPhase = (phase, cards) => {
+    found[phase] = cards;
+  };
+
+  beforeEach(() => {
+    found = {};
+    jest.spyOn(Card, 'find').mockImplementation((query) => ({
+      cursor: () => found[query['schedule.state'].$ne] || []
+    }));
+    jest.spyOn(Card, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Activity, 'createCardScheduleActivity').mockResolvedValue(null);
+  });
+
+  describe('phase boundaries', () => {
+    test('select cards with the same boundaries the tap route applies', async () => {
+      await createCardScheduler().runOnce(now);
+
+      expect(Card.find.mock.calls.map(([query]) => query)).toEqual([
+        { 'schedule.activeFrom': { $gt: now }, 'schedule.state': { $ne: 'upcoming' }, isActivated: true },
+        {
+          $and: [
+            { $or: [{ 'schedule.activeFrom': { $ne: null } }, { 'schedule.activeUntil': { $ne: null } }] },
+            { $or: [{ 'schedule.activeFrom': null }, { 'schedule.activeFrom': { $lte: now } }] },
+            { $or: [{ 'schedule.activeUntil': null }, { 'schedule.activeUntil': { $gt: now } }] }
+          ],
+          'schedule.state': { $ne: 'live' },
+          isActivated: true
+        },
+        { 'schedule.activeUntil': { $lte: now }, 'schedule.state': { $ne: 'ended' }, isActivated: true }
+      ]);
+    });
+
+    test('open the window at activeFrom and close it at activeUntil', () => {
+      const card = buildCard({ schedule: { activeFrom: now, activeUntil: new Date(now.getTime() + HOUR) } });
+
+      expect(card.schedulePhase(new Date(now.getTime() - 1))).toBe('upcoming');
+      expect(card.schedulePhase(now)).toBe('live');
+      expect(card.schedulePhase(new Date(now.getTime() + HOUR - 1))).toBe('live');
+      expect(card.schedulePhase(new Date(now.getTime() + HOUR))).toBe('ended');
+      expect(buildCard().schedulePhase(now)).toBe('live');
+    });
+  });
+
+  describe('transitions', () => {
+    test('suspend active cards when their window ends', async () => {
+      const card = buildCard({ schedule: { activeUntil: now } });
+      findForPhase('ended', [card]);
+
+      const summary = await createCardScheduler().runOnce(now);
+
+      expect(summary).toEqual({ upcoming: 0, live: 0, ended: 1 });
+      expect(Card.updateOne).toHaveBeenCalledWith(
+        { _id: card._id, 'schedule.state': { $ne: 'ended' }, status: 'activated', 'suspension.reason': null },
+        { $set: { 'schedule.state': 'ended', status: 'suspended', suspension: { reason: 'schedule', suspendedAt: now } } }
+      );
+      expect(Activity.createCardScheduleActivity).toHaveBeenCalledWith(card, 'ended');
+    });
+
+    test('resume cards they suspended when the window opens', async () => {
+      const card = buildCard({
+        status: 'suspended',
+        suspension: { reason: 'schedule' },
+        schedule: { activeFrom: now, state: 'upcoming' }
+      });
+      findForPhase('live', [card]);
+
+      await createCardScheduler().runOnce(now);
+
+      expect(Card.updateOne).toHaveBeenCalledWith(
+        { _id: card._id, 'schedule.state': { $ne: 'live' }, status: 'suspended', 'suspension.reason': 'schedule' },
+        { $set: { 'schedule.state': 'live', status: 'activated' }, $unset: { suspension: 1 } }
+      );
+      expect(Activity.createCardScheduleActivity).toHaveBeenCalledWith(card, 'live');
+    });
+
+    test('leave suspensions for other reasons alone', async () => {
+      const card = buildCard({
+        status: 'suspended',
+        suspension: { reason: 'owner' },
+        schedule: { activeFrom: now, state: 'upcoming' }
+      });
+      findForPhase('live', [card]);
+
+      await createCardScheduler().runOnce(now);
+
+      expect(Card.updateOne).toHaveBeenCalledWith(
+        { _id: card._id, 'schedule.state': { $ne: 'live' }, status: 'suspended', 'suspension.reason': 'owner' },
+        { $set: { 'schedule.state': 'live' } }
+      );
+    });
+
+    test('do not announce windows without a start date', async () => {
+      findForPhase('live', [buildCard({ schedule: { activeUntil: new Date(now.getTime() + HOUR) } })]);
+
+      const summary = await createCardScheduler().runOnce(now);
+
+      expect(summary.live).toBe(1);
+      expect(Activity.createCardScheduleActivity).not.toHaveBeenCalled();
+    });
+
+    test('skip cards whose status changed since they were read', async () => {
+      findForPhase('ended', [buildCard({ schedule: { activeUntil: now } })]);
+      Card.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      const summary = await createCardScheduler().runOnce(now);
+
+      expect(summary.ended).toBe(0);
+      expect(Activity.createCardScheduleActivity).not.toHaveBeenCalled();
+    });
+
+    test('keep going when one card fails', async () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      findForPhase('ended', [buildCard({ schedule: { activeUntil: now } }), buildCard({ schedule: { activeUntil: now } })]);
+      Card.updateOne.mockRejectedValueOnce(new Error('database down'));
+
+      const summary = await createCardScheduler().runOnce(now);
+
+      expect(summary.ended).toBe(1);
+      expect(error).toHaveBeenCalledTimes(1);
+    });
+  });
+});
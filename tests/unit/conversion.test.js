@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const Card = require('../../models/Card');
+const Category = require('../../models/Category');
+const Profile = require('../../models/Profile');
+const TapEvent = require('../../models/TapEvent');
+const Conversion = require('../../models/Conversion');
+const { mockQuery } = require('../helpers');
+
+describe('conversions', () => {
+  describe('Category.recordConversion', () => {
+    const day = new Date(2024, 4, 1);
+    let category;
+    let updates;
+
+    // Each updateOne resolves with the next matchedCount in the list
+    const stubUpdates = (...matchedCounts) => {
+      jest.spyOn(Category, 'updateOne').mockImplementation((filter, update) => {
+        updates.push({ filter, update });
+        return mockQuery({ matchedCount: matchedCounts.shift() ?? 1 });
+      });
+    };
+
+    beforeEach(() => {
+      updates = [];
+      category = new Category({ name: 'Shop', userId: new mongoose.Types.ObjectId() });
+    });
+
+    test('counts the conversion in the database instead of saving a stale copy', async () => {
+      stubUpdates(1, 1);
+
+      await category.recordConversion(new Date(2024, 4, 1, 15, 30));
+
+      expect(updates[0]).toEqual({
+        filter: { _id: category._id },
+        update: [
+          { $set: { 'stats.totalConversions': { $add: [{ $ifNull: ['$stats.totalConversions', 0] }, 1] } } },
+          expect.objectContaining({ $set: { 'stats.conversionRate': expect.any(Object) } })
+        ]
+      });
+      expect(updates[1]).toEqual({
+        filter: { _id: category._id, 'stats.dailyStats.date': day },
+        update: { $inc: { 'stats.dailyStats.$.conversions': 1 } }
+      });
+      expect(updates).toHaveLength(2);
+    });
+
+    test('adds the day when it has no entry yet', async () => {
+      stubUpdates(1, 0, 1);
+
+      await category.recordConversion(day);
+
+      expect(updates[2]).toEqual({
+        filter: { _id: category._id, 'stats.dailyStats.date': { $ne: day } },
+        update: { $push: { 'stats.dailyStats': { date: day, taps: 0, uniqueVisitors: 0, conversions: 1 } } }
+      });
+      expect(updates).toHaveLength(3);
+    });
+
+    test('bumps the entry a concurrent update added first', async () => {
+      stubUpdates(1, 0, 0, 1);
+
+      await category.recordConversion(day);
+
+      expect(updates[3]).toEqual(updates[1]);
+      expect(updates).toHaveLength(4);
+    });
+  });
+
+  describe('Conversion.recordForTap', () => {
+    let category;
+    let tap;
+
+    beforeEach(() => {
+      category = new Category({ name: 'Shop', userId: new mongoose.Types.ObjectId() });
+      tap = {
+        _id: new mongoose.Types.ObjectId(),
+        card: new mongoose.Types.ObjectId(),
+        profile: new mongoose.Types.ObjectId(),
+        category: category._id,
+        filtered: false,
+        timestamp: new Date()
+      };
+      jest.spyOn(Category, 'findById').mockResolvedValue(category);
+      jest.spyOn(Card, 'findById').mockResolvedValue(null);
+      jest.spyOn(Profile, 'findById').mockResolvedValue(null);
+      jest.spyOn(Category.prototype, 'recordConversion').mockResolvedValue();
+      jest.spyOn(TapEvent, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    test('marks the tap converted only after the conversion is stored', async () => {
+      const calls = [];
+      jest.spyOn(Conversion, 'create').mockImplementation(async (fields) => {
+        calls.push('create');
+        return { ...fields, timestamp: new Date() };
+      });
+      TapEvent.updateOne.mockImplementation(async () => { calls.push('mark'); });
+
+      const result = await Conversion.recordForTap(tap, { source: 'api' });
+
+      expect(result.status).toBe('recorded');
+      expect(calls).toEqual(['create', 'mark']);
+      expect(Category.prototype.recordConversion).toHaveBeenCalled();
+    });
+
+    test('reports a second conversion for the same tap as a duplicate', async () => {
+      jest.spyOn(Conversion, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      expect(await Conversion.recordForTap(tap, { source: 'api' })).toEqual({ status: 'duplicate', reason: 'already-converted' });
+      expect(TapEvent.updateOne).not.toHaveBeenCalled();
+      expect(Category.prototype.recordConversion).not.toHaveBeenCalled();
+    });
+
+    test('leaves the tap unconverted when the conversion cannot be stored', async () => {
+      jest.spyOn(Conversion, 'create').mockRejectedValue(new Error('database down'));
+
+      await expect(Conversion.recordForTap(tap, { source: 'api' })).rejects.toThrow('database down');
+      expect(TapEvent.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
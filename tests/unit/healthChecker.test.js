@@ -0,0 +1,151 @@
+const http = require('http');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Profile = require('../../models/Profile');
+const Activity = require('../../models/Activity');
+const { createHealthChecker } = require('../../services/healthChecker');
+
+// The checker runs against a local stub server through an injected HTTP client;
+// the default client refuses loopback addresses.
+describe('healthChecker', () => {
+  let server;
+  let baseUrl;
+  let destinationStatus;
+  let alerts;
+
+  const httpClient = async (url, { timeout }) => {
+    const response = await axios.head(url, { timeout, validateStatus: () => true });
+    return { status: response.status };
+  };
+
+  const buildProfile = () => new Profile({
+    userId: new mongoose.Types.ObjectId(),
+    name: 'Shop',
+    redirectUrl: `${baseUrl}/shop`,
+    fallbackUrl: `${baseUrl}/fallback`
+  });
+
+  const checkTimes = async (checker, profile, times) => {
+    let targets;
+    for (let i = 0; i < times; i++) {
+      targets = await checker.checkProfile(profile);
+    }
+    return targets;
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(req.url === '/shop' ? destinationStatus : 200);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    destinationStatus = 200;
+    alerts = [];
+    jest.spyOn(Profile, 'updateOne').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(Activity.prototype, 'save').mockImplementation(function() {
+      alerts.push(this);
+      return Promise.resolve(this);
+    });
+  });
+
+  test('treats reachable responses as healthy', async () => {
+    const checker = createHealthChecker({ httpClient });
+
+    destinationStatus = 403;
+    expect(await checker.probe(`${baseUrl}/shop`)).toEqual({ healthy: true, statusCode: 403, error: null });
+
+    destinationStatus = 503;
+    expect(await checker.probe(`${baseUrl}/shop`)).toEqual({ healthy: false, statusCode: 503, error: 'HTTP 503' });
+  });
+
+  test('reports network errors without their details', async () => {
+    const checker = createHealthChecker({
+      httpClient: async () => {
+        throw Object.assign(new Error('connect ECONNREFUSED 10.0.0.5:6379'), { code: 'ECONNREFUSED' });
+      }
+    });
+
+    expect(await checker.probe('http://internal.example/')).toEqual({ healthy: false, statusCode: null, error: 'Unreachable' });
+  });
+
+  test('marks a destination failing only after the failure threshold', async () => {
+    const checker = createHealthChecker({ httpClient, failureThreshold: 3 });
+    const profile = buildProfile();
+    destinationStatus = 500;
+
+    let targets = await checkTimes(checker, profile, 2);
+    expect(targets[0]).toMatchObject({ url: `${baseUrl}/shop`, status: 'healthy', consecutiveFailures: 2, lastError: 'HTTP 500' });
+    expect(profile.isDestinationFailing(`${baseUrl}/shop`)).toBe(false);
+    expect(alerts).toHaveLength(0);
+
+    targets = await checkTimes(checker, profile, 1);
+    expect(targets[0]).toMatchObject({ status: 'failing', consecutiveFailures: 3 });
+    expect(targets[0].failingSince).toBeInstanceOf(Date);
+    expect(Profile.updateOne).toHaveBeenLastCalledWith(
+      { _id: profile._id },
+      { $set: { 'healthCheck.targets': targets } }
+    );
+  });
+
+  test('sends taps to the fallback URL while the destination is failing', async () => {
+    const checker = createHealthChecker({ httpClient, failureThreshold: 2 });
+    const profile = buildProfile();
+
+    expect(profile.resolveRedirect()).toMatchObject({ url: `${baseUrl}/shop`, rule: { type: 'default' } });
+
+    destinationStatus = 502;
+    await checkTimes(checker, profile, 2);
+
+    expect(profile.resolveRedirect()).toEqual({ url: `${baseUrl}/fallback`, rule: { type: 'fallback' } });
+  });
+
+  test('recovers after one successful check', async () => {
+    const checker = createHealthChecker({ httpClient, failureThreshold: 2 });
+    const profile = buildProfile();
+
+    destinationStatus = 500;
+    await checkTimes(checker, profile, 2);
+    expect(profile.isDestinationFailing(`${baseUrl}/shop`)).toBe(true);
+
+    destinationStatus = 200;
+    const targets = await checkTimes(checker, profile, 1);
+
+    expect(targets[0]).toMatchObject({ status: 'healthy', consecutiveFailures: 0 });
+    expect(targets[0].failingSince).toBeUndefined();
+    expect(profile.resolveRedirect()).toMatchObject({ url: `${baseUrl}/shop`, rule: { type: 'default' } });
+  });
+
+  test('alerts the owner when a destination goes down and comes back', async () => {
+    const checker = createHealthChecker({ httpClient, failureThreshold: 2 });
+    const profile = buildProfile();
+
+    destinationStatus = 500;
+    await checkTimes(checker, profile, 4);
+    destinationStatus = 200;
+    await checkTimes(checker, profile, 2);
+
+    expect(alerts.map(alert => alert.type)).toEqual(['destination_down', 'destination_restored']);
+    expect(alerts[0]).toMatchObject({ owner: profile.userId, priority: 'urgent' });
+    expect(alerts[0].relatedObjects.profile).toEqual(profile._id);
+    expect(alerts[0].description).toContain('Taps are going to your fallback URL.');
+  });
+
+  test('checks each URL once per run', async () => {
+    const client = jest.fn(httpClient);
+    const checker = createHealthChecker({ httpClient: client });
+    const results = new Map();
+
+    await checker.checkProfile(buildProfile(), results);
+    await checker.checkProfile(buildProfile(), results);
+
+    expect(client).toHaveBeenCalledTimes(1);
+  });
+});
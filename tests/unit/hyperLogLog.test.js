@@ -0,0 +1,54 @@
+const { REGISTER_COUNT, hashValue, mergeRegisters, estimate } = require('../../utils/hyperLogLog');
+
+// Sparse registers for a list of values, the way visitor counters store them
+const sketch = (values) => {
+  return values.reduce((registers, value) => {
+    const { index, rank } = hashValue(value);
+    if (!registers[index] || rank > registers[index]) registers[index] = rank;
+    return registers;
+  }, {});
+};
+
+const visitors = (from, to) => Array.from({ length: to - from }, (_, i) => `visitor-${from + i}`);
+
+describe('hyperLogLog', () => {
+  test('hashes a value to the same register and rank every time', () => {
+    const { index, rank } = hashValue('visitor-1');
+
+    expect(hashValue('visitor-1')).toEqual({ index, rank });
+    expect(index).toBeGreaterThanOrEqual(0);
+    expect(index).toBeLessThan(REGISTER_COUNT);
+    expect(rank).toBeGreaterThanOrEqual(1);
+  });
+
+  test('estimates zero for an empty sketch', () => {
+    expect(estimate({})).toBe(0);
+    expect(estimate()).toBe(0);
+  });
+
+  test('does not count repeated values twice', () => {
+    const values = visitors(0, 50);
+    expect(estimate(sketch([...values, ...values, ...values]))).toBe(estimate(sketch(values)));
+  });
+
+  test('is close to exact for small counts', () => {
+    expect(Math.abs(estimate(sketch(visitors(0, 100))) - 100)).toBeLessThanOrEqual(2);
+  });
+
+  test('stays within a few percent for large counts', () => {
+    const count = 20000;
+    expect(Math.abs(estimate(sketch(visitors(0, count))) - count) / count).toBeLessThan(0.05);
+  });
+
+  test('merges sketches into the sketch of the union', () => {
+    const a = sketch(visitors(0, 3000));
+    const b = sketch(visitors(2000, 5000));
+
+    expect(mergeRegisters(a, b)).toEqual(sketch(visitors(0, 5000)));
+    expect(mergeRegisters(a, undefined)).toEqual(a);
+  });
+
+  test('keeps the highest rank per register when merging', () => {
+    expect(mergeRegisters({ 1: 3, 2: 1 }, { 1: 2, 2: 4, 7: 1 })).toEqual({ 1: 3, 2: 4, 7: 1 });
+  });
+});
@@ -0,0 +1,136 @@
+const {
+  URI_PREFIXES,
+  uriRecord,
+  textRecord,
+  androidApplicationRecord,
+  encodeRecord,
+  encodeMessage,
+  wrapTlv,
+  findSdmOffsets,
+  buildCardNdef,
+  toHex
+} = require('../../utils/ndef');
+
+const hex = (text) => Buffer.from(text, 'utf8').toString('hex').toUpperCase();
+
+describe('ndef', () => {
+  describe('URI records', () => {
+    test.each([
+      ['https://example.com', 0x04, 'example.com'],
+      ['https://www.example.com', 0x02, 'example.com'],
+      ['http://www.example.com', 0x01, 'example.com'],
+      ['http://example.com', 0x03, 'example.com'],
+      ['tel:+15551234', 0x05, '+15551234'],
+      ['mailto:a@example.com', 0x06, 'a@example.com'],
+      ['urn:epc:id:sgtin:1', 0x1E, 'sgtin:1'],
+      ['urn:nfc:sn:1', 0x23, 'sn:1'],
+      ['geo:1,2', 0x00, 'geo:1,2']
+    ])('abbreviate %s with prefix code %i', (uri, code, rest) => {
+      const record = uriRecord(uri);
+
+      expect(record.tnf).toBe(0x01);
+      expect(record.type).toEqual(Buffer.from('U'));
+      expect(record.payload[0]).toBe(code);
+      expect(record.payload.subarray(1).toString('utf8')).toBe(rest);
+      expect(URI_PREFIXES[code] + rest).toBe(uri);
+    });
+
+    test('encode as a single short well-known record', () => {
+      const message = encodeMessage([uriRecord('https://example.com')]);
+
+      // MB|ME|SR|TNF=1, type length 1, payload length 12, type 'U', code 0x04
+      expect(toHex(message)).toBe(`D1010C5504${hex('example.com')}`);
+    });
+  });
+
+  describe('text records', () => {
+    test('start with the UTF-8 status byte and language code', () => {
+      const record = textRecord('Héllo', 'de');
+
+      expect(record.type).toEqual(Buffer.from('T'));
+      expect(toHex(record.payload)).toBe(`02${hex('de')}${hex('Héllo')}`);
+    });
+
+    test('reject language codes longer than 63 characters', () => {
+      expect(() => textRecord('Hi', 'x'.repeat(64))).toThrow('Language code cannot exceed 63 characters');
+    });
+  });
+
+  describe('record headers', () => {
+    test('set MB on the first record and ME on the last', () => {
+      const message = encodeMessage([
+        uriRecord('https://example.com'),
+        textRecord('Hi'),
+        androidApplicationRecord('com.example.app')
+      ]);
+
+      // MB|SR|TNF=1 on the first record, SR|TNF=1 in the middle
+      const uri = `91010C5504${hex('example.com')}`;
+      const text = `1101055402${hex('en')}${hex('Hi')}`;
+      // MB clear, ME|SR|TNF=4 (external type), type length 15, payload length 15
+      const aar = `540F0F${hex('android.com:pkg')}${hex('com.example.app')}`;
+
+      expect(toHex(message)).toBe(uri + text + aar);
+    });
+
+    test('use a 4-byte payload length for records of 256 bytes or more', () => {
+      const record = { tnf: 0x01, type: Buffer.from('T'), payload: Buffer.alloc(300, 0x41) };
+      const encoded = encodeRecord(record, { first: true, last: true });
+
+      // MB|ME|TNF=1 without SR
+      expect(toHex(encoded.subarray(0, 7))).toBe('C1010000012C54');
+      expect(encoded).toHaveLength(7 + 300);
+    });
+
+    test('keep the short record flag up to 255 bytes', () => {
+      const record = { tnf: 0x01, type: Buffer.from('T'), payload: Buffer.alloc(255) };
+
+      expect(toHex(encodeRecord(record).subarray(0, 3))).toBe('1101FF');
+    });
+
+    test('refuse an empty message', () => {
+      expect(() => encodeMessage([])).toThrow('An NDEF message needs at least one record');
+    });
+  });
+
+  describe('TLV wrapping', () => {
+    test('use a one-byte length below 255 bytes', () => {
+      expect(toHex(wrapTlv(Buffer.from([0xD1, 0x01])))).toBe('0302D101FE');
+    });
+
+    test('use the three-byte length form from 255 bytes', () => {
+      const wrapped = wrapTlv(Buffer.alloc(300));
+
+      expect(toHex(wrapped.subarray(0, 4))).toBe('03FF012C');
+      expect(wrapped[wrapped.length - 1]).toBe(0xFE);
+      expect(wrapped).toHaveLength(4 + 300 + 1);
+    });
+  });
+
+  describe('card messages', () => {
+    const card = { cardUrl: 'https://tapme.in/tap/04A1B2C3D4E5F6' };
+
+    test('point the SDM offsets at the placeholders in the NDEF file', () => {
+      const message = buildCardNdef(card, { sdm: true });
+      // The NDEF file starts with a 2-byte length before the message
+      const file = Buffer.concat([Buffer.from([0x00, message.length]), message]);
+      const { piccDataOffset, macOffset } = findSdmOffsets(message);
+
+      expect(file.subarray(piccDataOffset, piccDataOffset + 32).toString()).toBe('0'.repeat(32));
+      expect(file.subarray(piccDataOffset - 'picc_data='.length, piccDataOffset).toString()).toBe('picc_data=');
+      expect(file.subarray(macOffset, macOffset + 16).toString()).toBe('0'.repeat(16));
+      expect(file.subarray(macOffset - 'cmac='.length, macOffset).toString()).toBe('cmac=');
+    });
+
+    test('have no SDM offsets without SDM', () => {
+      expect(findSdmOffsets(buildCardNdef(card))).toEqual({ piccDataOffset: null, macOffset: null });
+    });
+
+    test('wrap the message in a TLV on request', () => {
+      const message = buildCardNdef(card);
+
+      expect(buildCardNdef(card, { tlv: true })).toEqual(wrapTlv(message));
+      expect(message[0]).toBe(0xD1);
+    });
+  });
+});
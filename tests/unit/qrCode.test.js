@@ -0,0 +1,71 @@
+const { renderQrPng, renderQrSvg } = require('../../utils/qrCode');
+
+const URL = 'https://tapme.in/qr/04A1B2C3D4E5F6';
+const PNG_SIGNATURE = '89504e470d0a1a0a';
+
+// Width and height from a PNG's IHDR chunk
+const pngSize = (png) => ({ width: png.readUInt32BE(16), height: png.readUInt32BE(20) });
+
+// Side of the SVG in modules (QR modules plus margin on both sides)
+const svgModules = (svg) => parseInt(svg.match(/viewBox="0 0 (\d+) \d+"/)[1], 10);
+
+describe('qrCode', () => {
+  const logo = { mediaType: 'image/png', data: 'iVBORw0KGgo=' };
+
+  describe('renderQrPng', () => {
+    test('renders a PNG of the default size', async () => {
+      const png = await renderQrPng(URL);
+
+      expect(png.subarray(0, 8).toString('hex')).toBe(PNG_SIGNATURE);
+      expect(pngSize(png)).toEqual({ width: 300, height: 300 });
+    });
+
+    test('renders the requested size', async () => {
+      expect(pngSize(await renderQrPng(URL, { size: 512 }))).toEqual({ width: 512, height: 512 });
+    });
+  });
+
+  describe('renderQrSvg', () => {
+    test('renders the requested colours and margin', async () => {
+      const svg = await renderQrSvg(URL, { color: '#112233', background: '#fafafa', margin: 2 });
+      const withDefaultMargin = await renderQrSvg(URL);
+
+      expect(svg.startsWith('<svg')).toBe(true);
+      expect(svg).toContain('width="300"');
+      expect(svg).toContain('stroke="#112233"');
+      expect(svg).toContain('fill="#fafafa"');
+      expect(svgModules(withDefaultMargin) - svgModules(svg)).toBe(4);
+    });
+
+    test('uses more modules for higher error correction', async () => {
+      const low = await renderQrSvg(URL, { errorCorrectionLevel: 'L' });
+      const high = await renderQrSvg(URL, { errorCorrectionLevel: 'H' });
+
+      expect(svgModules(high)).toBeGreaterThan(svgModules(low));
+    });
+
+    test('places a logo in the centre with the highest error correction', async () => {
+      const svg = await renderQrSvg(URL, { errorCorrectionLevel: 'L' }, logo);
+      const modules = svgModules(svg);
+      const x = parseFloat(svg.match(/<image x="([\d.]+)"/)[1]);
+      const width = parseFloat(svg.match(/<image [^>]*width="([\d.]+)"/)[1]);
+
+      expect(modules).toBe(svgModules(await renderQrSvg(URL, { errorCorrectionLevel: 'H' })));
+      expect(svg).toContain('href="data:image/png;base64,iVBORw0KGgo="');
+      expect(x + width / 2).toBeCloseTo(modules / 2);
+      expect(width / modules).toBeCloseTo(0.22);
+      expect(svg.endsWith('</svg>') || svg.endsWith('</svg>\n')).toBe(true);
+    });
+
+    test('rejects colours that are not hex colours', async () => {
+      await expect(renderQrSvg(URL, { background: '#fff"/><script>' }, logo)).rejects.toThrow('Invalid hex color');
+    });
+
+    test.each([
+      ['an unsupported image type', { mediaType: 'text/html', data: 'AAAA' }],
+      ['data that is not base64', { mediaType: 'image/png', data: '"/><script>' }]
+    ])('rejects logos with %s', async (name, badLogo) => {
+      await expect(renderQrSvg(URL, {}, badLogo)).rejects.toThrow('Unsupported logo image');
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const { resolveLocationFromHeaders } = require('../../utils/requestContext');
+
+// Request stand-in with case-insensitive header lookup, like req.get()
+const requestWith = (headers) => {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { get: (name) => lower[name.toLowerCase()] };
+};
+
+describe('requestContext', () => {
+  describe('resolveLocationFromHeaders', () => {
+    const trusted = process.env.TRUST_CDN_GEO_HEADERS;
+
+    beforeEach(() => {
+      process.env.TRUST_CDN_GEO_HEADERS = 'true';
+    });
+
+    afterEach(() => {
+      if (trusted === undefined) {
+        delete process.env.TRUST_CDN_GEO_HEADERS;
+      } else {
+        process.env.TRUST_CDN_GEO_HEADERS = trusted;
+      }
+    });
+
+    test('reads and decodes the CDN headers', () => {
+      const location = resolveLocationFromHeaders(requestWith({
+        'X-Vercel-IP-Country': 'de',
+        'X-Vercel-IP-Country-Region': 'BY',
+        'X-Vercel-IP-City': 'M%C3%BCnchen'
+      }));
+
+      expect(location).toEqual({ country: 'DE', region: 'BY', city: 'München' });
+    });
+
+    test('ignores malformed percent-encoding instead of throwing', () => {
+      const location = resolveLocationFromHeaders(requestWith({
+        'CF-IPCountry': 'IN',
+        'X-AppEngine-Region': '%E0%A4%A',
+        'X-AppEngine-City': 'Pune'
+      }));
+
+      expect(location).toEqual({ country: 'IN', city: 'Pune' });
+    });
+
+    test('ignores the headers unless the CDN is trusted', () => {
+      delete process.env.TRUST_CDN_GEO_HEADERS;
+
+      expect(resolveLocationFromHeaders(requestWith({ 'CF-IPCountry': 'US' }))).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Card = require('../../../models/Card');
+const Profile = require('../../../models/Profile');
+const User = require('../../../models/User');
+const tapCache = require('../../../services/tapCache');
+const cardRoutes = require('../../../routes/cards');
+const { createTestApp, mockQuery, authorize } = require('../../helpers');
+
+describe('bulk card changes', () => {
+  const app = createTestApp({ '/api/cards': cardRoutes });
+  let owner;
+  let auth;
+  let cards;
+  let writes;
+
+  // A stored card, as Card.find would return it
+  const buildCard = (n, fields = {}) => {
+    const card = new Card({
+      cardUID: `BULK${String(n).padStart(4, '0')}`,
+      status: 'activated',
+      isActivated: true,
+      owner: owner._id,
+      ...fields
+    });
+    card.isNew = false;
+    return card;
+  };
+
+  const bulk = (body) => request(app).post('/api/cards/bulk').set('Authorization', auth).send(body);
+
+  beforeEach(() => {
+    owner = new User({ email: 'owner@example.com', passwordHash: 'x'.repeat(8), firstName: 'Ada', lastName: 'Owner' });
+    auth = authorize(owner);
+    cards = [buildCard(1), buildCard(2), buildCard(3)];
+    writes = [];
+
+    jest.spyOn(Card, 'find').mockImplementation(() => mockQuery(cards));
+    // Card.bulkSave runs for real, so its save hooks fire; only the database write is stubbed
+    jest.spyOn(Card, 'bulkWrite').mockImplementation(async (operations) => {
+      writes.push(...operations);
+      return { matchedCount: operations.length, insertedCount: 0 };
+    });
+    jest.spyOn(Profile, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Profile, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  afterEach(() => {
+    tapCache.clear();
+  });
+
+  test('writes every changed card and drops them from the tap cache', async () => {
+    const untouched = buildCard(9);
+    [...cards, untouched].forEach(card => tapCache.set(card.cardUID, card));
+    cards[2].metadata.tags = ['vip'];
+
+    const response = await bulk({ cardIds: cards.map(card => String(card._id)), changes: { tags: { add: ['VIP'] } } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.summary).toEqual({ matched: 3, changed: 2, unchanged: 1, errors: 0 });
+    expect(writes.map(write => write.updateOne.filter._id)).toEqual([cards[0]._id, cards[1]._id]);
+    expect(tapCache.get(cards[0].cardUID)).toBeNull();
+    expect(tapCache.get(cards[1].cardUID)).toBeNull();
+    expect(tapCache.get(untouched.cardUID)).toBe(untouched);
+  });
+
+  test('writes nothing when one card cannot take the change', async () => {
+    cards[1] = buildCard(2, { status: 'inactive', isActivated: false });
+    cards.forEach(card => tapCache.set(card.cardUID, card));
+
+    const response = await bulk({ cardIds: cards.map(card => String(card._id)), changes: { suspended: true } });
+
+    expect(response.status).toBe(422);
+    expect(response.body.data.summary).toMatchObject({ changed: 2, errors: 1 });
+    expect(response.body.data.results.map(result => result.status)).toEqual(['would-change', 'error', 'would-change']);
+    expect(Card.bulkWrite).not.toHaveBeenCalled();
+    expect(tapCache.get(cards[0].cardUID)).toBe(cards[0]);
+  });
+
+  test('writes nothing when a listed card is missing or not owned', async () => {
+    const foreignId = String(new mongoose.Types.ObjectId());
+
+    const response = await bulk({ cardIds: [String(cards[0]._id), foreignId], changes: { nickname: 'Desk {n}' } });
+
+    expect(response.status).toBe(422);
+    expect(response.body.data.results).toContainEqual({ card: foreignId, status: 'error', error: 'Card not found' });
+    expect(Card.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  test('rejects invalid change sets before loading any card', async () => {
+    const response = await bulk({ cardIds: [String(cards[0]._id)], changes: { profile: 'not-an-id' } });
+
+    expect(response.status).toBe(400);
+    expect(Card.find).not.toHaveBeenCalled();
+  });
+
+  test('reports without writing on a dry run', async () => {
+    const response = await bulk({ filter: { tags: 'vip' }, changes: { nickname: 'Desk {n}' }, dryRun: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.results.map(result => result.changes.nickname.to)).toEqual(['Desk 1', 'Desk 2', 'Desk 3']);
+    expect(Card.bulkWrite).not.toHaveBeenCalled();
+  });
+});
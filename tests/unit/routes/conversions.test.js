@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Category = require('../../../models/Category');
+const Conversion = require('../../../models/Conversion');
+const TapEvent = require('../../../models/TapEvent');
+const User = require('../../../models/User');
+const categoryRoutes = require('../../../routes/categories');
+const conversionRoutes = require('../../../routes/conversions');
+const { createClickId } = require('../../../utils/clickId');
+const { createTestApp, mockQuery, authorize } = require('../../helpers');
+
+describe('conversion keys', () => {
+  const app = createTestApp({ '/api/categories': categoryRoutes, '/api/conversions': conversionRoutes });
+  let user;
+  let category;
+  let auth;
+
+  beforeEach(() => {
+    user = new User({ email: 'owner@example.com', passwordHash: 'x'.repeat(8), firstName: 'Ada', lastName: 'Owner' });
+    category = new Category({ name: 'Shop', owner: user._id });
+    auth = authorize(user);
+    jest.spyOn(Category, 'findOne').mockReturnValue(mockQuery(category));
+    jest.spyOn(Category.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    // Look keys up against the category's stored hash, the way the database would
+    jest.spyOn(Category, 'exists').mockImplementation(async (filter) => (
+      String(filter._id) === String(category._id) && filter['conversionKey.hash'] === category.conversionKey.hash ?
+        { _id: category._id } : null
+    ));
+  });
+
+  const generateKey = () => request(app)
+    .post(`/api/categories/${category._id}/conversion-key`)
+    .set('Authorization', auth);
+
+  test('are random, shown once and stored only as a hash', async () => {
+    const first = await generateKey();
+    const second = await generateKey();
+
+    expect(first.status).toBe(201);
+    expect(first.body.data.key).toMatch(/^tmk_[0-9a-f]{40}$/);
+    expect(second.body.data.key).not.toBe(first.body.data.key);
+    expect(category.conversionKey.hash).toBe(crypto.createHash('sha256').update(second.body.data.key).digest('hex'));
+    expect(JSON.stringify(category)).not.toContain(second.body.data.key);
+    expect(JSON.stringify(category)).not.toContain(category.conversionKey.hash);
+
+    const tracking = await request(app)
+      .get(`/api/categories/${category._id}/conversion-tracking`)
+      .set('Authorization', auth);
+
+    expect(tracking.body.data.api).toMatchObject({ keyHint: second.body.data.key.slice(-4) });
+    expect(tracking.body.data.api.key).toBeUndefined();
+  });
+
+  describe('POST /api/conversions', () => {
+    let tap;
+
+    beforeEach(() => {
+      tap = new TapEvent({ card: new mongoose.Types.ObjectId(), category: category._id });
+      jest.spyOn(TapEvent, 'findById').mockResolvedValue(tap);
+      jest.spyOn(Conversion, 'recordForTap').mockResolvedValue({ status: 'recorded', reason: null, conversion: {} });
+    });
+
+    const report = (key) => request(app)
+      .post('/api/conversions')
+      .set('X-Conversion-Key', key)
+      .send({ clickId: createClickId(tap._id) });
+
+    test('accept the current key only', async () => {
+      const oldKey = (await generateKey()).body.data.key;
+      const newKey = (await generateKey()).body.data.key;
+
+      expect((await report(oldKey)).status).toBe(401);
+      expect((await report(newKey)).status).toBe(201);
+      expect(Conversion.recordForTap).toHaveBeenCalledTimes(1);
+    });
+
+    test('reject categories without a key', async () => {
+      const response = await report('tmk_guess');
+
+      expect(response.status).toBe(401);
+      expect(Conversion.recordForTap).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,288 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Card = require('../../../models/Card');
+const Profile = require('../../../models/Profile');
+const User = require('../../../models/User');
+const TapEvent = require('../../../models/TapEvent');
+const Activity = require('../../../models/Activity');
+const VisitorSalt = require('../../../models/VisitorSalt');
+const geolocation = require('../../../services/geolocation');
+const tapCache = require('../../../services/tapCache');
+const { taskQueue } = require('../../../services/taskQueue');
+const { tapLimiter } = require('../../../services/tapLimiter');
+const { encryptSecret } = require('../../../utils/keyVault');
+const tapRoutes = require('../../../routes/tap');
+const { createTestApp, mockQuery } = require('../../helpers');
+
+const BROWSER = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148 Safari/604.1';
+
+// SUN parameters from NXP AN12196, signed with all-zero keys (read counter 61)
+const SIGNED_QUERY = 'picc_data=EF963FF7828658A599F3041510671E88&cmac=94EED9EE65337086';
+
+describe('tap route', () => {
+  const app = createTestApp({ '/tap': tapRoutes, '/qr': tapRoutes });
+  let uidCounter = 0;
+  let tapEvents;
+
+  // A live card linked to a profile, cached the way a previous tap would have left it
+  const buildCard = (fields = {}) => {
+    const owner = new User({ email: 'owner@example.com', passwordHash: 'x'.repeat(8), firstName: 'Ada', lastName: 'Owner' });
+    const profile = new Profile({ userId: owner._id, name: 'Shop', redirectUrl: 'https://example.com/shop' });
+    const card = new Card({
+      cardUID: `CARD${String(++uidCounter).padStart(4, '0')}`,
+      status: 'activated',
+      isActivated: true,
+      ...fields
+    });
+    card.owner = owner;
+    card.profile = profile;
+    tapCache.set(card.cardUID, card);
+    return card;
+  };
+
+  const secureCard = () => {
+    const card = buildCard();
+    Object.assign(card.securityFeatures, {
+      encryptedUID: true,
+      sdmMetaReadKey: encryptSecret(Buffer.alloc(16)),
+      sdmFileReadKey: encryptSecret(Buffer.alloc(16)),
+      sdmCounter: -1,
+      rejectUnverified: true
+    });
+    return card;
+  };
+
+  const tap = (path) => request(app).get(path).set('User-Agent', BROWSER);
+
+  beforeEach(() => {
+    tapEvents = [];
+    jest.spyOn(geolocation, 'resolveLocation').mockResolvedValue({});
+    jest.spyOn(VisitorSalt, 'findOneAndUpdate').mockResolvedValue({ salt: 'salt' });
+    jest.spyOn(TapEvent, 'create').mockImplementation(async (event) => { tapEvents.push(event); return event; });
+    jest.spyOn(TapEvent, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Card, 'updateOne').mockReturnValue(mockQuery({ modifiedCount: 1 }));
+    jest.spyOn(Card.prototype, 'recordTap').mockResolvedValue(1);
+    jest.spyOn(Profile.prototype, 'recordTap').mockResolvedValue(1);
+    jest.spyOn(User.prototype, 'consumeMonthlyTap').mockResolvedValue(true);
+    jest.spyOn(Activity, 'createCardTapActivity').mockResolvedValue(null);
+  });
+
+  afterEach(async () => {
+    await taskQueue.drain();
+    tapCache.clear();
+    tapLimiter.reset();
+  });
+
+  describe('secure cards', () => {
+    test('redirect a correctly signed NFC tap', async () => {
+      const card = secureCard();
+
+      const response = await tap(`/tap/${card.cardUID}?${SIGNED_QUERY}`);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('https://example.com/shop');
+      expect(tapEvents[0]).toMatchObject({ method: 'nfc', verification: 'verified' });
+    });
+
+    test('reject an NFC tap without a signature', async () => {
+      const card = secureCard();
+
+      const response = await tap(`/tap/${card.cardUID}`).set('Accept', 'application/json');
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('unverified');
+    });
+
+    test('reject QR scans, which cannot carry a signature', async () => {
+      const card = secureCard();
+
+      const response = await tap(`/qr/${card.cardUID}?${SIGNED_QUERY}`).set('Accept', 'application/json');
+      await taskQueue.drain();
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('unverified');
+      expect(tapEvents).toEqual([expect.objectContaining({ method: 'qr', verification: 'unverified', verificationReason: 'qr-scan' })]);
+      expect(Card.prototype.recordTap).not.toHaveBeenCalled();
+    });
+
+    test('redirect QR scans when unverified taps are allowed', async () => {
+      const card = secureCard();
+      card.securityFeatures.rejectUnverified = false;
+
+      const response = await tap(`/qr/${card.cardUID}`);
+
+      expect(response.status).toBe(302);
+      expect(tapEvents[0]).toMatchObject({ method: 'qr', verification: 'unverified' });
+    });
+  });
+
+  describe('loading cards', () => {
+    test('read uncached cards from the database once, then from the tap cache', async () => {
+      const card = buildCard();
+      tapCache.clear();
+      jest.spyOn(Card, 'findOne').mockReturnValue(mockQuery(card));
+
+      const first = await tap(`/tap/${card.cardUID.toLowerCase()}`);
+      const second = await tap(`/tap/${card.cardUID}`);
+
+      expect(first.status).toBe(302);
+      expect(second.status).toBe(302);
+      expect(Card.findOne).toHaveBeenCalledTimes(1);
+      expect(Card.findOne).toHaveBeenCalledWith({ cardUID: card.cardUID });
+      expect(tapCache.get(card.cardUID)).toBe(card);
+    });
+
+    test('show a not found page for unknown cards', async () => {
+      jest.spyOn(Card, 'findOne').mockReturnValue(mockQuery(null));
+
+      const response = await tap('/tap/UNKNOWN').set('Accept', 'application/json');
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('notFound');
+      expect(tapCache.get('UNKNOWN')).toBeNull();
+    });
+  });
+
+  describe('unavailable cards', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    test.each([
+      ['reported lost', { status: 'suspended', suspension: { reason: 'lost' } }, 410, 'noLongerActive'],
+      ['replaced', { replacedBy: new mongoose.Types.ObjectId() }, 410, 'noLongerActive'],
+      ['suspended by the owner', { status: 'suspended', suspension: { reason: 'owner' } }, 410, 'suspended'],
+      ['not activated', { status: 'inactive', isActivated: false }, 400, 'notActivated'],
+      ['scheduled to start later', { schedule: { activeFrom: new Date(Date.now() + DAY) } }, 403, 'notYetActive'],
+      ['past its schedule', { schedule: { activeUntil: new Date(Date.now() - DAY), expiredMessage: 'See you next year' } }, 410, 'expired']
+    ])('are not redirected when %s', async (name, fields, status, code) => {
+      const card = buildCard(fields);
+
+      const response = await tap(`/tap/${card.cardUID}`).set('Accept', 'application/json');
+
+      expect(response.status).toBe(status);
+      expect(response.body.code).toBe(code);
+      expect(tapEvents).toHaveLength(0);
+      if (fields.schedule?.expiredMessage) {
+        expect(response.body.message).toBe('See you next year');
+      }
+    });
+
+    test('send taps after the schedule to the expired URL', async () => {
+      const card = buildCard({
+        status: 'suspended',
+        suspension: { reason: 'schedule' },
+        schedule: { activeUntil: new Date(Date.now() - DAY), expiredUrl: 'https://example.com/next-year' }
+      });
+
+      const response = await tap(`/tap/${card.cardUID}`);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('https://example.com/next-year');
+      expect(tapEvents).toHaveLength(0);
+    });
+
+    test('redirect cards inside their schedule', async () => {
+      const card = buildCard({
+        schedule: { activeFrom: new Date(Date.now() - DAY), activeUntil: new Date(Date.now() + DAY) }
+      });
+
+      const response = await tap(`/tap/${card.cardUID}`);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('https://example.com/shop');
+    });
+  });
+
+  describe('tap limits', () => {
+    test('block taps over the card limit when the owner chose to', async () => {
+      const card = buildCard({ tapLimits: { perCard: { maxTaps: 1 }, onExceed: 'block' } });
+
+      await tap(`/tap/${card.cardUID}`);
+      const response = await tap(`/tap/${card.cardUID}`).set('Accept', 'application/json');
+
+      expect(response.status).toBe(429);
+      expect(response.body.code).toBe('rateLimited');
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+      expect(tapEvents).toHaveLength(1);
+    });
+
+    test('redirect but do not count taps over the card limit by default', async () => {
+      const card = buildCard({ tapLimits: { perCard: { maxTaps: 1 } } });
+
+      await tap(`/tap/${card.cardUID}`);
+      const response = await tap(`/tap/${card.cardUID}`);
+      await taskQueue.drain();
+
+      expect(response.status).toBe(302);
+      expect(tapEvents[1]).toMatchObject({ filtered: true, filterReason: 'rate-limit' });
+      expect(Card.prototype.recordTap).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('filtered taps', () => {
+    test('treat more than three taps within seconds as a burst', async () => {
+      const card = buildCard();
+
+      for (let i = 0; i < 4; i++) {
+        expect((await tap(`/tap/${card.cardUID}`)).status).toBe(302);
+      }
+      await taskQueue.drain();
+
+      expect(tapEvents.map(event => event.filterReason)).toEqual([undefined, undefined, undefined, 'burst']);
+      expect(Card.prototype.recordTap).toHaveBeenCalledTimes(3);
+    });
+
+    test('store link previews without counting them', async () => {
+      const card = buildCard();
+
+      const response = await request(app).get(`/tap/${card.cardUID}`).set('User-Agent', 'Slackbot-LinkExpanding 1.0');
+      await taskQueue.drain();
+
+      expect(response.status).toBe(302);
+      expect(tapEvents[0]).toMatchObject({ filtered: true, filterReason: 'link-preview' });
+      expect(Card.prototype.recordTap).not.toHaveBeenCalled();
+      expect(VisitorSalt.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('mark taps over the monthly quota once the owner runs out', async () => {
+      const card = buildCard();
+      User.prototype.consumeMonthlyTap.mockResolvedValue(false);
+
+      const response = await tap(`/tap/${card.cardUID}`);
+      await taskQueue.drain();
+
+      expect(response.status).toBe(302);
+      expect(TapEvent.updateOne).toHaveBeenCalledWith(
+        { _id: tapEvents[0]._id },
+        { $set: { filtered: true, filterReason: 'quota' } }
+      );
+      expect(Card.prototype.recordTap).not.toHaveBeenCalled();
+      expect(Activity.createCardTapActivity).not.toHaveBeenCalled();
+    });
+  });
+
+  test('records counters in the background task queue', async () => {
+    const card = buildCard();
+    jest.spyOn(taskQueue, 'enqueue');
+    Card.prototype.recordTap.mockResolvedValue(7);
+
+    const response = await tap(`/tap/${card.cardUID}`);
+    await taskQueue.drain();
+
+    expect(response.status).toBe(302);
+    expect(taskQueue.enqueue).toHaveBeenCalledWith('record-tap', expect.any(Function));
+    expect(User.prototype.consumeMonthlyTap).toHaveBeenCalledTimes(1);
+    expect(Card.prototype.recordTap).toHaveBeenCalledWith(expect.any(String));
+    expect(Profile.prototype.recordTap).toHaveBeenCalledWith(Card.prototype.recordTap.mock.calls[0][0]);
+    expect(Activity.createCardTapActivity).toHaveBeenCalledWith(card._id, expect.objectContaining({ method: 'nfc', tapCount: 7 }));
+  });
+
+  test('redirects QR scans of cards without SUN verification', async () => {
+    const card = buildCard();
+
+    const response = await tap(`/qr/${card.cardUID}`);
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('https://example.com/shop');
+    expect(mongoose.isValidObjectId(tapEvents[0]._id)).toBe(true);
+  });
+});
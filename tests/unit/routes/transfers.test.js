@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Card = require('../../../models/Card');
+const CardTransfer = require('../../../models/CardTransfer');
+const Profile = require('../../../models/Profile');
+const User = require('../../../models/User');
+const Activity = require('../../../models/Activity');
+const cardRoutes = require('../../../routes/cards');
+const { createTestApp, mockQuery, authorize } = require('../../helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('card transfers', () => {
+  const app = createTestApp({ '/api/cards': cardRoutes });
+  let sender;
+  let recipient;
+  let profile;
+  let card;
+
+  // Sign in as `user`; other users are still found by id, e.g. the transfer's sender
+  const signIn = (user) => {
+    const header = authorize(user);
+    User.findById.mockImplementation((id) => mockQuery([sender, recipient].find(u => u._id.equals(id)) || null));
+    return header;
+  };
+
+  const pendingTransfer = (fields = {}) => new CardTransfer({
+    card: card._id,
+    fromUser: sender._id,
+    codeHash: 'hash',
+    expiresAt: new Date(Date.now() + DAY),
+    ...fields
+  });
+
+  beforeEach(() => {
+    sender = new User({ email: 'sender@example.com', passwordHash: 'x'.repeat(8), firstName: 'Sam', lastName: 'Sender' });
+    recipient = new User({ email: 'recipient@example.com', passwordHash: 'x'.repeat(8), firstName: 'Rae', lastName: 'Recipient' });
+    profile = new Profile({ userId: sender._id, name: 'Shop', redirectUrl: 'https://example.com/shop' });
+    card = new Card({ cardUID: 'CARD0001', status: 'activated', isActivated: true, owner: sender._id, profile: profile._id });
+
+    jest.spyOn(Card, 'findById').mockResolvedValue(card);
+    jest.spyOn(Card, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Card.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(Profile, 'findById').mockResolvedValue(profile);
+    jest.spyOn(Profile, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(CardTransfer, 'create').mockImplementation(async (fields) => new CardTransfer(fields));
+    jest.spyOn(CardTransfer, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(CardTransfer, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Activity, 'createCardTransferActivities').mockResolvedValue([]);
+  });
+
+  describe('create', () => {
+    test('issues a one-time code, stores only its hash and cancels the earlier transfer', async () => {
+      const response = await request(app)
+        .post(`/api/cards/${card._id}/transfer`)
+        .set('Authorization', signIn(sender))
+        .send({ keepProfile: true });
+
+      expect(response.status).toBe(201);
+      const { code, transfer } = response.body.data;
+      expect(code).toMatch(/^[A-Z2-9]{10}$/);
+      expect(transfer.codeHash).toBeUndefined();
+      expect(CardTransfer.create).toHaveBeenCalledWith(expect.objectContaining({
+        card: card._id,
+        fromUser: sender._id,
+        codeHash: crypto.createHash('sha256').update(code).digest('hex'),
+        keepProfile: true,
+        keepCategory: false
+      }));
+      expect(CardTransfer.updateMany).toHaveBeenCalledWith({ card: card._id, status: 'pending' }, { status: 'cancelled' });
+    });
+
+    test('refuses cards reported lost', async () => {
+      card.status = 'suspended';
+      card.suspension = { reason: 'stolen' };
+
+      const response = await request(app)
+        .post(`/api/cards/${card._id}/transfer`)
+        .set('Authorization', signIn(sender))
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(CardTransfer.create).not.toHaveBeenCalled();
+    });
+
+    test('can be cancelled by the owner', async () => {
+      CardTransfer.updateMany.mockResolvedValue({ modifiedCount: 1 });
+
+      const response = await request(app)
+        .delete(`/api/cards/${card._id}/transfer`)
+        .set('Authorization', signIn(sender));
+
+      expect(response.status).toBe(200);
+      expect(CardTransfer.updateMany).toHaveBeenCalledWith({ card: card._id, status: 'pending' }, { status: 'cancelled' });
+    });
+  });
+
+  describe('accept', () => {
+    const acceptWithCode = (user) => request(app)
+      .post('/api/cards/transfers/accept')
+      .set('Authorization', signIn(user))
+      .send({ code: 'ABCD-EFGH-JK' });
+
+    test('moves the card to the recipient and detaches the profile', async () => {
+      const transfer = pendingTransfer();
+      jest.spyOn(CardTransfer, 'findPendingByCode').mockResolvedValue(transfer);
+
+      const response = await acceptWithCode(recipient);
+
+      expect(response.status).toBe(200);
+      expect(card.owner).toEqual(recipient._id);
+      expect(card.profile).toBeNull();
+      expect(Profile.updateOne).toHaveBeenCalledWith({ _id: profile._id }, { $pull: { cards: card._id } });
+      expect(CardTransfer.updateOne).toHaveBeenCalledWith(
+        { _id: transfer._id, status: 'pending' },
+        { $set: expect.objectContaining({ status: 'accepted', acceptedBy: recipient._id }) }
+      );
+      expect(Activity.createCardTransferActivities).toHaveBeenCalledWith(card, sender, recipient);
+    });
+
+    test('gives the recipient a copy of the profile when the sender kept it', async () => {
+      const copy = new Profile({ userId: recipient._id, name: 'Shop', redirectUrl: 'https://example.com/shop' });
+      jest.spyOn(CardTransfer, 'findPendingByCode').mockResolvedValue(pendingTransfer({ keepProfile: true }));
+      jest.spyOn(Profile.prototype, 'copyFor').mockResolvedValue(copy);
+
+      const response = await acceptWithCode(recipient);
+
+      expect(response.status).toBe(200);
+      expect(Profile.prototype.copyFor).toHaveBeenCalledWith(recipient, [card._id]);
+      expect(card.profile).toEqual(copy._id);
+    });
+
+    test('respects the recipient card limit', async () => {
+      jest.spyOn(CardTransfer, 'findPendingByCode').mockResolvedValue(pendingTransfer());
+      Card.countDocuments.mockResolvedValue(1);
+
+      const response = await acceptWithCode(recipient);
+
+      expect(response.status).toBe(400);
+      expect(CardTransfer.updateOne).not.toHaveBeenCalled();
+      expect(card.owner).toEqual(sender._id);
+    });
+
+    test('lets only one recipient claim a code', async () => {
+      jest.spyOn(CardTransfer, 'findPendingByCode').mockResolvedValue(pendingTransfer());
+      CardTransfer.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      const response = await acceptWithCode(recipient);
+
+      expect(response.status).toBe(409);
+      expect(card.owner).toEqual(sender._id);
+    });
+
+    test('returns the code when moving the card fails', async () => {
+      const transfer = pendingTransfer();
+      jest.spyOn(CardTransfer, 'findPendingByCode').mockResolvedValue(transfer);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      Card.prototype.save.mockRejectedValue(new Error('database down'));
+
+      const response = await acceptWithCode(recipient);
+
+      expect(response.status).toBe(500);
+      expect(CardTransfer.updateOne).toHaveBeenLastCalledWith(
+        { _id: transfer._id, status: 'accepted', acceptedBy: recipient._id },
+        { $set: { status: 'pending' }, $unset: { acceptedBy: 1, acceptedAt: 1 } }
+      );
+    });
+
+    test('rejects expired invitations', async () => {
+      const transfer = pendingTransfer({ toEmail: recipient.email, expiresAt: new Date(Date.now() - DAY) });
+      jest.spyOn(CardTransfer, 'findOne').mockResolvedValue(transfer);
+
+      const response = await request(app)
+        .post(`/api/cards/transfers/${transfer._id}/accept`)
+        .set('Authorization', signIn(recipient));
+
+      expect(response.status).toBe(404);
+      expect(CardTransfer.findOne).toHaveBeenCalledWith({ _id: String(transfer._id), toEmail: recipient.email });
+      expect(card.owner).toEqual(sender._id);
+    });
+
+    test('rejects invitations for another email address', async () => {
+      jest.spyOn(CardTransfer, 'findPendingByCode').mockResolvedValue(pendingTransfer({ toEmail: 'someone@example.com' }));
+
+      const response = await acceptWithCode(recipient);
+
+      expect(response.status).toBe(403);
+      expect(card.owner).toEqual(sender._id);
+    });
+  });
+
+  describe('decline', () => {
+    test('closes an invitation sent to the user', async () => {
+      const transferId = new mongoose.Types.ObjectId();
+
+      const response = await request(app)
+        .post(`/api/cards/transfers/${transferId}/decline`)
+        .set('Authorization', signIn(recipient));
+
+      expect(response.status).toBe(200);
+      expect(CardTransfer.updateOne).toHaveBeenCalledWith(
+        { _id: String(transferId), toEmail: recipient.email, status: 'pending' },
+        { status: 'declined' }
+      );
+    });
+
+    test('reports unknown or already closed invitations', async () => {
+      CardTransfer.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      const response = await request(app)
+        .post(`/api/cards/transfers/${new mongoose.Types.ObjectId()}/decline`)
+        .set('Authorization', signIn(recipient));
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const {
+  compareValues,
+  evaluateCriterion,
+  matchesRule,
+  explainRule,
+  findMatchingRule
+} = require('../../utils/ruleEngine');
+
+describe('ruleEngine', () => {
+  describe('compareValues', () => {
+    test.each([
+      ['equals', 'Mobile', 'mobile', true],
+      ['not-equals', 'mobile', 'desktop', true],
+      ['contains', 'https://news.example.com', 'EXAMPLE', true],
+      ['starts-with', 'iPhone', 'iph', true],
+      ['ends-with', 'promo-2024', '2024', true],
+      ['regex', 'Chrome/120', '^chrome/\\d+$', true],
+      ['regex', 'anything', '(', false],
+      ['in', 'de', 'US, de ,fr', true],
+      ['not-in', 'es', 'us,de', true],
+      ['exists', '', undefined, false],
+      ['exists', 'x', undefined, true],
+      ['equals', undefined, '', true]
+    ])('%s %p against %p is %p', (operator, actual, expected, result) => {
+      expect(compareValues(operator, actual, expected)).toBe(result);
+    });
+  });
+
+  describe('evaluateCriterion', () => {
+    test('reads location, query and user agent values from the context', () => {
+      const context = {
+        location: { country: 'DE', city: 'Berlin' },
+        query: { utm_source: 'flyer' },
+        userAgent: 'Mozilla/5.0 (iPhone)'
+      };
+
+      expect(evaluateCriterion({ type: 'country', operator: 'equals', value: 'de' }, context)).toBe(true);
+      expect(evaluateCriterion({ type: 'city', operator: 'equals', value: 'Munich' }, context)).toBe(false);
+      expect(evaluateCriterion({ type: 'query', param: 'utm_source', operator: 'equals', value: 'flyer' }, context)).toBe(true);
+      expect(evaluateCriterion({ type: 'user-agent', operator: 'contains', value: 'iphone' }, context)).toBe(true);
+    });
+
+    test('matches languages on the full tag or the primary subtag', () => {
+      const context = { languages: ['de-AT', 'en'] };
+
+      expect(evaluateCriterion({ type: 'language', operator: 'equals', value: 'de' }, context)).toBe(true);
+      expect(evaluateCriterion({ type: 'language', operator: 'equals', value: 'de-at' }, context)).toBe(true);
+      expect(evaluateCriterion({ type: 'language', operator: 'equals', value: 'fr' }, context)).toBe(false);
+      // Negated operators must hold for every accepted language
+      expect(evaluateCriterion({ type: 'language', operator: 'not-equals', value: 'en' }, context)).toBe(false);
+    });
+
+    test('evaluates time criteria in the context timezone', () => {
+      const criterion = { type: 'time', startTime: '09:00', endTime: '17:00' };
+      const timestamp = new Date('2024-03-04T16:30:00Z');
+
+      expect(evaluateCriterion(criterion, { timestamp, timezone: 'UTC' })).toBe(true);
+      expect(evaluateCriterion(criterion, { timestamp, timezone: 'Europe/Berlin' })).toBe(false);
+    });
+  });
+
+  describe('rules', () => {
+    const mobileInGermany = {
+      name: 'Mobile in Germany',
+      criteria: [
+        { type: 'device', operator: 'equals', value: 'mobile' },
+        { type: 'country', operator: 'equals', value: 'DE' }
+      ]
+    };
+
+    test('require every criterion by default and any one with match "any"', () => {
+      const context = { device: 'mobile', location: { country: 'FR' } };
+
+      expect(matchesRule(mobileInGermany, context)).toBe(false);
+      expect(matchesRule({ ...mobileInGermany, match: 'any' }, context)).toBe(true);
+      expect(matchesRule({ criteria: [] }, context)).toBe(true);
+    });
+
+    test('explain the first criterion that fails', () => {
+      const context = { device: 'mobile', location: { country: 'FR' } };
+
+      expect(explainRule(mobileInGermany, context)).toBe("country 'FR' does not match equals 'DE'");
+      expect(explainRule(mobileInGermany, { device: 'mobile', location: { country: 'DE' } })).toBeNull();
+    });
+
+    test('are tried by priority, keeping list order for ties, and skip inactive rules', () => {
+      const rules = [
+        { name: 'first', priority: 1, criteria: [] },
+        { name: 'inactive', priority: 10, active: false, criteria: [] },
+        { name: 'second', priority: 1, criteria: [] },
+        { name: 'mobile', priority: 5, criteria: [{ type: 'device', operator: 'equals', value: 'mobile' }] }
+      ];
+
+      expect(findMatchingRule(rules, { device: 'mobile' }).name).toBe('mobile');
+      expect(findMatchingRule(rules, { device: 'desktop' }).name).toBe('first');
+      expect(findMatchingRule([], {})).toBeNull();
+    });
+
+    test('record every rule and why it was rejected in a trace', () => {
+      const rules = [
+        { name: 'fallback', priority: 0, criteria: [] },
+        { name: 'inactive', active: false, criteria: [] },
+        { name: 'mobile', priority: 5, criteria: [{ type: 'device', operator: 'equals', value: 'mobile' }] }
+      ];
+      const trace = [];
+
+      expect(findMatchingRule(rules, { device: 'desktop' }, trace).name).toBe('fallback');
+      expect(trace.map(({ name, matched, reason }) => [name, matched, reason])).toEqual([
+        ['mobile', false, "device 'desktop' does not match equals 'mobile'"],
+        ['fallback', true, null],
+        ['inactive', false, 'Rule is inactive']
+      ]);
+    });
+  });
+});
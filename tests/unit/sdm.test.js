@@ -0,0 +1,63 @@
+const { aesCmac, decryptPiccData, verifySunMessage } = require('../../utils/sdm');
+
+// Test vectors from RFC 4493 (AES-CMAC) and NXP AN12196 (SUN message with all-zero keys)
+describe('sdm', () => {
+  describe('aesCmac', () => {
+    const key = Buffer.from('2b7e151628aed2a6abf7158809cf4f3c', 'hex');
+
+    test.each([
+      ['empty message', '', 'bb1d6929e95937287fa37d129b756746'],
+      ['one complete block', '6bc1bee22e409f96e93d7e117393172a', '070a16b46b4d4144f79bdd9dd04a287c'],
+      [
+        'a partial last block',
+        '6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e5130c81c46a35ce411',
+        'dfa66747de9ae63030ca32611497c827'
+      ]
+    ])('matches RFC 4493 for %s', (name, message, expected) => {
+      expect(aesCmac(key, Buffer.from(message, 'hex')).toString('hex')).toBe(expected);
+    });
+  });
+
+  describe('SUN messages', () => {
+    const keys = { metaReadKey: Buffer.alloc(16), fileReadKey: Buffer.alloc(16) };
+    const piccData = 'EF963FF7828658A599F3041510671E88';
+    const cmac = '94EED9EE65337086';
+
+    test('decrypts the UID and read counter', () => {
+      const picc = decryptPiccData(keys.metaReadKey, Buffer.from(piccData, 'hex'));
+
+      expect(picc.uid).toBe('04DE5F1EACC040');
+      expect(picc.counter).toBe(61);
+      expect(picc.counterBytes.toString('hex')).toBe('3d0000');
+    });
+
+    test('verifies the AN12196 example', () => {
+      expect(verifySunMessage(keys, { piccData, cmac })).toEqual({
+        valid: true,
+        uid: '04DE5F1EACC040',
+        counter: 61,
+        reason: null
+      });
+    });
+
+    test('rejects a CMAC that does not match', () => {
+      expect(verifySunMessage(keys, { piccData, cmac: '94EED9EE65337087' })).toEqual({
+        valid: false,
+        uid: '04DE5F1EACC040',
+        counter: 61,
+        reason: 'invalid-cmac'
+      });
+    });
+
+    test('rejects PICC data encrypted with another key', () => {
+      const otherKeys = { ...keys, metaReadKey: Buffer.alloc(16, 1) };
+      expect(verifySunMessage(otherKeys, { piccData, cmac })).toEqual({ valid: false, reason: 'invalid-picc-data' });
+    });
+
+    test('rejects missing and malformed parameters', () => {
+      expect(verifySunMessage(keys, { piccData })).toEqual({ valid: false, reason: 'missing-parameters' });
+      expect(verifySunMessage(keys, { piccData: 'xyz', cmac })).toEqual({ valid: false, reason: 'malformed-parameters' });
+      expect(verifySunMessage(keys, { piccData, cmac: cmac.slice(2) })).toEqual({ valid: false, reason: 'malformed-parameters' });
+    });
+  });
+});
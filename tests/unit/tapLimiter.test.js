@@ -0,0 +1,71 @@
+const { createTapLimiter } = require('../../services/tapLimiter');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Card stand-in with the limits Card.getTapLimits() would return
+const card = (cardUID, limits = {}) => ({
+  cardUID,
+  getTapLimits: () => ({ card: null, visitor: null, ...limits })
+});
+
+describe('tapLimiter', () => {
+  // Start of a fixed window, so every hit below lands in the same one
+  const now = 10 * HOUR;
+
+  test('limits taps per visitor address across all cards', () => {
+    const limiter = createTapLimiter({ windowMs: MINUTE, maxTaps: 2 });
+
+    expect(limiter.check(card('A'), '1.2.3.4', now)).toBeNull();
+    expect(limiter.check(card('B'), '1.2.3.4', now)).toBeNull();
+    expect(limiter.check(card('C'), '1.2.3.4', now + 15 * 1000)).toEqual({ scope: 'platform', retryAfter: 45 });
+    expect(limiter.check(card('A'), '5.6.7.8', now)).toBeNull();
+  });
+
+  test('starts counting again in the next window', () => {
+    const limiter = createTapLimiter({ windowMs: MINUTE, maxTaps: 1 });
+
+    expect(limiter.check(card('A'), '1.2.3.4', now)).toBeNull();
+    expect(limiter.check(card('A'), '1.2.3.4', now + 1000)).not.toBeNull();
+    expect(limiter.check(card('A'), '1.2.3.4', now + MINUTE)).toBeNull();
+  });
+
+  test('applies the per-visitor limit of a card', () => {
+    const limiter = createTapLimiter();
+    const limited = card('A', { visitor: { maxTaps: 1, windowMs: HOUR } });
+
+    expect(limiter.check(limited, '1.2.3.4', now)).toBeNull();
+    expect(limiter.check(limited, '1.2.3.4', now)).toEqual({ scope: 'visitor', retryAfter: 3600 });
+    expect(limiter.check(limited, '5.6.7.8', now)).toBeNull();
+    expect(limiter.check(card('B', { visitor: { maxTaps: 1, windowMs: HOUR } }), '1.2.3.4', now)).toBeNull();
+  });
+
+  test('applies the per-card limit across visitors', () => {
+    const limiter = createTapLimiter();
+    const limited = card('A', { card: { maxTaps: 2, windowMs: HOUR } });
+
+    expect(limiter.check(limited, '1.1.1.1', now)).toBeNull();
+    expect(limiter.check(limited, '2.2.2.2', now)).toBeNull();
+    expect(limiter.check(limited, '3.3.3.3', now)).toEqual({ scope: 'card', retryAfter: 3600 });
+  });
+
+  test('forgets the oldest keys beyond maxKeys', () => {
+    const limiter = createTapLimiter({ maxKeys: 2 });
+
+    expect(limiter.hit('a', 1, MINUTE, now)).toBeNull();
+    expect(limiter.hit('a', 1, MINUTE, now)).toBe(60);
+    limiter.hit('b', 1, MINUTE, now);
+    limiter.hit('c', 1, MINUTE, now);
+
+    // 'a' was evicted, so its count starts over
+    expect(limiter.hit('a', 1, MINUTE, now)).toBeNull();
+  });
+
+  test('reset() clears every counter', () => {
+    const limiter = createTapLimiter({ maxTaps: 1 });
+
+    limiter.check(card('A'), '1.2.3.4', now);
+    limiter.reset();
+    expect(limiter.check(card('A'), '1.2.3.4', now)).toBeNull();
+  });
+});
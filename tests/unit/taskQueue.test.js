@@ -0,0 +1,72 @@
+const { createTaskQueue } = require('../../services/taskQueue');
+
+// A task that finishes when its release() is called
+const deferredTask = () => {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  const task = jest.fn(() => done);
+  return { task, release };
+};
+
+describe('taskQueue', () => {
+  test('runs tasks after the caller returns', async () => {
+    const queue = createTaskQueue();
+    const task = jest.fn().mockResolvedValue();
+
+    expect(queue.enqueue('record', task)).toBe(true);
+    expect(task).not.toHaveBeenCalled();
+
+    await queue.drain();
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  test('runs at most `concurrency` tasks at a time', async () => {
+    const queue = createTaskQueue({ concurrency: 2 });
+    const tasks = [deferredTask(), deferredTask(), deferredTask()];
+    tasks.forEach(({ task }, i) => queue.enqueue(`task-${i}`, task));
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(queue.stats()).toEqual({ pending: 1, running: 2 });
+    expect(tasks[2].task).not.toHaveBeenCalled();
+
+    tasks[0].release();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(tasks[2].task).toHaveBeenCalled();
+
+    tasks.forEach(({ release }) => release());
+    await queue.drain();
+    expect(queue.stats()).toEqual({ pending: 0, running: 0 });
+  });
+
+  test('drops tasks once the backlog is full', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const queue = createTaskQueue({ maxPending: 1 });
+    const dropped = jest.fn();
+
+    expect(queue.enqueue('first', jest.fn())).toBe(true);
+    expect(queue.enqueue('second', dropped)).toBe(false);
+    expect(warn).toHaveBeenCalledWith('Background queue full, dropping task "second"');
+
+    await queue.drain();
+    expect(dropped).not.toHaveBeenCalled();
+  });
+
+  test('reports failures and keeps going', async () => {
+    const onError = jest.fn();
+    const queue = createTaskQueue({ concurrency: 1, onError });
+    const error = new Error('database down');
+    const after = jest.fn();
+
+    queue.enqueue('failing', () => Promise.reject(error));
+    queue.enqueue('throwing', () => { throw error; });
+    queue.enqueue('after', after);
+    await queue.drain();
+
+    expect(onError.mock.calls).toEqual([[error, 'failing'], [error, 'throwing']]);
+    expect(after).toHaveBeenCalled();
+  });
+
+  test('drains immediately when idle', async () => {
+    await expect(createTaskQueue().drain()).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Profile = require('../../models/Profile');
+const { escapeText, foldLine, buildVCard, vcardFileName } = require('../../utils/vcard');
+
+// Content lines of a vCard, with folded lines joined back together
+const unfold = (vcard) => vcard.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+describe('vcard', () => {
+  const contact = {
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email: 'ada@example.com',
+    phone: '+44 (20) 7946-0000',
+    company: 'Analytical Engines, Ltd; London',
+    website: 'https://example.com',
+    photoUrl: 'https://example.com/ada.png',
+    note: 'First line\nSecond, with a \\ backslash'
+  };
+
+  describe('escapeText', () => {
+    test('escapes backslashes, commas, semicolons and newlines', () => {
+      expect(escapeText('a\\b,c;d\r\ne\nf')).toBe('a\\\\b\\,c\\;d\\ne\\nf');
+      expect(escapeText()).toBe('');
+    });
+  });
+
+  describe('foldLine', () => {
+    test('leaves lines of up to 75 octets alone', () => {
+      const line = `NOTE:${'x'.repeat(70)}`;
+      expect(foldLine(line)).toBe(line);
+    });
+
+    test('folds at 75 octets without splitting multi-byte characters', () => {
+      const line = `NOTE:${'é'.repeat(100)}`;
+      const parts = foldLine(line).split('\r\n');
+
+      expect(parts.length).toBeGreaterThan(1);
+      expect(Buffer.byteLength(parts[0])).toBeLessThanOrEqual(75);
+      parts.slice(1).forEach(part => {
+        expect(part.startsWith(' ')).toBe(true);
+        expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75);
+      });
+      expect(unfold(foldLine(line))).toEqual([line]);
+    });
+  });
+
+  describe('buildVCard', () => {
+    test('writes a version 3.0 card with escaped values', () => {
+      const vcard = buildVCard(contact, '3.0');
+      const lines = unfold(vcard);
+
+      expect(vcard.endsWith('END:VCARD\r\n')).toBe(true);
+      expect(lines.slice(0, 2)).toEqual(['BEGIN:VCARD', 'VERSION:3.0']);
+      expect(lines).toEqual(expect.arrayContaining([
+        'N:Lovelace;Ada;;;',
+        'FN:Ada Lovelace',
+        'ORG:Analytical Engines\\, Ltd\\; London',
+        'EMAIL;TYPE=INTERNET,WORK:ada@example.com',
+        'TEL;TYPE=CELL:+442079460000',
+        'URL:https://example.com',
+        'PHOTO;VALUE=uri:https://example.com/ada.png',
+        'NOTE:First line\\nSecond\\, with a \\\\ backslash'
+      ]));
+      expect(lines).not.toContain('KIND:individual');
+    });
+
+    test('writes version 4.0 properties', () => {
+      const lines = unfold(buildVCard(contact, '4.0'));
+
+      expect(lines).toEqual(expect.arrayContaining([
+        'VERSION:4.0',
+        'KIND:individual',
+        'EMAIL;TYPE=work:ada@example.com',
+        'TEL;VALUE=uri;TYPE=cell:tel:+442079460000',
+        'PHOTO:https://example.com/ada.png'
+      ]));
+      expect(lines.find(line => line.startsWith('REV:'))).toMatch(/^REV:\d{8}T\d{6}Z$/);
+    });
+
+    test('embeds a downloaded photo instead of linking it', () => {
+      const photo = { mediaType: 'image/jpg', data: 'AAAA' };
+
+      expect(unfold(buildVCard({ ...contact, photo }, '3.0'))).toContain('PHOTO;ENCODING=b;TYPE=JPEG:AAAA');
+      expect(unfold(buildVCard({ ...contact, photo }, '4.0'))).toContain('PHOTO:data:image/jpg;base64,AAAA');
+    });
+
+    test('only writes the fields it is given', () => {
+      const lines = unfold(buildVCard({ firstName: 'Ada' }));
+
+      expect(lines.map(line => line.split(/[:;]/)[0])).toEqual(['BEGIN', 'VERSION', 'N', 'FN', 'REV', 'END']);
+    });
+
+    test('falls back to the company or email for the display name', () => {
+      expect(unfold(buildVCard({ company: 'Acme' }))).toContain('FN:Acme');
+      expect(unfold(buildVCard({ email: 'a@example.com' }))).toContain('FN:a@example.com');
+      expect(unfold(buildVCard({}))).toContain('FN:Contact');
+    });
+  });
+
+  describe('Profile.getVCardContact', () => {
+    const owner = {
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      email: 'ada@example.com',
+      phoneNumber: '+44 20 7946 0000',
+      companyName: 'Analytical Engines'
+    };
+
+    const buildProfile = (fields) => new Profile({
+      userId: new mongoose.Types.ObjectId(),
+      name: 'Shop',
+      redirectUrl: 'https://example.com',
+      imageUrl: 'https://example.com/ada.png',
+      description: 'Mathematician',
+      vcard: fields ? { fields } : undefined
+    });
+
+    test('shares only the fields the profile selected', () => {
+      expect(buildProfile(['phone', 'note']).getVCardContact(owner)).toEqual({
+        firstName: 'Ada',
+        lastName: 'Lovelace',
+        email: undefined,
+        phone: '+44 20 7946 0000',
+        company: undefined,
+        website: undefined,
+        photoUrl: undefined,
+        note: 'Mathematician'
+      });
+    });
+
+    test('shares email, company, website and photo by default', () => {
+      const shared = buildProfile().getVCardContact(owner);
+
+      expect(shared).toMatchObject({
+        email: 'ada@example.com',
+        company: 'Analytical Engines',
+        website: 'https://example.com',
+        photoUrl: 'https://example.com/ada.png'
+      });
+      expect(shared.phone).toBeUndefined();
+      expect(shared.note).toBeUndefined();
+    });
+  });
+
+  describe('vcardFileName', () => {
+    test('keeps safe characters only', () => {
+      expect(vcardFileName('Ada  Lovelace')).toBe('Ada-Lovelace.vcf');
+      expect(vcardFileName('../../etc/passwd')).toBe('etcpasswd.vcf');
+      expect(vcardFileName('Ünïcödé')).toBe('ncd.vcf');
+      expect(vcardFileName('///')).toBe('contact.vcf');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+// Classify tap requests that do not come from a person tapping a card:
+// link-preview fetchers, crawlers and scripts, HEAD probes, browser prefetches
+// and rapid repeats from one address.
+
+// 'rate-limit' and 'quota' mark taps over the card's tap limits or the owner's
+// monthly allowance; they are set by the tap route rather than classifyRequest
+const FILTER_REASONS = ['bot', 'link-preview', 'head-request', 'prefetch', 'burst', 'rate-limit', 'quota'];
+
+// Analytics views: 'filtered' excludes classified traffic, 'raw' includes it
+const TRAFFIC_VIEWS = ['filtered', 'raw'];
+
+// Messaging and social apps that fetch a URL to unfurl it. In-app browsers
+// (FBAV, Instagram, LinkedInApp, ...) are real visitors and do not match.
+const LINK_PREVIEW_PATTERN = new RegExp([
+  'facebookexternalhit',
+  'facebot',
+  'twitterbot',
+  'slackbot',
+  'slack-imgproxy',
+  'linkedinbot',
+  'whatsapp',
+  'telegrambot',
+  'discordbot',
+  'skypeuripreview',
+  'microsoftpreview',
+  'redditbot',
+  'pinterestbot',
+  'vkshare',
+  'iframely',
+  'embedly',
+  'bitlybot',
+  'google-pagerenderer',
+  'mastodon'
+].join('|'), 'i');
+
+// Search engines, monitors, headless browsers and HTTP libraries.
+// "cubot" is a phone brand, not a crawler.
+const BOT_PATTERN = new RegExp([
+  '(?<!cu)bot\\b',
+  'crawl',
+  'spider',
+  'slurp',
+  'headless',
+  'phantomjs',
+  'lighthouse',
+  'pingdom',
+  'uptimerobot',
+  'statuscake',
+  'curl/',
+  'wget',
+  'python-requests',
+  'python-urllib',
+  'aiohttp',
+  'httpx',
+  'go-http-client',
+  'okhttp',
+  'java/',
+  'apache-httpclient',
+  'node-fetch',
+  'axios/',
+  'scrapy',
+  'libwww-perl'
+].join('|'), 'i');
+
+// Headers browsers send with speculative prefetch or prerender requests
+const PREFETCH_HEADERS = ['Sec-Purpose', 'Purpose', 'X-Purpose', 'X-Moz'];
+const PREFETCH_PATTERN = /prefetch|prerender|preview/i;
+
+// Classify a request from its method and headers; returns a filter reason or null
+const classifyRequest = (req) => {
+  if (req.method === 'HEAD') {
+    return 'head-request';
+  }
+
+  const isPrefetch = PREFETCH_HEADERS.some(header => PREFETCH_PATTERN.test(req.get(header) || ''));
+  if (isPrefetch) {
+    return 'prefetch';
+  }
+
+  const userAgent = req.get('User-Agent') || '';
+  if (!userAgent.trim()) {
+    return 'bot';
+  }
+  if (LINK_PREVIEW_PATTERN.test(userAgent)) {
+    return 'link-preview';
+  }
+  if (BOT_PATTERN.test(userAgent)) {
+    return 'bot';
+  }
+
+  return null;
+};
+
+// In-memory detector for repeated hits on one key (e.g. IP + card) within a window.
+// hit(key) records the request and returns true once the key exceeds `limit` hits.
+const createBurstDetector = ({ windowMs = 10000, limit = 3, maxKeys = 10000 } = {}) => {
+  const hits = new Map();
+
+  // Drop keys whose hits have all aged out of the window
+  const prune = (now) => {
+    for (const [key, timestamps] of hits) {
+      if (timestamps[timestamps.length - 1] <= now - windowMs) {
+        hits.delete(key);
+      }
+    }
+  };
+
+  return {
+    hit(key, now = Date.now()) {
+      const recent = (hits.get(key) || []).filter(timestamp => timestamp > now - windowMs);
+      recent.push(now);
+
+      // Re-insert so the most recently seen keys stay at the end of the map
+      hits.delete(key);
+      hits.set(key, recent.slice(-(limit + 1)));
+
+      if (hits.size > maxKeys) {
+        prune(now);
+        // Still too many active keys: forget the oldest ones
+        while (hits.size > maxKeys) {
+          hits.delete(hits.keys().next().value);
+        }
+      }
+
+      return recent.length > limit;
+    },
+
+    reset() {
+      hits.clear();
+    }
+  };
+};
+
+module.exports = {
+  FILTER_REASONS,
+  TRAFFIC_VIEWS,
+  classifyRequest,
+  createBurstDetector
+};
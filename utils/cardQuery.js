@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+
+// Selecting, sorting and paging an owner's cards, shared by card listings,
+// saved searches and bulk operations.
+
+const CARD_STATUSES = ['unassigned', 'ready', 'activated', 'suspended'];
+
+// Values of the Card activityStatus virtual
+const ACTIVITY_STATUSES = ['active', 'recent', 'moderate', 'inactive', 'never-used'];
+
+// Sortable fields; prefix with '-' for descending
+const SORT_FIELDS = ['createdAt', 'lastTapped', 'tapCount', 'nickname', 'cardUID'];
+const DEFAULT_SORT = '-createdAt';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tags are stored trimmed and lowercase so 'VIP' and 'vip ' are the same tag
+const MAX_TAG_LENGTH = 30;
+
+const normalizeTags = (tags = []) => {
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(tag => tag && tag.length <= MAX_TAG_LENGTH))];
+};
+
+// Validator for a reference filter: an id, or 'none' for cards without one
+const isIdOrNone = (value) => value === 'none' || mongoose.isValidObjectId(value);
+
+const toReference = (value) => (value === 'none' ? null : new mongoose.Types.ObjectId(value));
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// lastTapped condition matching the activityStatus virtual
+const activityCondition = (activityStatus, now = new Date()) => {
+  const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+
+  switch (activityStatus) {
+    case 'active':
+      return { lastTapped: { $gte: daysAgo(1) } };
+    case 'recent':
+      return { lastTapped: { $lt: daysAgo(1), $gte: daysAgo(7) } };
+    case 'moderate':
+      return { lastTapped: { $lt: daysAgo(7), $gte: daysAgo(30) } };
+    case 'inactive':
+      return { lastTapped: { $lt: daysAgo(30) } };
+    case 'never-used':
+      return { lastTapped: null };
+    default:
+      return null;
+  }
+};
+
+// Build the query for an owner's cards. Supported options:
+//   ids, status, category, profile ('none' for unassigned), tags (cards must have all), batchNumber,
+//   activityStatus, lastTappedFrom, lastTappedTo and q (text in the UID, nickname or description)
+const buildCardFilter = (ownerId, options = {}) => {
+  const filter = { owner: ownerId };
+  const conditions = [];
+
+  if (Array.isArray(options.ids)) {
+    filter._id = { $in: options.ids.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+  if (options.status) {
+    filter.status = String(options.status);
+  }
+  if (options.category) {
+    filter.category = toReference(options.category);
+  }
+  if (options.profile) {
+    filter.profile = toReference(options.profile);
+  }
+  if (options.tags && normalizeTags(options.tags).length > 0) {
+    filter['metadata.tags'] = { $all: normalizeTags(options.tags) };
+  }
+  if (options.batchNumber) {
+    // Always a plain value, never an operator object from a request body
+    filter.batchNumber = String(options.batchNumber);
+  }
+
+  const activity = activityCondition(options.activityStatus);
+  if (activity) {
+    conditions.push(activity);
+  }
+
+  if (options.lastTappedFrom || options.lastTappedTo) {
+    const range = {};
+    if (options.lastTappedFrom) range.$gte = new Date(options.lastTappedFrom);
+    if (options.lastTappedTo) range.$lte = new Date(options.lastTappedTo);
+    conditions.push({ lastTapped: range });
+  }
+
+  if (options.q && String(options.q).trim()) {
+    const pattern = new RegExp(escapeRegex(String(options.q).trim()), 'i');
+    conditions.push({ $or: [{ cardUID: pattern }, { nickname: pattern }, { description: pattern }] });
+  }
+
+  if (conditions.length > 0) {
+    filter.$and = conditions;
+  }
+
+  return filter;
+};
+
+// Parse a sort option ('-lastTapped', 'nickname', ...); unknown fields fall back to the default
+const parseSort = (sort = DEFAULT_SORT) => {
+  const descending = String(sort).startsWith('-');
+  const field = String(sort).replace(/^[-+]/, '');
+
+  if (!SORT_FIELDS.includes(field)) {
+    return parseSort(DEFAULT_SORT);
+  }
+
+  const direction = descending ? -1 : 1;
+  return {
+    field,
+    direction,
+    // _id breaks ties so every card has a unique position for cursors
+    spec: { [field]: direction, _id: direction }
+  };
+};
+
+// Opaque cursor pointing just after a card in the given sort order
+const encodeCursor = (card, sort) => {
+  const value = card[sort.field];
+  return Buffer.from(JSON.stringify({
+    v: value instanceof Date ? value.toISOString() : (value ?? null),
+    d: value instanceof Date,
+    id: card._id.toString()
+  })).toString('base64url');
+};
+
+// Query condition for the cards after a cursor; null if the cursor is invalid.
+// Missing values sort before every other value, as they do in MongoDB.
+const cursorCondition = (cursor, sort) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+
+  if (!position || !mongoose.isValidObjectId(position.id)) return null;
+  // Positions are plain values; an object here would be read as query operators
+  if (position.v !== null && typeof position.v === 'object') return null;
+
+  const { field, direction } = sort;
+  const id = new mongoose.Types.ObjectId(position.id);
+  const value = position.d ? new Date(position.v) : position.v;
+  if (value instanceof Date && isNaN(value.getTime())) return null;
+  const after = direction === 1 ? '$gt' : '$lt';
+
+  if (value === null || value === undefined) {
+    return direction === 1 ?
+      { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] } :
+      { [field]: null, _id: { $lt: id } };
+  }
+
+  const conditions = [
+    { [field]: { [after]: value } },
+    { [field]: value, _id: { [after]: id } }
+  ];
+  if (direction === -1) {
+    conditions.push({ [field]: null });
+  }
+
+  return { $or: conditions };
+};
+
+module.exports = {
+  CARD_STATUSES,
+  ACTIVITY_STATUSES,
+  SORT_FIELDS,
+  DEFAULT_SORT,
+  MAX_TAG_LENGTH,
+  normalizeTags,
+  isIdOrNone,
+  buildCardFilter,
+  parseSort,
+  encodeCursor,
+  cursorCondition
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Signed identifiers for conversion tracking.
+//
+// A click ID (<tap event id>.<signature>) is appended to outbound redirects so the
+// destination site can report a conversion for that tap. Each category also gets a
+// pixel signature, which is safe to embed in public pages. Server-to-server calls use
+// a random per-category key instead (see Category.regenerateConversionKey).
+
+const CLICK_ID_PARAM = 'tmi_cid';
+const SIGNATURE_LENGTH = 16;
+
+// There is no default secret: a known one would let anyone forge click IDs and keys
+const getSecret = () => {
+  const secret = process.env.CONVERSION_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('CONVERSION_SECRET or JWT_SECRET must be set');
+  }
+  return secret;
+};
+
+// Check whether identifiers can be signed
+const isConfigured = () => {
+  try {
+    getSecret();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const sign = (value) => {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(value)
+    .digest('hex')
+    .substring(0, SIGNATURE_LENGTH);
+};
+
+// Constant-time comparison of hex strings
+const safeEqual = (a = '', b = '') => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Create the click ID for a tap event
+const createClickId = (tapEventId) => {
+  const id = tapEventId.toString();
+  return `${id}.${sign(`click:${id}`)}`;
+};
+
+// Verify a click ID; returns the tap event id, or null when missing or tampered with
+const parseClickId = (clickId) => {
+  const [id, signature] = String(clickId || '').split('.');
+  if (!mongoose.isValidObjectId(id) || !safeEqual(signature, sign(`click:${id}`))) {
+    return null;
+  }
+  return id;
+};
+
+// Public signature that ties a conversion pixel to a category
+const pixelSignature = (categoryId) => sign(`pixel:${categoryId}`);
+
+const verifyPixelSignature = (categoryId, signature) => safeEqual(signature, pixelSignature(categoryId));
+
+module.exports = {
+  CLICK_ID_PARAM,
+  isConfigured,
+  createClickId,
+  parseClickId,
+  pixelSignature,
+  verifyPixelSignature
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Encryption at rest for per-card secrets (AES-256-GCM with a master key from the environment).
+// Stored format: v1:<iv>:<auth tag>:<ciphertext>, each part base64 encoded.
+
+const VERSION = 'v1';
+const IV_LENGTH = 12;
+
+// Read the 32-byte master key from CARD_KEY_ENCRYPTION_KEY (64 hex characters)
+const getMasterKey = () => {
+  const hex = process.env.CARD_KEY_ENCRYPTION_KEY;
+  if (!hex || !/^[0-9a-f]{64}$/i.test(hex)) {
+    throw new Error('CARD_KEY_ENCRYPTION_KEY must be set to 64 hex characters');
+  }
+  return Buffer.from(hex, 'hex');
+};
+
+// Check whether secrets can be encrypted and decrypted
+const isConfigured = () => {
+  try {
+    getMasterKey();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Encrypt a secret buffer for storage
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getMasterKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret), cipher.final()]);
+
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+// Decrypt a stored secret back into a buffer
+const decryptSecret = (stored) => {
+  const [version, iv, tag, ciphertext] = String(stored).split(':');
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unsupported encrypted secret format');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getMasterKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+};
+
+module.exports = {
+  isConfigured,
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,187 @@
+// NDEF message encoding for programming NFC tags (NFC Forum NDEF 1.0, RTD URI/Text)
+
+// Type Name Format values
+const TNF_WELL_KNOWN = 0x01;
+const TNF_EXTERNAL = 0x04;
+
+// Record header flags
+const FLAG_MB = 0x80; // message begin
+const FLAG_ME = 0x40; // message end
+const FLAG_SR = 0x10; // short record (payload < 256 bytes)
+
+// URI identifier codes (NFC Forum RTD URI, table 3); index is the code
+const URI_PREFIXES = [
+  '',
+  'http://www.',
+  'https://www.',
+  'http://',
+  'https://',
+  'tel:',
+  'mailto:',
+  'ftp://anonymous:anonymous@',
+  'ftp://ftp.',
+  'ftps://',
+  'sftp://',
+  'smb://',
+  'nfs://',
+  'ftp://',
+  'dav://',
+  'news:',
+  'telnet://',
+  'imap:',
+  'rtsp://',
+  'urn:',
+  'pop:',
+  'sip:',
+  'sips:',
+  'tftp:',
+  'btspp://',
+  'btl2cap://',
+  'btgoep://',
+  'tcpobex://',
+  'irdaobex://',
+  'file://',
+  'urn:epc:id:',
+  'urn:epc:tag:',
+  'urn:epc:pat:',
+  'urn:epc:raw:',
+  'urn:epc:',
+  'urn:nfc:'
+];
+
+// Android Application Record external type
+const AAR_TYPE = 'android.com:pkg';
+
+// Build an unencoded record
+const createRecord = (tnf, type, payload) => ({
+  tnf,
+  type: Buffer.from(type, 'ascii'),
+  payload: Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8')
+});
+
+// URI record, using the longest matching prefix abbreviation
+const uriRecord = (uri) => {
+  let code = 0;
+  URI_PREFIXES.forEach((prefix, index) => {
+    if (prefix && uri.startsWith(prefix) && prefix.length > URI_PREFIXES[code].length) {
+      code = index;
+    }
+  });
+
+  const payload = Buffer.concat([
+    Buffer.from([code]),
+    Buffer.from(uri.substring(URI_PREFIXES[code].length), 'utf8')
+  ]);
+
+  return createRecord(TNF_WELL_KNOWN, 'U', payload);
+};
+
+// Text record, UTF-8 encoded with an IANA language code
+const textRecord = (text, language = 'en') => {
+  const lang = Buffer.from(language, 'ascii');
+  if (lang.length > 63) {
+    throw new Error('Language code cannot exceed 63 characters');
+  }
+
+  const payload = Buffer.concat([
+    Buffer.from([lang.length]), // status byte: bit 7 clear for UTF-8
+    lang,
+    Buffer.from(text, 'utf8')
+  ]);
+
+  return createRecord(TNF_WELL_KNOWN, 'T', payload);
+};
+
+// Android Application Record, which opens (or installs) the given package
+const androidApplicationRecord = (packageName) => {
+  return createRecord(TNF_EXTERNAL, AAR_TYPE, packageName);
+};
+
+// Encode a single record with its header flags
+const encodeRecord = (record, { first = false, last = false } = {}) => {
+  const shortRecord = record.payload.length < 256;
+  const header = (first ? FLAG_MB : 0) | (last ? FLAG_ME : 0) | (shortRecord ? FLAG_SR : 0) | record.tnf;
+
+  const payloadLength = shortRecord ? Buffer.from([record.payload.length]) : Buffer.alloc(4);
+  if (!shortRecord) payloadLength.writeUInt32BE(record.payload.length);
+
+  return Buffer.concat([
+    Buffer.from([header, record.type.length]),
+    payloadLength,
+    record.type,
+    record.payload
+  ]);
+};
+
+// Encode records into an NDEF message
+const encodeMessage = (records) => {
+  if (records.length === 0) {
+    throw new Error('An NDEF message needs at least one record');
+  }
+
+  return Buffer.concat(records.map((record, index) => encodeRecord(record, {
+    first: index === 0,
+    last: index === records.length - 1
+  })));
+};
+
+// Wrap a message in an NDEF Message TLV with terminator, as stored on Type 2 tags (e.g. NTAG21x)
+const wrapTlv = (message) => {
+  const length = message.length < 0xFF ?
+    Buffer.from([message.length]) :
+    Buffer.from([0xFF, message.length >> 8, message.length & 0xFF]);
+
+  return Buffer.concat([Buffer.from([0x03]), length, message, Buffer.from([0xFE])]);
+};
+
+// Placeholders the tag overwrites with SUN/SDM data on every read
+const SDM_PICC_PLACEHOLDER = '0'.repeat(32);
+const SDM_MAC_PLACEHOLDER = '0'.repeat(16);
+
+// Tap URL with SDM mirror placeholders appended
+const sdmTemplateUrl = (url) => `${url}?picc_data=${SDM_PICC_PLACEHOLDER}&cmac=${SDM_MAC_PLACEHOLDER}`;
+
+// Byte offsets of the SDM placeholders within a Type 4 tag NDEF file (2-byte NLEN + message)
+const findSdmOffsets = (message) => {
+  const piccIndex = message.indexOf(`picc_data=${SDM_PICC_PLACEHOLDER}`);
+  const macIndex = message.indexOf(`cmac=${SDM_MAC_PLACEHOLDER}`);
+
+  return {
+    piccDataOffset: piccIndex === -1 ? null : 2 + piccIndex + 'picc_data='.length,
+    macOffset: macIndex === -1 ? null : 2 + macIndex + 'cmac='.length
+  };
+};
+
+// Build the NDEF message for a card: its tap URL, then optional text and AAR records.
+// options: { text, language, androidPackage, tlv, sdm }
+const buildCardNdef = (card, options = {}) => {
+  const records = [uriRecord(options.sdm ? sdmTemplateUrl(card.cardUrl) : card.cardUrl)];
+
+  if (options.text) {
+    records.push(textRecord(options.text, options.language || 'en'));
+  }
+
+  // The AAR must come after the URI record so other platforms still open the link
+  if (options.androidPackage) {
+    records.push(androidApplicationRecord(options.androidPackage));
+  }
+
+  const message = encodeMessage(records);
+  return options.tlv ? wrapTlv(message) : message;
+};
+
+// Uppercase hex string for an encoded message
+const toHex = (buffer) => buffer.toString('hex').toUpperCase();
+
+module.exports = {
+  URI_PREFIXES,
+  uriRecord,
+  textRecord,
+  androidApplicationRecord,
+  encodeRecord,
+  encodeMessage,
+  wrapTlv,
+  findSdmOffsets,
+  buildCardNdef,
+  toHex
+};
@@ -0,0 +1,145 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+
+// Outbound requests to URLs that users control (vCard photos, QR logos, destination
+// health checks). Only public unicast addresses may be contacted, so these URLs can
+// never reach loopback, private networks or cloud metadata endpoints. Host names are
+// checked when the connection is made (covering DNS rebinding), and redirects are
+// followed by hand so every hop is checked again.
+
+const BLOCKED_IPV4 = [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, including cloud metadata (169.254.169.254)
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+];
+
+const BLOCKED_IPV6 = [
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // NAT64 (embeds IPv4 addresses)
+  ['100::', 64], // discard
+  ['2001:db8::', 32], // documentation
+  ['fc00::', 7], // unique local, including fd00:ec2::254 metadata
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+];
+
+const blockList = new net.BlockList();
+BLOCKED_IPV4.forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+BLOCKED_IPV6.forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+const DEFAULT_MAX_REDIRECTS = 3;
+
+// Check whether an IP address is public (not loopback, private, link-local, ...)
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+  const mapped = String(address).match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  return !blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const blockedError = (host) => {
+  const error = new Error(`Requests to ${host} are not allowed`);
+  error.code = 'EBLOCKEDADDRESS';
+  return error;
+};
+
+// dns.lookup replacement for HTTP agents that refuses non-public addresses
+const guardedLookup = (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(entry => !isPublicAddress(entry.address))) {
+      return callback(blockedError(hostname));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+// Check a URL before requesting it. Host names are checked again on connect;
+// IP literals never go through a lookup, so they are checked here.
+const assertPublicUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw blockedError(String(url));
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw blockedError(parsed.protocol);
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw blockedError(host);
+  }
+
+  return parsed;
+};
+
+// axios.request for a user-controlled URL. Takes axios options; redirects are
+// followed up to maxRedirects, each hop checked, and never through a proxy.
+// Resolves with the final response whatever its status.
+const guardedRequest = async ({ url, maxRedirects = DEFAULT_MAX_REDIRECTS, ...options }) => {
+  let currentUrl = url;
+
+  for (let hop = 0; ; hop++) {
+    assertPublicUrl(currentUrl);
+
+    const response = await axios.request({
+      ...options,
+      url: currentUrl,
+      maxRedirects: 0,
+      proxy: false,
+      httpAgent,
+      httpsAgent,
+      validateStatus: () => true
+    });
+
+    const location = response.headers.location;
+    if (response.status < 300 || response.status >= 400 || !location || hop >= maxRedirects) {
+      return response;
+    }
+
+    if (response.data && typeof response.data.destroy === 'function') {
+      response.data.destroy();
+    }
+    currentUrl = new URL(location, currentUrl).href;
+  }
+};
+
+module.exports = {
+  isPublicAddress,
+  assertPublicUrl,
+  guardedLookup,
+  guardedRequest
+};
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// Salt used when hashing visitor IP addresses for storage. There is no default:
+// a known salt would make the hashes reversible.
+const getIpHashSalt = () => {
+  const salt = process.env.IP_HASH_SALT || process.env.JWT_SECRET;
+  if (!salt) {
+    throw new Error('IP_HASH_SALT or JWT_SECRET must be set');
+  }
+  return salt;
+};
+
+// Check whether IP addresses can be hashed
+const isConfigured = () => {
+  try {
+    getIpHashSalt();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// One-way hash of an IP address so raw addresses are never persisted
+const hashIp = (ip) => {
+  if (!ip) return null;
+
+  return crypto
+    .createHmac('sha256', getIpHashSalt())
+    .update(ip)
+    .digest('hex');
+};
+
+module.exports = {
+  isConfigured,
+  hashIp
+};
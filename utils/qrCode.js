@@ -0,0 +1,82 @@
+const QRCode = require('qrcode');
+
+// Server-side QR code rendering for card QR entry points
+
+const QR_FORMATS = ['png', 'svg'];
+const QR_ERROR_LEVELS = ['L', 'M', 'Q', 'H'];
+
+const QR_DEFAULTS = {
+  size: 300,
+  margin: 4,
+  errorCorrectionLevel: 'M',
+  color: '#000000',
+  background: '#ffffff'
+};
+
+// Share of the QR width covered by a centre logo; level H tolerates up to ~30% damage
+const LOGO_SCALE = 0.22;
+
+// Logo image types that can be embedded in an SVG QR code
+const LOGO_MEDIA_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml'];
+
+// Escape a value for use inside a double-quoted XML attribute
+const escapeAttribute = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Options passed to the qrcode library
+const toQrOptions = (options) => ({
+  width: options.size,
+  margin: options.margin,
+  errorCorrectionLevel: options.errorCorrectionLevel,
+  color: {
+    dark: options.color,
+    light: options.background
+  }
+});
+
+// Render a QR code as a PNG buffer. PNGs are rendered without an image library,
+// so they cannot carry a centre logo; callers must ask for SVG instead.
+const renderQrPng = async (text, options = {}) => {
+  const settings = { ...QR_DEFAULTS, ...options };
+  return await QRCode.toBuffer(text, { ...toQrOptions(settings), type: 'png' });
+};
+
+// Render a QR code as an SVG string, optionally with a centre logo ({ mediaType, data })
+const renderQrSvg = async (text, options = {}, logo = null) => {
+  const settings = { ...QR_DEFAULTS, ...options };
+
+  // A covered centre needs the highest error correction to stay scannable
+  if (logo) settings.errorCorrectionLevel = 'H';
+
+  const svg = await QRCode.toString(text, { ...toQrOptions(settings), type: 'svg' });
+  if (!logo) return svg;
+
+  if (!LOGO_MEDIA_TYPES.includes(logo.mediaType) || !/^[A-Za-z0-9+/]*={0,2}$/.test(logo.data)) {
+    throw new Error('Unsupported logo image');
+  }
+
+  const viewBox = svg.match(/viewBox="0 0 (\d+) (\d+)"/);
+  const modules = viewBox ? parseInt(viewBox[1], 10) : 0;
+  if (!modules) return svg;
+
+  const logoSize = modules * LOGO_SCALE;
+  const padding = logoSize * 0.1;
+  const offset = (modules - logoSize) / 2;
+  const overlay =
+    `<rect x="${offset - padding}" y="${offset - padding}" width="${logoSize + padding * 2}" height="${logoSize + padding * 2}" rx="${padding}" fill="${escapeAttribute(settings.background)}"/>` +
+    `<image x="${offset}" y="${offset}" width="${logoSize}" height="${logoSize}" preserveAspectRatio="xMidYMid meet" href="${escapeAttribute(`data:${logo.mediaType};base64,${logo.data}`)}"/>`;
+
+  return svg.replace('</svg>', `${overlay}</svg>`);
+};
+
+module.exports = {
+  QR_FORMATS,
+  QR_ERROR_LEVELS,
+  QR_DEFAULTS,
+  LOGO_MEDIA_TYPES,
+  renderQrPng,
+  renderQrSvg
+};
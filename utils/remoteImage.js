@@ -0,0 +1,42 @@
+const { guardedRequest } = require('./networkGuard');
+
+// Largest remote image we download for embedding
+const MAX_IMAGE_BYTES = 512 * 1024;
+const IMAGE_TIMEOUT_MS = 5000;
+
+// Image types embedded by default (vCard photos)
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif'];
+
+// Download an image for embedding; returns null if it cannot be fetched, is not one of
+// `types`, is too large or lives on a non-public address
+const fetchImage = async (url, { types = IMAGE_TYPES } = {}) => {
+  try {
+    const response = await guardedRequest({
+      url,
+      method: 'GET',
+      responseType: 'arraybuffer',
+      timeout: IMAGE_TIMEOUT_MS,
+      maxContentLength: MAX_IMAGE_BYTES
+    });
+    if (response.status !== 200) return null;
+
+    const mediaType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!types.includes(mediaType)) return null;
+
+    const data = Buffer.from(response.data);
+    if (data.length > MAX_IMAGE_BYTES) return null;
+
+    return {
+      mediaType,
+      data: data.toString('base64')
+    };
+  } catch (error) {
+    console.error('Image fetch error:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  fetchImage
+};
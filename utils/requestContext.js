@@ -0,0 +1,130 @@
+const moment = require('moment-timezone');
+const { parseUserAgent } = require('./userAgent');
+const { resolveTimezone } = require('./schedule');
+
+// Decode a percent-encoded header value; malformed values are ignored
+const decodeHeader = (value) => {
+  if (!value) return undefined;
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// Resolve a visitor location from headers set by a CDN or load balancer.
+// Returns an empty object when no upstream geolocation is available.
+//
+// Visitors can send these headers themselves, so they are only read when
+// TRUST_CDN_GEO_HEADERS=true, i.e. when a CDN in front of the app sets (and
+// overwrites) them on every request.
+const resolveLocationFromHeaders = (req) => {
+  if (process.env.TRUST_CDN_GEO_HEADERS !== 'true') {
+    return {};
+  }
+
+  const country = req.get('CF-IPCountry') ||
+                  req.get('X-Vercel-IP-Country') ||
+                  req.get('X-AppEngine-Country');
+  const region = req.get('X-Vercel-IP-Country-Region') || req.get('X-AppEngine-Region');
+  const city = req.get('X-Vercel-IP-City') || req.get('X-AppEngine-City');
+
+  const location = {};
+
+  // Cloudflare uses XX / T1 for unknown and Tor traffic
+  if (country && /^[A-Z]{2}$/i.test(country) && !['XX', 'T1'].includes(country.toUpperCase())) {
+    location.country = country.toUpperCase();
+  }
+  const regionName = decodeHeader(region);
+  const cityName = decodeHeader(city);
+  if (regionName) location.region = regionName;
+  if (cityName) location.city = cityName;
+
+  return location;
+};
+
+// Parse Accept-Language into lowercase tags ordered by quality
+const parseAcceptLanguage = (header = '') => {
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.find(param => param.trim().startsWith('q='));
+      return {
+        tag: tag.trim().toLowerCase(),
+        q: quality ? parseFloat(quality.trim().substring(2)) || 0 : 1,
+        index
+      };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(entry => entry.tag);
+};
+
+// Build the context passed to Profile#getRedirectUrl for an incoming tap
+const buildRedirectContext = (req) => {
+  const userAgent = req.get('User-Agent') || '';
+  const device = parseUserAgent(userAgent);
+  const referrer = req.get('Referer') || req.get('Referrer') || '';
+  const languages = parseAcceptLanguage(req.get('Accept-Language'));
+
+  return {
+    timestamp: new Date(),
+    device: device.type,
+    os: device.os,
+    browser: device.browser,
+    referrer,
+    language: languages[0] || '',
+    languages,
+    query: req.query || {},
+    'user-agent': userAgent,
+    userAgent,
+    ip: req.ip,
+    location: resolveLocationFromHeaders(req)
+  };
+};
+
+// Build a redirect context from hypothetical visitor details, for the redirect simulator.
+// A timestamp without an offset is read as local time in input.timezone.
+const buildSimulatedContext = (input = {}) => {
+  const userAgent = input.userAgent || '';
+  const device = parseUserAgent(userAgent);
+  const languages = parseAcceptLanguage(input.language || '');
+  const timezone = resolveTimezone(input.timezone, 'UTC');
+  const timestamp = input.timestamp ?
+    moment.tz(input.timestamp, moment.ISO_8601, timezone).toDate() :
+    new Date();
+
+  const query = typeof input.query === 'string' ?
+    Object.fromEntries(new URLSearchParams(input.query.replace(/^\?/, ''))) :
+    (input.query || {});
+
+  const location = {};
+  if (input.country) location.country = String(input.country).toUpperCase();
+  if (input.region) location.region = input.region;
+  if (input.city) location.city = input.city;
+
+  return {
+    timestamp,
+    device: device.type,
+    os: device.os,
+    browser: device.browser,
+    referrer: input.referrer || '',
+    language: languages[0] || '',
+    languages,
+    query,
+    'user-agent': userAgent,
+    userAgent,
+    ip: input.ip,
+    location,
+    variantId: input.variantId,
+    variantSeed: input.variantSeed
+  };
+};
+
+module.exports = {
+  buildRedirectContext,
+  buildSimulatedContext,
+  parseAcceptLanguage,
+  resolveLocationFromHeaders
+};
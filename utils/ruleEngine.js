@@ -0,0 +1,212 @@
+const { explainTimeWindow, isWithinTimeWindow } = require('./schedule');
+
+// Criterion types supported by composite redirect rules
+const CRITERION_TYPES = [
+  'time',
+  'country',
+  'region',
+  'city',
+  'device',
+  'os',
+  'browser',
+  'language',
+  'referrer',
+  'query',
+  'user-agent'
+];
+
+// Criteria that fall under a paid plan feature
+const GATED_CRITERIA = {
+  time: 'timeBasedRedirects',
+  country: 'geoBasedRedirects',
+  region: 'geoBasedRedirects',
+  city: 'geoBasedRedirects'
+};
+
+const OPERATORS = [
+  'equals',
+  'not-equals',
+  'contains',
+  'starts-with',
+  'ends-with',
+  'regex',
+  'in',
+  'not-in',
+  'exists'
+];
+
+// Compare an actual context value against a criterion value (case-insensitive)
+const compareValues = (operator, actual, expected = '') => {
+  const actualValue = actual === undefined || actual === null ? '' : String(actual);
+  const actualLower = actualValue.toLowerCase();
+  const expectedLower = String(expected).toLowerCase();
+  const list = () => expectedLower.split(',').map(item => item.trim()).filter(Boolean);
+
+  switch (operator) {
+    case 'equals':
+      return actualLower === expectedLower;
+    case 'not-equals':
+      return actualLower !== expectedLower;
+    case 'contains':
+      return actualLower.includes(expectedLower);
+    case 'starts-with':
+      return actualLower.startsWith(expectedLower);
+    case 'ends-with':
+      return actualLower.endsWith(expectedLower);
+    case 'regex':
+      try {
+        return new RegExp(expected, 'i').test(actualValue);
+      } catch (e) {
+        return false;
+      }
+    case 'in':
+      return list().includes(actualLower);
+    case 'not-in':
+      return !list().includes(actualLower);
+    case 'exists':
+      return actualValue !== '';
+    default:
+      return actualLower.includes(expectedLower);
+  }
+};
+
+// Read the context value a criterion applies to
+const getContextValue = (criterion, context) => {
+  const location = context.location || {};
+
+  switch (criterion.type) {
+    case 'country':
+    case 'region':
+    case 'city':
+      return location[criterion.type];
+    case 'query':
+      return (context.query || {})[criterion.param];
+    case 'user-agent':
+      return context.userAgent || context['user-agent'];
+    default:
+      return context[criterion.type];
+  }
+};
+
+// Evaluate a single criterion against a redirect context
+const evaluateCriterion = (criterion, context = {}) => {
+  if (criterion.type === 'time') {
+    return isWithinTimeWindow(criterion, context.timestamp || new Date(), context.timezone);
+  }
+
+  // Languages match on the full tag (en-us) or the primary subtag (en)
+  if (criterion.type === 'language') {
+    const languages = context.languages && context.languages.length > 0 ?
+      context.languages : [context.language];
+    const candidates = languages
+      .filter(Boolean)
+      .flatMap(language => [language, language.split('-')[0]]);
+
+    if (criterion.operator === 'not-equals' || criterion.operator === 'not-in') {
+      return candidates.every(language => compareValues(criterion.operator, language, criterion.value));
+    }
+    return candidates.some(language => compareValues(criterion.operator, language, criterion.value));
+  }
+
+  return compareValues(criterion.operator, getContextValue(criterion, context), criterion.value);
+};
+
+// Explain why a criterion does not match; returns null when it does
+const explainCriterion = (criterion, context = {}) => {
+  if (criterion.type === 'time') {
+    return explainTimeWindow(criterion, context.timestamp || new Date(), context.timezone);
+  }
+
+  if (evaluateCriterion(criterion, context)) return null;
+
+  const actual = criterion.type === 'language' ?
+    (context.languages || [context.language]).filter(Boolean).join(', ') :
+    getContextValue(criterion, context);
+  const label = criterion.type === 'query' ? `Query parameter '${criterion.param}'` : criterion.type;
+
+  return `${label} ${actual ? `'${actual}'` : '(empty)'} does not match ${criterion.operator || 'equals'} '${criterion.value || ''}'`;
+};
+
+// Check whether a rule's criteria match ('all' = AND, 'any' = OR)
+const matchesRule = (rule, context = {}) => {
+  const criteria = rule.criteria || [];
+  if (criteria.length === 0) return true;
+
+  if (rule.match === 'any') {
+    return criteria.some(criterion => evaluateCriterion(criterion, context));
+  }
+  return criteria.every(criterion => evaluateCriterion(criterion, context));
+};
+
+// Explain why a rule does not match; returns null when it does
+const explainRule = (rule, context = {}) => {
+  const criteria = rule.criteria || [];
+  if (criteria.length === 0) return null;
+
+  const reasons = criteria.map(criterion => explainCriterion(criterion, context));
+
+  if (rule.match === 'any') {
+    return reasons.some(reason => reason === null) ? null : `No criteria matched: ${reasons.join('; ')}`;
+  }
+  return reasons.find(reason => reason !== null) || null;
+};
+
+// Sort active rules by priority (higher first), keeping list order for ties
+const sortByPriority = (rules) => {
+  return rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => rule.active !== false)
+    .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.index - b.index)
+    .map(({ rule }) => rule);
+};
+
+// Build a simulator trace entry for a rule; a null reason means it matched
+const traceEntry = (type, rule, reason = null, extra = {}) => ({
+  type,
+  ruleId: rule._id,
+  name: rule.name,
+  priority: rule.priority,
+  matched: reason === null,
+  reason,
+  ...extra
+});
+
+// Find the first matching rule in priority order.
+// When a trace array is given, every rule is recorded with the reason it was rejected.
+const findMatchingRule = (rules = [], context = {}, trace = null) => {
+  if (!trace) {
+    return sortByPriority(rules).find(rule => matchesRule(rule, context)) || null;
+  }
+
+  let found = null;
+  sortByPriority(rules).forEach(rule => {
+    if (found) {
+      trace.push(traceEntry('rule', rule, 'Not evaluated: a higher priority rule matched'));
+      return;
+    }
+
+    const reason = explainRule(rule, context);
+    trace.push(traceEntry('rule', rule, reason));
+    if (reason === null) found = rule;
+  });
+
+  rules
+    .filter(rule => rule.active === false)
+    .forEach(rule => trace.push(traceEntry('rule', rule, 'Rule is inactive')));
+
+  return found;
+};
+
+module.exports = {
+  CRITERION_TYPES,
+  GATED_CRITERIA,
+  OPERATORS,
+  compareValues,
+  evaluateCriterion,
+  explainCriterion,
+  matchesRule,
+  explainRule,
+  sortByPriority,
+  traceEntry,
+  findMatchingRule
+};
@@ -0,0 +1,78 @@
+const moment = require('moment-timezone');
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// Check if a string is a known IANA timezone name
+const isValidTimezone = (timezone) => !!timezone && !!moment.tz.zone(timezone);
+
+// Pick the rule timezone, then the fallback, then UTC
+const resolveTimezone = (timezone, fallbackTimezone) => {
+  if (isValidTimezone(timezone)) return timezone;
+  if (isValidTimezone(fallbackTimezone)) return fallbackTimezone;
+  return 'UTC';
+};
+
+// Convert an HH:MM string into minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Explain why a timestamp falls outside a time window rule; returns null when it is inside.
+// Rule fields: startTime, endTime (HH:MM, end inclusive to the minute, so 09:00-17:00
+// still matches at 17:00 and 17:00:59), daysOfWeek, timezone,
+// validFrom, validUntil, eventDates and excludedDates (YYYY-MM-DD, local dates).
+// Windows where endTime is earlier than startTime run overnight, and the
+// day-based checks apply to the local day on which the window opened.
+const explainTimeWindow = (rule, timestamp = new Date(), fallbackTimezone = 'UTC') => {
+  const instant = new Date(timestamp);
+
+  if (rule.validFrom && instant < new Date(rule.validFrom)) return 'Before the validity period';
+  if (rule.validUntil && instant > new Date(rule.validUntil)) return 'After the validity period';
+
+  const timezone = resolveTimezone(rule.timezone, fallbackTimezone);
+  const local = moment.tz(instant, timezone);
+  const current = local.hours() * 60 + local.minutes();
+  const start = rule.startTime ? toMinutes(rule.startTime) : 0;
+  const end = rule.endTime ? toMinutes(rule.endTime) : 24 * 60;
+  const outsideWindow = `${local.format('HH:mm')} ${timezone} is outside ${rule.startTime || '00:00'}-${rule.endTime || '24:00'}`;
+
+  let windowDay = local.clone();
+
+  if (start <= end) {
+    if (current < start || current > end) return outsideWindow;
+  } else {
+    // Overnight window, e.g. 22:00-06:00
+    if (current > end && current < start) return outsideWindow;
+    if (current <= end) windowDay = local.clone().subtract(1, 'day');
+  }
+
+  const windowDate = windowDay.format(DATE_FORMAT);
+
+  if (rule.daysOfWeek && rule.daysOfWeek.length > 0 && !rule.daysOfWeek.includes(windowDay.day())) {
+    return `${windowDay.format('dddd')} is not an active day`;
+  }
+
+  if (rule.eventDates && rule.eventDates.length > 0 && !rule.eventDates.includes(windowDate)) {
+    return `${windowDate} is not an event date`;
+  }
+
+  if (rule.excludedDates && rule.excludedDates.includes(windowDate)) {
+    return `${windowDate} is an excluded date`;
+  }
+
+  return null;
+};
+
+// Check whether a timestamp falls inside a time window rule
+const isWithinTimeWindow = (rule, timestamp = new Date(), fallbackTimezone = 'UTC') => {
+  return explainTimeWindow(rule, timestamp, fallbackTimezone) === null;
+};
+
+module.exports = {
+  DATE_FORMAT,
+  isValidTimezone,
+  resolveTimezone,
+  explainTimeWindow,
+  isWithinTimeWindow
+};
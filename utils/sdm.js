@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+// Secure Dynamic Messaging (SUN) verification for NTAG 424 DNA style cards.
+// The tag mirrors encrypted PICC data (UID + read counter) and a truncated CMAC
+// into the tap URL on every read; see NXP AN12196.
+
+const BLOCK_SIZE = 16;
+const ZERO_IV = Buffer.alloc(BLOCK_SIZE);
+const CMAC_RB = 0x87;
+
+// PICCDataTag bits
+const UID_MIRRORED = 0x80;
+const COUNTER_MIRRORED = 0x40;
+
+// Session key derivation vector prefix for SDMFileReadMAC
+const SV2_PREFIX = Buffer.from([0x3C, 0xC3, 0x00, 0x01, 0x00, 0x80]);
+
+const HEX_KEY_PATTERN = /^[0-9a-f]{32}$/i;
+
+// Encrypt a single block with AES-128-ECB
+const encryptBlock = (key, block) => {
+  const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(block), cipher.final()]);
+};
+
+// Shift a block one bit left
+const shiftLeft = (block) => {
+  const shifted = Buffer.alloc(block.length);
+  for (let i = 0; i < block.length; i++) {
+    shifted[i] = (block[i] << 1) | (i + 1 < block.length ? block[i + 1] >> 7 : 0);
+  }
+  return shifted;
+};
+
+// Derive a CMAC subkey from the previous value
+const deriveSubkey = (value) => {
+  const subkey = shiftLeft(value);
+  if (value[0] & 0x80) subkey[BLOCK_SIZE - 1] ^= CMAC_RB;
+  return subkey;
+};
+
+const xorBlocks = (a, b) => Buffer.from(a.map((byte, i) => byte ^ b[i]));
+
+// AES-CMAC (RFC 4493)
+const aesCmac = (key, message = Buffer.alloc(0)) => {
+  const k1 = deriveSubkey(encryptBlock(key, ZERO_IV));
+  const k2 = deriveSubkey(k1);
+
+  const blockCount = Math.max(1, Math.ceil(message.length / BLOCK_SIZE));
+  const complete = message.length > 0 && message.length % BLOCK_SIZE === 0;
+  const lastStart = (blockCount - 1) * BLOCK_SIZE;
+
+  let lastBlock;
+  if (complete) {
+    lastBlock = xorBlocks(message.subarray(lastStart), k1);
+  } else {
+    const padded = Buffer.alloc(BLOCK_SIZE);
+    message.subarray(lastStart).copy(padded);
+    padded[message.length - lastStart] = 0x80;
+    lastBlock = xorBlocks(padded, k2);
+  }
+
+  // CBC-MAC over the leading blocks and the adjusted last block
+  const cipher = crypto.createCipheriv('aes-128-cbc', key, ZERO_IV);
+  cipher.setAutoPadding(false);
+  const encrypted = Buffer.concat([
+    cipher.update(Buffer.concat([message.subarray(0, lastStart), lastBlock])),
+    cipher.final()
+  ]);
+
+  return encrypted.subarray(encrypted.length - BLOCK_SIZE);
+};
+
+// Decrypt PICC data with the SDM meta read key; returns { uid, counter } or null
+const decryptPiccData = (metaReadKey, piccData) => {
+  if (piccData.length !== BLOCK_SIZE) return null;
+
+  const decipher = crypto.createDecipheriv('aes-128-cbc', metaReadKey, ZERO_IV);
+  decipher.setAutoPadding(false);
+  const plain = Buffer.concat([decipher.update(piccData), decipher.final()]);
+
+  const tag = plain[0];
+  const uidLength = tag & 0x0F;
+  if (!(tag & UID_MIRRORED) || !(tag & COUNTER_MIRRORED) || uidLength !== 7) return null;
+
+  const uid = plain.subarray(1, 1 + uidLength);
+  const counterBytes = plain.subarray(1 + uidLength, 4 + uidLength);
+
+  return {
+    uid: uid.toString('hex').toUpperCase(),
+    counterBytes,
+    counter: counterBytes.readUIntLE(0, 3)
+  };
+};
+
+// Compute the 8-byte SDM MAC (odd bytes of the full CMAC) for a UID and read counter
+const computeSdmMac = (fileReadKey, uid, counterBytes, macInput = Buffer.alloc(0)) => {
+  const sessionVector = Buffer.concat([SV2_PREFIX, uid, counterBytes]);
+  const sessionKey = aesCmac(fileReadKey, sessionVector);
+  const mac = aesCmac(sessionKey, macInput);
+
+  return Buffer.from(mac.filter((byte, index) => index % 2 === 1));
+};
+
+// Verify SUN parameters from a tap URL.
+// keys: { metaReadKey, fileReadKey } as Buffers; params: { piccData, cmac } as hex strings.
+// Returns { valid, uid, counter, reason }.
+const verifySunMessage = (keys, params) => {
+  if (!params.piccData || !params.cmac) {
+    return { valid: false, reason: 'missing-parameters' };
+  }
+  if (!/^[0-9a-f]{32}$/i.test(params.piccData) || !/^[0-9a-f]{16}$/i.test(params.cmac)) {
+    return { valid: false, reason: 'malformed-parameters' };
+  }
+
+  const picc = decryptPiccData(keys.metaReadKey, Buffer.from(params.piccData, 'hex'));
+  if (!picc) {
+    return { valid: false, reason: 'invalid-picc-data' };
+  }
+
+  const expected = computeSdmMac(keys.fileReadKey, Buffer.from(picc.uid, 'hex'), picc.counterBytes);
+  const received = Buffer.from(params.cmac, 'hex');
+
+  if (!crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, uid: picc.uid, counter: picc.counter, reason: 'invalid-cmac' };
+  }
+
+  return { valid: true, uid: picc.uid, counter: picc.counter, reason: null };
+};
+
+module.exports = {
+  HEX_KEY_PATTERN,
+  aesCmac,
+  decryptPiccData,
+  computeSdmMac,
+  verifySunMessage
+};
@@ -0,0 +1,53 @@
+// Statistical helpers for A/B test reporting
+
+// Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Two-sided two-proportion z-test comparing conversion rates of two groups
+const twoProportionZTest = (conversionsA, totalA, conversionsB, totalB) => {
+  if (totalA === 0 || totalB === 0) {
+    return { z: 0, pValue: 1 };
+  }
+
+  const rateA = conversionsA / totalA;
+  const rateB = conversionsB / totalB;
+  const pooled = (conversionsA + conversionsB) / (totalA + totalB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+
+  if (standardError === 0) {
+    return { z: 0, pValue: 1 };
+  }
+
+  const z = (rateB - rateA) / standardError;
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+
+  return { z, pValue };
+};
+
+// Update-pipeline stages that add one conversion and recompute the stored rate
+// (percent of taps, capped at 100) from the counters as they are in the database
+const conversionUpdateStages = ({ conversions, taps, rate }, extraSet = {}) => [
+  { $set: { [conversions]: { $add: [{ $ifNull: [`$${conversions}`, 0] }, 1] }, ...extraSet } },
+  {
+    $set: {
+      [rate]: {
+        $cond: [
+          { $gt: [`$${taps}`, 0] },
+          { $min: [100, { $multiply: [{ $divide: [`$${conversions}`, `$${taps}`] }, 100] }] },
+          0
+        ]
+      }
+    }
+  }
+];
+
+module.exports = {
+  normalCdf,
+  twoProportionZTest,
+  conversionUpdateStages
+};
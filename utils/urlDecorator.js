@@ -0,0 +1,89 @@
+// Outbound redirect URL decoration: UTM parameters and the tap click ID
+
+const { CLICK_ID_PARAM } = require('./clickId');
+
+const UTM_FIELDS = {
+  utmSource: 'utm_source',
+  utmMedium: 'utm_medium',
+  utmCampaign: 'utm_campaign',
+  utmTerm: 'utm_term',
+  utmContent: 'utm_content'
+};
+
+// Placeholders available in UTM templates
+const TEMPLATE_TOKENS = ['card', 'cardUID', 'category', 'batch', 'profile', 'method'];
+
+// Fill {token} placeholders; unknown tokens and missing values become empty
+const renderTemplate = (template = '', values = {}) => {
+  return String(template)
+    .replace(/\{(\w+)\}/g, (match, token) => (values[token] != null ? String(values[token]) : ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Template values for a tap
+const buildTemplateValues = ({ card, category, profile, method }) => ({
+  card: card ? (card.nickname || card.cardUID) : '',
+  cardUID: card ? card.cardUID : '',
+  category: category ? category.name : '',
+  batch: card ? card.batchNumber : '',
+  profile: profile ? profile.name : '',
+  method: method || ''
+});
+
+// Pick the decoration settings for a tap: an enabled profile setting wins over the category's
+const resolveDecoration = (profile, category) => {
+  if (profile?.urlDecoration?.enabled) return profile.urlDecoration;
+  if (category?.settings?.urlDecoration?.enabled) return category.settings.urlDecoration;
+  return null;
+};
+
+// Append query parameters to an http(s) URL, keeping its existing query string and fragment.
+// Existing parameters are only replaced when override is set. Other schemes are returned as-is.
+const mergeQueryParams = (url, params, { override = false } = {}) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  if (!['http:', 'https:'].includes(target.protocol)) return url;
+
+  Object.entries(params).forEach(([name, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (target.searchParams.has(name) && !override) return;
+    target.searchParams.set(name, value);
+  });
+
+  return target.toString();
+};
+
+// Decorate a redirect URL.
+// decoration: profile/category urlDecoration settings (or null); tap: { card, category, profile, method };
+// clickId: signed click ID to append, or null
+const decorateUrl = (url, decoration, tap = {}, clickId = null) => {
+  const params = {};
+
+  if (decoration) {
+    const values = buildTemplateValues(tap);
+    Object.entries(UTM_FIELDS).forEach(([field, param]) => {
+      params[param] = renderTemplate(decoration[field], values);
+    });
+  }
+
+  const decorated = mergeQueryParams(url, params, { override: Boolean(decoration?.override) });
+
+  // The click ID identifies this tap, so it always replaces a stale one
+  return clickId ? mergeQueryParams(decorated, { [CLICK_ID_PARAM]: clickId }, { override: true }) : decorated;
+};
+
+module.exports = {
+  UTM_FIELDS,
+  TEMPLATE_TOKENS,
+  renderTemplate,
+  buildTemplateValues,
+  resolveDecoration,
+  mergeQueryParams,
+  decorateUrl
+};
@@ -0,0 +1,46 @@
+// Lightweight user agent parsing for tap context and analytics.
+// Only the coarse buckets used by redirect rules and reports are detected.
+
+const parseDeviceType = (ua) => {
+  if (/ipad|tablet|kindle|silk|playbook/i.test(ua)) return 'tablet';
+  if (/android/i.test(ua) && !/mobile/i.test(ua)) return 'tablet';
+  if (/mobi|iphone|ipod|android|blackberry|windows phone/i.test(ua)) return 'mobile';
+  if (!ua) return 'unknown';
+  return 'desktop';
+};
+
+const parseOS = (ua) => {
+  if (/iphone|ipad|ipod/i.test(ua)) return 'iOS';
+  if (/android/i.test(ua)) return 'Android';
+  if (/windows/i.test(ua)) return 'Windows';
+  if (/cros/i.test(ua)) return 'ChromeOS';
+  if (/mac os x|macintosh/i.test(ua)) return 'macOS';
+  if (/linux/i.test(ua)) return 'Linux';
+  return 'unknown';
+};
+
+const parseBrowser = (ua) => {
+  if (/edg(e|a|ios)?\//i.test(ua)) return 'Edge';
+  if (/opr\/|opera/i.test(ua)) return 'Opera';
+  if (/samsungbrowser/i.test(ua)) return 'Samsung Internet';
+  if (/firefox|fxios/i.test(ua)) return 'Firefox';
+  if (/chrome|crios|chromium/i.test(ua)) return 'Chrome';
+  if (/safari/i.test(ua)) return 'Safari';
+  return 'unknown';
+};
+
+// Parse a raw User-Agent header into device, OS and browser buckets
+const parseUserAgent = (userAgent = '') => {
+  const ua = userAgent || '';
+
+  return {
+    type: parseDeviceType(ua),
+    os: parseOS(ua),
+    browser: parseBrowser(ua),
+    userAgent: ua
+  };
+};
+
+module.exports = {
+  parseUserAgent
+};
@@ -0,0 +1,123 @@
+// vCard (.vcf) generation, RFC 2426 (3.0) and RFC 6350 (4.0)
+
+const VCARD_VERSIONS = ['3.0', '4.0'];
+
+// Contact fields a profile can choose to share (the name is always included)
+const VCARD_FIELDS = ['email', 'phone', 'company', 'website', 'photo', 'note'];
+
+// Escape a text value (backslash, comma, semicolon and newlines)
+const escapeText = (value = '') => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Fold a content line at 75 octets, continuing with CRLF and a single space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74; // continuation lines start with a space
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Map an image content type to the vCard 3.0 TYPE parameter
+const photoType = (mediaType = '') => {
+  const subtype = mediaType.split('/')[1] || 'jpeg';
+  return subtype.split(';')[0].toUpperCase().replace('JPG', 'JPEG');
+};
+
+// Build a vCard string.
+// contact: { firstName, lastName, email, phone, company, website, photoUrl, photo: { mediaType, data }, note }
+const buildVCard = (contact = {}, version = '3.0') => {
+  const isV4 = version === '4.0';
+  const firstName = contact.firstName || '';
+  const lastName = contact.lastName || '';
+  const fullName = [firstName, lastName].filter(Boolean).join(' ') || contact.company || contact.email || 'Contact';
+
+  const lines = [
+    'BEGIN:VCARD',
+    `VERSION:${isV4 ? '4.0' : '3.0'}`
+  ];
+
+  if (isV4) lines.push('KIND:individual');
+
+  lines.push(`N:${escapeText(lastName)};${escapeText(firstName)};;;`);
+  lines.push(`FN:${escapeText(fullName)}`);
+
+  if (contact.company) {
+    lines.push(`ORG:${escapeText(contact.company)}`);
+  }
+
+  if (contact.email) {
+    lines.push(isV4 ?
+      `EMAIL;TYPE=work:${contact.email}` :
+      `EMAIL;TYPE=INTERNET,WORK:${contact.email}`);
+  }
+
+  if (contact.phone) {
+    const phone = contact.phone.replace(/[^\d+]/g, '');
+    lines.push(isV4 ?
+      `TEL;VALUE=uri;TYPE=cell:tel:${phone}` :
+      `TEL;TYPE=CELL:${phone}`);
+  }
+
+  if (contact.website) {
+    lines.push(`URL:${contact.website}`);
+  }
+
+  if (contact.photo) {
+    lines.push(isV4 ?
+      `PHOTO:data:${contact.photo.mediaType};base64,${contact.photo.data}` :
+      `PHOTO;ENCODING=b;TYPE=${photoType(contact.photo.mediaType)}:${contact.photo.data}`);
+  } else if (contact.photoUrl) {
+    lines.push(isV4 ?
+      `PHOTO:${contact.photoUrl}` :
+      `PHOTO;VALUE=uri:${contact.photoUrl}`);
+  }
+
+  if (contact.note) {
+    lines.push(`NOTE:${escapeText(contact.note)}`);
+  }
+
+  lines.push(isV4 ?
+    `REV:${new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}` :
+    `REV:${new Date().toISOString()}`);
+  lines.push('END:VCARD');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Build a safe .vcf file name from a display name
+const vcardFileName = (name = 'contact') => {
+  const base = String(name).replace(/[^a-z0-9-_ ]/gi, '').trim().replace(/\s+/g, '-');
+  return `${base || 'contact'}.vcf`;
+};
+
+module.exports = {
+  VCARD_VERSIONS,
+  VCARD_FIELDS,
+  escapeText,
+  foldLine,
+  buildVCard,
+  vcardFileName
+};